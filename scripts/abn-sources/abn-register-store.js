@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { nameTokens } = require('../license-sources/license-register-store');
+
+// Entities sharing a name word with the search, ranked by how many they share
+const MAX_RESULTS = 25;
+
+function normaliseAbn(abn) {
+    return String(abn || '').replace(/\D/g, '');
+}
+
+// ABR checksum: subtract 1 from the first digit, weight the digits and the
+// sum must divide by 89
+const ABN_WEIGHTS = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+
+function isValidAbn(abn) {
+    const digits = normaliseAbn(abn).split('').map(Number);
+    if (digits.length !== 11) return false;
+    digits[0] -= 1;
+    return digits.reduce((sum, digit, i) => sum + digit * ABN_WEIGHTS[i], 0) % 89 === 0;
+}
+
+// 51824753556 -> 51 824 753 556
+function formatAbn(abn) {
+    return normaliseAbn(abn).replace(/^(\d{2})(\d{3})(\d{3})(\d{3})$/, '$1 $2 $3 $4');
+}
+
+// Local set of ABN entities - either imported from the ABR bulk extract
+// (scripts/import-abn-extract.js) or a hand-written stub. Saved as a flat
+// list; the ABN and name-word indexes are rebuilt on load.
+//
+//   { abn, entity_status, entity_status_from, entity_type, legal_name,
+//     trading_names[], gst_registered, gst_from, state, postcode,
+//     record_updated }
+class AbnRegisterStore {
+    constructor(file) {
+        this.file = file;
+        this.data = { sources: [], entities: [] };
+        this.byAbn = new Map();
+        this.byToken = new Map();
+    }
+
+    exists() {
+        return fs.existsSync(this.file);
+    }
+
+    load() {
+        if (this.exists()) {
+            this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.data.sources = this.data.sources || [];
+        }
+        this.buildIndex();
+        return this;
+    }
+
+    buildIndex() {
+        this.byAbn.clear();
+        this.byToken.clear();
+
+        this.data.entities.forEach((entity, index) => {
+            this.byAbn.set(normaliseAbn(entity.abn), index);
+
+            const tokens = new Set([entity.legal_name, ...(entity.trading_names || [])].flatMap(name => nameTokens(name)));
+            for (const token of tokens) {
+                if (!this.byToken.has(token)) this.byToken.set(token, []);
+                this.byToken.get(token).push(index);
+            }
+        });
+    }
+
+    get size() {
+        return this.data.entities.length;
+    }
+
+    // Newest extract imported - the ABR publishes a full extract weekly
+    get extractDate() {
+        const dates = this.data.sources.map(source => source.extractDate).filter(Boolean).sort();
+        return dates[dates.length - 1] || null;
+    }
+
+    // Add or replace entities by ABN
+    upsert(entities, { extractDate, sourceFile }) {
+        let inserted = 0;
+        let updated = 0;
+        for (const entity of entities) {
+            const index = this.byAbn.get(normaliseAbn(entity.abn));
+            if (index === undefined) {
+                this.byAbn.set(normaliseAbn(entity.abn), this.data.entities.length);
+                this.data.entities.push(entity);
+                inserted++;
+            } else {
+                this.data.entities[index] = entity;
+                updated++;
+            }
+        }
+
+        this.data.sources = this.data.sources.filter(source => source.file !== sourceFile);
+        this.data.sources.push({ file: sourceFile, extractDate, importedAt: new Date().toISOString(), count: entities.length });
+
+        this.buildIndex();
+        return { inserted, updated };
+    }
+
+    findByAbn(abn) {
+        const index = this.byAbn.get(normaliseAbn(abn));
+        return index === undefined ? null : this.data.entities[index];
+    }
+
+    // Entities with any name word in common with `name`. Deliberately loose -
+    // the verifier scores names properly - but ranked so rare words count for
+    // more than "electrical" or "perth", which half the extract shares.
+    searchByName(name) {
+        const shared = new Map();
+        for (const token of new Set(nameTokens(name))) {
+            const indexes = this.byToken.get(token) || [];
+            for (const index of indexes) {
+                shared.set(index, (shared.get(index) || 0) + 1 / indexes.length);
+            }
+        }
+
+        return [...shared.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_RESULTS)
+            .map(([index]) => this.data.entities[index]);
+    }
+
+    save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        // No indentation - a state's worth of ABNs is a large file
+        fs.writeFileSync(this.file, JSON.stringify({
+            lastUpdated: new Date().toISOString(),
+            sources: this.data.sources,
+            entities: this.data.entities
+        }));
+    }
+}
+
+module.exports = { AbnRegisterStore, normaliseAbn, isValidAbn, formatAbn };
@@ -0,0 +1,21 @@
+// Common shape for anything AbnVerifier can ask "which ABN does this business
+// trade under?". Both methods resolve to entities as stored by
+// AbnRegisterStore, plus `source`:
+//
+//   searchByName(name) -> [entity, ...] (empty when nothing matches)
+//   lookup(abn)        -> entity or null
+class AbnSource {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async searchByName(name) {
+        throw new Error(`${this.name} ABN source must implement searchByName()`);
+    }
+
+    async lookup(abn) {
+        throw new Error(`${this.name} ABN source must implement lookup()`);
+    }
+}
+
+module.exports = AbnSource;
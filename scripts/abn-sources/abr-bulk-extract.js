@@ -0,0 +1,121 @@
+const fs = require('fs');
+
+// Reader for the ABR "ABN Bulk Extract" (data.gov.au) - XML files with one
+// <ABR> element per ABN:
+//
+//   <ABR recordLastUpdatedDate="20240301" replaced="N">
+//     <ABN status="ACT" ABNStatusFromDate="20150101">51824753556</ABN>
+//     <EntityType><EntityTypeInd>PRV</EntityTypeInd><EntityTypeText>Australian Private Company</EntityTypeText></EntityType>
+//     <MainEntity>
+//       <NonIndividualName type="MN"><NonIndividualNameText>SPARKS WA PTY LTD</NonIndividualNameText></NonIndividualName>
+//       <BusinessAddress><AddressDetails><State>WA</State><Postcode>6155</Postcode></AddressDetails></BusinessAddress>
+//     </MainEntity>
+//     <GST status="ACT" GSTStatusFromDate="20150101" />
+//     <OtherEntity><NonIndividualName type="TRD"><NonIndividualNameText>SPARKS ELECTRICAL</NonIndividualNameText></NonIndividualName></OtherEntity>
+//   </ABR>
+//
+// Sole traders have <LegalEntity><IndividualName> (GivenName/FamilyName)
+// instead of <MainEntity>. Each file is several hundred MB, so records are
+// streamed rather than read whole.
+
+// Other-entity name types that a business trades under
+const TRADING_NAME_TYPES = new Set(['TRD', 'BN', 'OTN']);
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function textOf(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1].trim()) : null;
+}
+
+function attributeOf(xml, tag, attribute) {
+    const match = xml.match(new RegExp(`<${tag}\\s[^>]*?${attribute}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+// 20150101 -> 2015-01-01 (19000101 is the extract's "no date")
+function extractDate(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+    return match && value !== '19000101' ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function titleCase(name) {
+    return name.toLowerCase().replace(/\b([a-z])/g, letter => letter.toUpperCase());
+}
+
+// "JOHN", "PAUL", "SMITH" -> "John Paul Smith"
+function individualName(xml) {
+    const given = [...xml.matchAll(/<GivenName>([\s\S]*?)<\/GivenName>/g)].map(match => decodeXml(match[1].trim()));
+    const family = textOf(xml, 'FamilyName');
+    return titleCase([...given, family].filter(Boolean).join(' '));
+}
+
+// One <ABR>...</ABR> record -> entity, or null when it has no ABN
+function parseAbrRecord(xml) {
+    const abn = textOf(xml, 'ABN');
+    if (!abn) return null;
+
+    const legalEntity = textOf(xml, 'LegalEntity');
+    const mainEntity = textOf(xml, 'MainEntity');
+    const entity = legalEntity || mainEntity || '';
+    const legalName = legalEntity
+        ? individualName(legalEntity)
+        : titleCase(textOf(entity, 'NonIndividualNameText') || '');
+
+    const tradingNames = [];
+    for (const [, other] of xml.matchAll(/<OtherEntity>([\s\S]*?)<\/OtherEntity>/g)) {
+        const type = attributeOf(other, 'NonIndividualName', 'type');
+        const name = textOf(other, 'NonIndividualNameText');
+        if (name && TRADING_NAME_TYPES.has(type)) {
+            tradingNames.push(titleCase(name));
+        }
+    }
+
+    const gstStatus = attributeOf(xml, 'GST', 'status');
+
+    return {
+        abn: abn.replace(/\D/g, ''),
+        entity_status: attributeOf(xml, 'ABN', 'status') === 'ACT' ? 'Active' : 'Cancelled',
+        entity_status_from: extractDate(attributeOf(xml, 'ABN', 'ABNStatusFromDate')),
+        entity_type: textOf(xml, 'EntityTypeText'),
+        legal_name: legalName || null,
+        trading_names: [...new Set(tradingNames)],
+        gst_registered: gstStatus === 'ACT',
+        gst_from: gstStatus === 'ACT' ? extractDate(attributeOf(xml, 'GST', 'GSTStatusFromDate')) : null,
+        state: textOf(entity, 'State'),
+        postcode: textOf(entity, 'Postcode'),
+        record_updated: extractDate(attributeOf(xml, 'ABR', 'recordLastUpdatedDate'))
+    };
+}
+
+// Calls onRecord(entity) for every record in `file`; resolves to the count
+async function readAbrRecords(file, onRecord) {
+    let buffer = '';
+    let count = 0;
+
+    for await (const chunk of fs.createReadStream(file, { encoding: 'utf8', highWaterMark: 1 << 20 })) {
+        buffer += chunk;
+
+        let end;
+        while ((end = buffer.indexOf('</ABR>')) !== -1) {
+            const start = buffer.lastIndexOf('<ABR', end);
+            const entity = start === -1 ? null : parseAbrRecord(buffer.slice(start, end + 6));
+            buffer = buffer.slice(end + 6);
+            if (entity) {
+                onRecord(entity);
+                count++;
+            }
+        }
+    }
+    return count;
+}
+
+module.exports = { parseAbrRecord, readAbrRecords };
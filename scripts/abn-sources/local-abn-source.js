@@ -0,0 +1,34 @@
+const AbnSource = require('./abn-source');
+
+// Answers ABN searches from an AbnRegisterStore. The same adapter serves the
+// imported bulk extract ('abr_bulk_extract') and the hand-written stub in
+// fixtures/abn/ ('abn_stub') - only the store file differs.
+class LocalAbnSource extends AbnSource {
+    constructor({ store, name = 'abr_bulk_extract' }) {
+        super(name);
+        this.store = store;
+    }
+
+    get extractDate() {
+        return this.store.extractDate;
+    }
+
+    async searchByName(name) {
+        return this.store.searchByName(name).map(entity => this.toResult(entity));
+    }
+
+    async lookup(abn) {
+        const entity = this.store.findByAbn(abn);
+        return entity ? this.toResult(entity) : null;
+    }
+
+    toResult(entity) {
+        return {
+            ...entity,
+            trading_names: entity.trading_names || [],
+            source: this.name
+        };
+    }
+}
+
+module.exports = LocalAbnSource;
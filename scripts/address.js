@@ -0,0 +1,16 @@
+// Suburb and postcode from a Places formatted address, shared by the pages,
+// slugs and licence report
+
+// "Unit 3/16 Fortitude Bvd, Gnangara WA 6077, Australia" -> "Gnangara"
+function suburbOf(address) {
+    const match = (address || '').match(/(?:^|,)\s*([^,]+?)\s+WA\s+\d{4}\b/);
+    return match ? match[1].trim() : 'Unknown';
+}
+
+// "Unit 3/16 Fortitude Bvd, Gnangara WA 6077, Australia" -> 6077
+function postcodeOf(address) {
+    const match = (address || '').match(/\bWA\s+(\d{4})\b/);
+    return match ? Number(match[1]) : null;
+}
+
+module.exports = { suburbOf, postcodeOf };
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// Google bills Text Search by the most expensive field in the mask.
+// Prices are USD per 1000 calls; check https://developers.google.com/maps/billing-and-pricing/pricing
+const DEFAULT_PRICING = {
+    text_search_essentials: { label: 'Text Search Essentials (IDs only)', perThousandUsd: 0, freePerMonth: Infinity },
+    text_search_pro: { label: 'Text Search Pro', perThousandUsd: 32, freePerMonth: 5000 },
+    text_search_enterprise: { label: 'Text Search Enterprise', perThousandUsd: 35, freePerMonth: 1000 },
+    text_search_enterprise_atmosphere: { label: 'Text Search Enterprise + Atmosphere', perThousandUsd: 40, freePerMonth: 1000 }
+};
+
+const ENTERPRISE_FIELDS = ['nationalPhoneNumber', 'internationalPhoneNumber', 'websiteUri', 'rating', 'userRatingCount', 'regularOpeningHours', 'currentOpeningHours', 'priceLevel'];
+const ATMOSPHERE_FIELDS = ['reviews', 'editorialSummary', 'servesBeer', 'servesWine', 'takeout', 'delivery', 'dineIn', 'outdoorSeating'];
+const ESSENTIALS_FIELDS = ['id', 'name', 'attributions', 'nextPageToken'];
+
+function skuForFieldMask(fieldMask) {
+    const fields = fieldMask.split(',').map(field => field.trim().replace(/^places\./, '').split('.')[0]);
+
+    if (fields.some(field => ATMOSPHERE_FIELDS.includes(field))) return 'text_search_enterprise_atmosphere';
+    if (fields.some(field => ENTERPRISE_FIELDS.includes(field))) return 'text_search_enterprise';
+    if (fields.some(field => !ESSENTIALS_FIELDS.includes(field))) return 'text_search_pro';
+    return 'text_search_essentials';
+}
+
+// Persistent record of billable API calls, kept in data/ so it survives between
+// workflow runs (the workflow commits data/ after every run).
+class ApiLedger {
+    constructor(file, pricing = DEFAULT_PRICING) {
+        this.file = file;
+        this.pricing = pricing;
+        this.data = { months: {}, runs: [] };
+        this.currentRun = null;
+
+        if (fs.existsSync(file)) {
+            this.data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+    }
+
+    monthKey(date = new Date()) {
+        return date.toISOString().slice(0, 7);
+    }
+
+    startRun(details = {}) {
+        this.currentRun = {
+            id: new Date().toISOString(),
+            ...details,
+            skus: {},
+            costUsd: 0
+        };
+        return this.currentRun;
+    }
+
+    record(sku, calls = 1) {
+        if (!this.pricing[sku]) {
+            throw new Error(`No price configured for SKU "${sku}"`);
+        }
+
+        const month = this.monthKey();
+        const monthData = this.data.months[month] || (this.data.months[month] = { skus: {}, costUsd: 0 });
+        const before = monthData.skus[sku] || 0;
+
+        monthData.skus[sku] = before + calls;
+        monthData.costUsd = this.monthCost(monthData.skus);
+
+        if (this.currentRun) {
+            const marginal = this.costForCalls(sku, before + calls) - this.costForCalls(sku, before);
+            this.currentRun.skus[sku] = (this.currentRun.skus[sku] || 0) + calls;
+            this.currentRun.costUsd += marginal;
+        }
+    }
+
+    // Cost of `calls` calls to one SKU within a single month, after the free allowance
+    costForCalls(sku, calls) {
+        const price = this.pricing[sku];
+        const billable = Math.max(0, calls - price.freePerMonth);
+        return (billable * price.perThousandUsd) / 1000;
+    }
+
+    monthCost(skus) {
+        return roundCents(Object.keys(skus).reduce((total, sku) => total + this.costForCalls(sku, skus[sku]), 0));
+    }
+
+    monthUsage(month = this.monthKey()) {
+        return this.data.months[month] || { skus: {}, costUsd: 0 };
+    }
+
+    // How many more calls to `sku` fit in this month's budget
+    affordableCalls(sku, monthlyBudgetUsd) {
+        const usage = this.monthUsage();
+        const price = this.pricing[sku];
+        const used = usage.skus[sku] || 0;
+        const freeLeft = Math.max(0, price.freePerMonth - used);
+
+        if (price.perThousandUsd === 0) return Infinity;
+
+        const budgetLeft = Math.max(0, monthlyBudgetUsd - usage.costUsd);
+        return freeLeft + Math.floor((budgetLeft * 1000) / price.perThousandUsd);
+    }
+
+    finishRun() {
+        if (!this.currentRun) return;
+
+        this.currentRun.finishedAt = new Date().toISOString();
+        this.currentRun.costUsd = roundCents(this.currentRun.costUsd);
+        this.data.runs.push(this.currentRun);
+        // Month totals are kept forever, individual runs only for the last year or so
+        this.data.runs = this.data.runs.slice(-100);
+        this.currentRun = null;
+        this.save();
+    }
+
+    save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+    }
+}
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+module.exports = { ApiLedger, DEFAULT_PRICING, skuForFieldMask };
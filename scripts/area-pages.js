@@ -0,0 +1,237 @@
+const { suburbOf, postcodeOf } = require('./address');
+const { distanceMetres } = require('./geo-grid');
+const { escapeHtml } = require('./template-renderer');
+const { slugify } = require('./tradie-slugs');
+const { tradeOf, tradePath, summarySlots, pathToRoot, locationOf } = require('./tradie-pages');
+
+const SUBURB_DIR = 'suburbs';
+
+// Neighbouring suburbs linked from each page
+const NEIGHBOURING_SUBURBS = 6;
+
+// Licensed first, then best rated
+function byListingOrder(a, b) {
+    return (b.licensed === true) - (a.licensed === true) ||
+        (b.rating || 0) - (a.rating || 0) ||
+        (b.reviewCount || 0) - (a.reviewCount || 0);
+}
+
+function listingStats(tradies) {
+    const licensed = tradies.filter(tradie => tradie.licensed === true).length;
+    const rated = tradies.filter(tradie => tradie.reviewCount > 0);
+    const averageRating = rated.length > 0
+        ? rated.reduce((sum, tradie) => sum + tradie.rating, 0) / rated.length
+        : null;
+
+    return {
+        total: tradies.length,
+        totalLabel: tradies.length === 1 ? 'tradie listed' : 'tradies listed',
+        licensed,
+        licensedRate: tradies.length > 0 ? Math.round((licensed / tradies.length) * 100) : 0,
+        averageRating: averageRating === null ? '-' : averageRating.toFixed(1)
+    };
+}
+
+// Landing pages for searches like "plumber Morley": one per trade, one per
+// suburb and one per suburb and trade that has tradies. Combinations without
+// tradies aren't generated - the suburb page points to the nearest suburbs
+// that have that trade instead.
+class AreaLandingPages {
+    constructor(templates, options = {}) {
+        this.templates = templates;
+        this.siteUrl = options.siteUrl || '';
+    }
+
+    pages(tradies) {
+        const suburbs = this.groupBySuburb(tradies);
+        const categories = [...new Set(tradies.map(tradie => tradie.category))].sort();
+
+        return [
+            ...categories.map(category => this.tradePage(category, tradies, suburbs)),
+            ...suburbs.map(suburb => this.suburbPage(suburb, categories, suburbs)),
+            ...suburbs.flatMap(suburb => [...suburb.byCategory.keys()].map(category => this.suburbTradePage(suburb, category, suburbs)))
+        ];
+    }
+
+    // Suburbs keyed by slug, so "Morley" and "MORLEY" are one suburb shown
+    // with its most common spelling. Located by the average of its tradies'
+    // coordinates, falling back to the postcode.
+    groupBySuburb(tradies) {
+        const bySlug = new Map();
+        for (const tradie of tradies) {
+            const name = suburbOf(tradie.address);
+            if (name === 'Unknown') continue;
+
+            const slug = slugify(name);
+            if (!bySlug.has(slug)) {
+                bySlug.set(slug, { slug, spellings: {}, tradies: [], byCategory: new Map(), points: [], postcodes: [] });
+            }
+            const suburb = bySlug.get(slug);
+            suburb.spellings[name] = (suburb.spellings[name] || 0) + 1;
+            suburb.tradies.push(tradie);
+            if (!suburb.byCategory.has(tradie.category)) suburb.byCategory.set(tradie.category, []);
+            suburb.byCategory.get(tradie.category).push(tradie);
+
+            const location = locationOf(tradie);
+            if (location) suburb.points.push(location);
+            const postcode = postcodeOf(tradie.address);
+            if (postcode) suburb.postcodes.push(postcode);
+        }
+
+        return [...bySlug.values()]
+            .map(suburb => ({
+                slug: suburb.slug,
+                name: Object.entries(suburb.spellings).sort((a, b) => b[1] - a[1])[0][0],
+                tradies: suburb.tradies.sort(byListingOrder),
+                byCategory: new Map([...suburb.byCategory].map(([category, list]) => [category, list.sort(byListingOrder)])),
+                centre: suburb.points.length > 0
+                    ? [0, 1].map(axis => suburb.points.reduce((sum, point) => sum + point[axis], 0) / suburb.points.length)
+                    : null,
+                postcode: suburb.postcodes.length > 0 ? Math.min(...suburb.postcodes) : null
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Nearest by coordinates when both suburbs have them, otherwise by
+    // postcode (WA postcodes run roughly outwards from the city)
+    neighbours(suburb, suburbs, category = null) {
+        return suburbs
+            .filter(other => other !== suburb && (!category || other.byCategory.has(category)))
+            .map(other => ({
+                suburb: other,
+                distance: suburb.centre && other.centre ? distanceMetres(suburb.centre, other.centre) : null,
+                postcodeGap: suburb.postcode && other.postcode ? Math.abs(suburb.postcode - other.postcode) : Infinity
+            }))
+            .sort((a, b) => {
+                if ((a.distance === null) !== (b.distance === null)) return a.distance === null ? 1 : -1;
+                if (a.distance !== null) return a.distance - b.distance;
+                return a.postcodeGap - b.postcodeGap || a.suburb.name.localeCompare(b.suburb.name);
+            })
+            .slice(0, NEIGHBOURING_SUBURBS)
+            .map(({ suburb: other }) => other);
+    }
+
+    tradePage(category, tradies, suburbs) {
+        const trade = tradeOf({ category });
+        const file = `${tradePath(category)}/index.html`;
+        const listed = tradies.filter(tradie => tradie.category === category).sort(byListingOrder);
+        const withTrade = suburbs.filter(suburb => suburb.byCategory.has(category));
+
+        return this.page(file, listed, {
+            title: `${trade.plural} in Perth`,
+            heading: `${trade.plural} in Perth`,
+            intro: `${listed.length} ${trade.plural.toLowerCase()} across ${withTrade.length} Perth suburbs, with licences checked against the WA Building and Energy register.`,
+            breadcrumb: [['Home', 'index.html'], [trade.plural]],
+            sections: [
+                this.linkSection(`${trade.plural} by suburb`, file, withTrade.map(suburb => ({
+                    label: suburb.name,
+                    href: `${tradePath(category)}/${suburb.slug}.html`,
+                    count: suburb.byCategory.get(category).length
+                })))
+            ]
+        });
+    }
+
+    suburbPage(suburb, categories, suburbs) {
+        const file = `${SUBURB_DIR}/${suburb.slug}.html`;
+        const missing = categories.filter(category => !suburb.byCategory.has(category));
+
+        return this.page(file, suburb.tradies, {
+            title: `Tradies in ${suburb.name}`,
+            heading: `Tradies in ${suburb.name}`,
+            intro: `${suburb.tradies.length} local ${suburb.tradies.length === 1 ? 'tradie' : 'tradies'} in ${suburb.name}, WA, with licences checked against the WA Building and Energy register.`,
+            breadcrumb: [['Home', 'index.html'], [suburb.name]],
+            sections: [
+                this.linkSection(`Trades in ${suburb.name}`, file, [...suburb.byCategory].map(([category, listed]) => ({
+                    label: tradeOf({ category }).plural,
+                    href: `${tradePath(category)}/${suburb.slug}.html`,
+                    count: listed.length
+                }))),
+                ...missing.map(category => this.linkSection(
+                    `No ${tradeOf({ category }).plural.toLowerCase()} listed in ${suburb.name} yet - try nearby`,
+                    file,
+                    this.neighbours(suburb, suburbs, category).map(other => ({
+                        label: `${tradeOf({ category }).plural} in ${other.name}`,
+                        href: `${tradePath(category)}/${other.slug}.html`,
+                        count: other.byCategory.get(category).length
+                    }))
+                )),
+                this.linkSection('Neighbouring suburbs', file, this.neighbours(suburb, suburbs).map(other => ({
+                    label: other.name,
+                    href: `${SUBURB_DIR}/${other.slug}.html`,
+                    count: other.tradies.length
+                })))
+            ]
+        });
+    }
+
+    suburbTradePage(suburb, category, suburbs) {
+        const trade = tradeOf({ category });
+        const file = `${tradePath(category)}/${suburb.slug}.html`;
+        const listed = suburb.byCategory.get(category);
+
+        return this.page(file, listed, {
+            title: `${trade.plural} in ${suburb.name}`,
+            heading: `${trade.plural} in ${suburb.name}`,
+            intro: `${listed.length} ${(listed.length === 1 ? trade.name : trade.plural).toLowerCase()} in ${suburb.name}, WA, with licences checked against the WA Building and Energy register.`,
+            breadcrumb: [['Home', 'index.html'], [trade.plural, `${tradePath(category)}/index.html`], [suburb.name]],
+            sections: [
+                this.linkSection(`${trade.plural} in neighbouring suburbs`, file, this.neighbours(suburb, suburbs, category).map(other => ({
+                    label: other.name,
+                    href: `${tradePath(category)}/${other.slug}.html`,
+                    count: other.byCategory.get(category).length
+                }))),
+                this.linkSection(`Other trades in ${suburb.name}`, file, [
+                    ...[...suburb.byCategory]
+                        .filter(([other]) => other !== category)
+                        .map(([other, otherListed]) => ({
+                            label: tradeOf({ category: other }).plural,
+                            href: `${tradePath(other)}/${suburb.slug}.html`,
+                            count: otherListed.length
+                        })),
+                    { label: `All tradies in ${suburb.name}`, href: `${SUBURB_DIR}/${suburb.slug}.html`, count: suburb.tradies.length }
+                ])
+            ]
+        });
+    }
+
+    page(file, tradies, { title, heading, intro, breadcrumb, sections }) {
+        const root = pathToRoot(file);
+        const stats = listingStats(tradies);
+
+        return {
+            file,
+            template: 'listing.html',
+            slots: {
+                title,
+                heading,
+                intro,
+                description: `${heading}: ${stats.total} listed, ${stats.licensed} licensed. ${intro}`,
+                canonicalUrl: this.siteUrl ? `${this.siteUrl}/${file.replace(/index\.html$/, '')}` : '',
+                breadcrumb: breadcrumb
+                    .map(([label, href]) => (href ? `<a href="${escapeHtml(root + href)}">${escapeHtml(label)}</a>` : escapeHtml(label)))
+                    .join(' › '),
+                stats,
+                cards: tradies
+                    .map(tradie => this.templates.renderPartial('tradie-summary', summarySlots(tradie, file)))
+                    .join('\n                    '),
+                sections: sections.filter(Boolean).join('\n\n        ')
+            }
+        };
+    }
+
+    // Skipped when there's nothing to link to
+    linkSection(heading, fromFile, links) {
+        if (links.length === 0) return null;
+
+        const root = pathToRoot(fromFile);
+        return this.templates.renderPartial('area-links', {
+            heading,
+            links: links
+                .map(link => `<li><a href="${escapeHtml(root + link.href)}">${escapeHtml(link.label)}</a> <span class="link-count">(${link.count})</span></li>`)
+                .join('\n                ')
+        });
+    }
+}
+
+module.exports = AreaLandingPages;
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const { TemplateRenderer, TemplateError, escapeHtml } = require('./template-renderer');
+const { TradieProfilePages, TRADES, tradePath, pathToRoot } = require('./tradie-pages');
+const AreaLandingPages = require('./area-pages');
+const { assignSlugs } = require('./tradie-slugs');
+
+const ROOT = path.join(__dirname, '..');
+
+const CONFIG = {
+    DIST_DIR: path.join(ROOT, 'dist'),
+    DATA_FILE: path.join(ROOT, 'data', 'published-tradies.json'),
+    TEMPLATES_DIR: path.join(ROOT, 'templates'),
+
+    // Pages rendered from templates/pages/ into dist/; `data: true` pages get
+    // the tradie list in their `tradies` slot. A profile page per tradie
+    // (tradie-pages.js) and the suburb and trade landing pages (area-pages.js)
+    // are rendered from templates/pages/tradie.html and listing.html.
+    PAGES: [
+        { file: 'index.html', data: true },
+        { file: 'ourpicks.html', data: false },
+        { file: 'about.html', data: false }
+    ],
+
+    // Nav in the shared header; the link to the page being rendered is active
+    NAV: [
+        { label: 'Home', href: 'index.html' },
+        { label: 'Browse', href: 'index.html#categories' },
+        { label: 'Recommended', href: 'ourpicks.html' },
+        { label: 'About', href: 'about.html' }
+    ],
+
+    // Copied as-is. Only what the site links to - caches, history and the
+    // imported registers stay out of the published site.
+    PUBLIC_FILES: ['CNAME', 'data/published-tradies.json', 'data/reports/public-license-report.html'],
+
+    // Published records can't be rendered without these
+    REQUIRED_TRADIE_FIELDS: ['id', 'name', 'category']
+};
+
+class BuildError extends Error {
+    constructor(problems) {
+        super(`Site build failed:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = this.constructor.name;
+        this.problems = problems;
+    }
+}
+
+// Renders the page templates (templates/) with the published tradie data
+// into dist/ for GitHub Pages. Every problem found is
+// collected and the build fails with all of them, rather than deploying a
+// half-rendered site.
+class SiteBuilder {
+    constructor(options = {}) {
+        this.root = options.root || ROOT;
+        this.distDir = options.distDir || CONFIG.DIST_DIR;
+        this.dataFile = options.dataFile || CONFIG.DATA_FILE;
+        this.templates = new TemplateRenderer(options.templatesDir || CONFIG.TEMPLATES_DIR);
+        this.profilePages = new TradieProfilePages(this.templates, { siteUrl: this.siteUrl() });
+        this.areaPages = new AreaLandingPages(this.templates, { siteUrl: this.siteUrl() });
+        this.builtAt = options.builtAt || new Date();
+        this.problems = [];
+    }
+
+    build() {
+        console.log('🏗️  Building site...');
+
+        const data = this.loadData();
+        const pages = this.collectPages(data).map(page => ({ ...page, html: this.renderPage(page, data) }));
+        this.checkLinks(pages);
+        this.checkPublicFiles();
+
+        if (this.problems.length > 0) {
+            throw new BuildError(this.problems);
+        }
+
+        fs.rmSync(this.distDir, { recursive: true, force: true });
+        fs.mkdirSync(this.distDir, { recursive: true });
+
+        for (const page of pages) {
+            const file = path.join(this.distDir, page.file);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, page.html);
+            if (!page.template) console.log(`  📄 ${page.file}`);
+        }
+        console.log(`  👷 ${pages.filter(page => page.template === 'tradie.html').length} tradie profiles`);
+        console.log(`  🗺️  ${pages.filter(page => page.template === 'listing.html').length} suburb and trade pages`);
+        for (const file of CONFIG.PUBLIC_FILES) {
+            const source = path.join(this.root, file);
+            if (!fs.existsSync(source)) continue;
+            fs.cpSync(source, path.join(this.distDir, file), { recursive: true });
+            console.log(`  📋 ${file}`);
+        }
+
+        console.log(`✅ Built ${pages.length} pages for ${data.tradies.length} tradies into ${path.relative(process.cwd(), this.distDir) || '.'}`);
+    }
+
+    loadData() {
+        const empty = { tradies: [] };
+
+        if (!fs.existsSync(this.dataFile)) {
+            this.problems.push(`${path.relative(this.root, this.dataFile)} not found - run scripts/update-website.js first`);
+            return empty;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+        } catch (error) {
+            this.problems.push(`${path.relative(this.root, this.dataFile)} is not valid JSON: ${error.message}`);
+            return empty;
+        }
+
+        if (!Array.isArray(data.tradies) || data.tradies.length === 0) {
+            this.problems.push(`${path.relative(this.root, this.dataFile)} has no tradies`);
+            return empty;
+        }
+
+        const seenIds = new Set();
+        data.tradies.forEach((tradie, index) => {
+            const missing = CONFIG.REQUIRED_TRADIE_FIELDS.filter(field => tradie[field] === undefined || tradie[field] === null || tradie[field] === '');
+            if (missing.length > 0) {
+                this.problems.push(`tradie ${index + 1} (${tradie.name || 'unnamed'}) is missing ${missing.join(', ')}`);
+            }
+            if (seenIds.has(tradie.id)) {
+                this.problems.push(`tradie id ${tradie.id} is used more than once`);
+            }
+            seenIds.add(tradie.id);
+        });
+
+        // Data published before profile pages existed has no slugs yet
+        data.tradies = assignSlugs(data.tradies);
+        const seenSlugs = new Set();
+        for (const tradie of data.tradies) {
+            if (!/^[a-z0-9-]+$/.test(tradie.slug)) {
+                this.problems.push(`tradie ${tradie.id} (${tradie.name}) has an invalid slug "${tradie.slug}"`);
+            }
+            if (seenSlugs.has(tradie.slug)) {
+                this.problems.push(`slug ${tradie.slug} is used more than once`);
+            }
+            seenSlugs.add(tradie.slug);
+        }
+
+        return data;
+    }
+
+    // The fixed pages, then a profile page per tradie and the landing pages
+    collectPages(data) {
+        try {
+            return [...CONFIG.PAGES, ...this.profilePages.pages(data.tradies), ...this.areaPages.pages(data.tradies)];
+        } catch (error) {
+            if (!(error instanceof TemplateError)) throw error;
+            this.problems.push(error.message);
+            return CONFIG.PAGES;
+        }
+    }
+
+    siteUrl() {
+        const cname = path.join(this.root, 'CNAME');
+        return fs.existsSync(cname) ? `https://${fs.readFileSync(cname, 'utf8').trim()}` : '';
+    }
+
+    // Build metadata and data for the page's slots
+    slotsFor(page, data) {
+        const updated = data.lastUpdated ? new Date(data.lastUpdated) : this.builtAt;
+        const slots = {
+            ...page.slots,
+            root: pathToRoot(page.file),
+            lastUpdated: updated.toLocaleString('en-AU', { timeZone: 'Australia/Perth' }),
+            year: this.builtAt.toLocaleString('en-AU', { timeZone: 'Australia/Perth', year: 'numeric' }),
+            builtAt: this.builtAt.toISOString(),
+            navLinks: this.navLinks(page),
+            tradeLinks: this.tradeLinks(page, data),
+            reportLink: this.reportLink(page, data)
+        };
+        if (page.data) {
+            slots.tradies = data.tradies;
+        }
+        return slots;
+    }
+
+    navLinks(page) {
+        return CONFIG.NAV.map(item => {
+            // Links into the page being rendered only need the anchor
+            const href = item.href.startsWith(`${page.file}#`)
+                ? item.href.slice(page.file.length)
+                : `${pathToRoot(page.file)}${item.href}`;
+            const active = item.href === page.file ? ' class="active"' : '';
+            return `<li><a href="${escapeHtml(href)}"${active}>${escapeHtml(item.label)}</a></li>`;
+        }).join('\n                        ');
+    }
+
+    // Footer links to the trade landing pages
+    tradeLinks(page, data) {
+        const categories = [...new Set(data.tradies.map(tradie => tradie.category))].filter(category => TRADES[category]);
+        return categories
+            .map(category => `<a href="${escapeHtml(pathToRoot(page.file) + tradePath(category))}/index.html">${escapeHtml(TRADES[category].plural)}</a>`)
+            .join(' · ');
+    }
+
+    // Footer link to the latest licence report - only once update-website.js
+    // has found one to publish
+    reportLink(page, data) {
+        if (!data.licenseReport || !data.licenseReport.url) return '';
+        return `<p><a href="${escapeHtml(pathToRoot(page.file) + data.licenseReport.url)}">Latest licence verification report</a></p>`;
+    }
+
+    renderPage(page, data) {
+        let html;
+        try {
+            html = this.templates.renderPage(page.template || page.file, this.slotsFor(page, data));
+        } catch (error) {
+            if (!(error instanceof TemplateError)) throw error;
+            this.problems.push(error.message);
+            return null;
+        }
+
+        this.validatePage(page, html, data).forEach(problem => this.problems.push(`${page.file}: ${problem}`));
+        return html;
+    }
+
+    // Checks on the rendered output, so a broken template or data that
+    // escaped its slot fails the build instead of the deploy
+    validatePage(page, html, data) {
+        const problems = [];
+        const count = pattern => (html.match(pattern) || []).length;
+
+        if (!/^<!DOCTYPE html>/i.test(html)) problems.push('doesn\'t start with <!DOCTYPE html>');
+        if (!/<\/html>\s*$/i.test(html)) problems.push('doesn\'t end with </html>');
+        for (const tag of ['html', 'head', 'body', 'header', 'nav', 'footer']) {
+            const opened = count(new RegExp(`<${tag}[\\s>]`, 'gi'));
+            const closed = count(new RegExp(`</${tag}>`, 'gi'));
+            if (opened !== 1 || closed !== 1) problems.push(`expected one <${tag}>, found ${opened} opened and ${closed} closed`);
+        }
+        if (count(/<script[\s>]/gi) !== count(/<\/script>/gi)) problems.push('unbalanced <script> tags');
+        if (count(/<a [^>]*class="active"/g) > 1) problems.push('more than one active nav link');
+
+        const dataBlock = /<script type="application\/json" id="tradies-data">([\s\S]*?)<\/script>/.exec(html);
+        if (page.data) {
+            if (!dataBlock) {
+                problems.push('no tradies-data block');
+            } else {
+                try {
+                    const published = JSON.parse(dataBlock[1]);
+                    if (!Array.isArray(published) || published.length !== data.tradies.length) {
+                        problems.push(`tradies-data has ${Array.isArray(published) ? published.length : 'no'} tradies, expected ${data.tradies.length}`);
+                    }
+                } catch (error) {
+                    problems.push(`tradies-data is not valid JSON: ${error.message}`);
+                }
+            }
+        }
+
+        // Tradie text may contain braces, so look for leftover tags outside the data
+        const markup = html.replace(/<script type="application\/(?:ld\+)?json"[^>]*>[\s\S]*?<\/script>/g, '');
+        const leftover = markup.match(/\{\{[^{}]*\}\}/);
+        if (leftover) problems.push(`template tag ${leftover[0]} left in the output`);
+
+        return problems;
+    }
+
+    // Every link to a rendered page has to point at one that was rendered -
+    // the landing pages link to each other by slug. Links into the copied
+    // public files have to point at a file that will be copied.
+    checkLinks(pages) {
+        const rendered = new Set(pages.map(page => page.file));
+        for (const page of pages) {
+            if (!page.html) continue;
+
+            const broken = new Set();
+            for (const [, href] of page.html.matchAll(/href="([^"]*)"/g)) {
+                if (/^([a-z]+:|\/\/|#)/i.test(href) || href.includes('${')) continue;
+
+                let target = path.posix.normalize(path.posix.join(path.posix.dirname(page.file), href.replace(/[#?].*$/, '')));
+                if (target.endsWith('/')) target += 'index.html';
+                if (CONFIG.PUBLIC_FILES.some(file => target === file || target.startsWith(`${file}/`))) {
+                    if (!fs.existsSync(path.join(this.root, target))) broken.add(href);
+                    continue;
+                }
+                if (!rendered.has(target)) broken.add(href);
+            }
+            broken.forEach(href => this.problems.push(`${page.file}: links to ${href}, which isn't a page or published file`));
+        }
+    }
+
+    checkPublicFiles() {
+        if (!fs.existsSync(path.join(this.root, 'CNAME'))) {
+            this.problems.push('CNAME not found - GitHub Pages would drop the custom domain');
+        }
+    }
+}
+
+function main() {
+    try {
+        new SiteBuilder().build();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { SiteBuilder, BuildError, CONFIG };
@@ -0,0 +1,114 @@
+// Rules used by TradieClassifier. Scores are points out of 100; a place is
+// accepted for its best-scoring trade when that score reaches ACCEPT_SCORE.
+// Tweak weights and keyword lists here rather than in the classifier.
+// Keywords match at the start of a word, case-insensitively ("plumb" matches
+// "Plumbing", "gas" matches "Gasfitting" but not "Vegas").
+
+module.exports = {
+    ACCEPT_SCORE: 50,
+
+    // Below ACCEPT_SCORE but at least this goes to the review queue; anything
+    // lower is simply dropped
+    REVIEW_SCORE: 20,
+
+    // Bonus for the trade we were actually searching for, so ties go that way
+    SEARCHED_TRADE_BONUS: 10,
+
+    // Imported lists (association members, the owner's spreadsheet) state the
+    // trade outright - worth a lot, but not enough on its own to beat a clear
+    // mismatch in the name or Google types
+    DECLARED_TRADE_POINTS: 40,
+
+    TRADES: {
+        electrician: {
+            googleTypes: { electrician: 50 },
+            primaryTypes: { electrician: 20 },
+            nameKeywords: {
+                electrician: 30,
+                electrical: 30,
+                electric: 25,
+                sparky: 30,
+                sparkies: 30,
+                'solar & electrical': 20
+            }
+        },
+        plumber: {
+            googleTypes: { plumber: 50 },
+            primaryTypes: { plumber: 20 },
+            nameKeywords: {
+                plumber: 30,
+                plumbing: 30,
+                plumb: 25,
+                drain: 20,
+                'hot water': 20,
+                leak: 10
+            }
+        },
+        gas_fitter: {
+            // Google has no gas fitter type - gas fitters are nearly always typed plumber
+            googleTypes: { plumber: 25 },
+            primaryTypes: {},
+            nameKeywords: {
+                'gas fitter': 45,
+                'gas fitting': 45,
+                gasfitting: 45,
+                gasfitter: 45,
+                gas: 30
+            }
+        }
+    },
+
+    // Any of these in the name rejects the place outright
+    REJECT_NAME_KEYWORDS: [
+        'bunnings',
+        'masters home improvement',
+        'mitre 10',
+        'reece',
+        'tradelink',
+        'middys',
+        'rexel',
+        'lawrence & hanson',
+        'wholesale',
+        'warehouse',
+        'tafe',
+        'college',
+        'academy',
+        'institute',
+        'training'
+    ],
+
+    // Suspicious but not conclusive - costs points
+    NEGATIVE_NAME_KEYWORDS: {
+        supplies: 40,
+        supply: 40,
+        hardware: 40,
+        store: 30,
+        shop: 20,
+        showroom: 30,
+        lighting: 15,
+        appliance: 15,
+        hire: 20,
+        recruitment: 40,
+        jobs: 40
+    },
+
+    NEGATIVE_GOOGLE_TYPES: {
+        hardware_store: 50,
+        home_improvement_store: 50,
+        home_goods_store: 40,
+        electronics_store: 40,
+        furniture_store: 40,
+        store: 25,
+        wholesaler: 50,
+        school: 60,
+        secondary_school: 60,
+        university: 60,
+        employment_agency: 50
+    },
+
+    // Address must mention one of these; places with no address lose points instead
+    REGION: {
+        required: ['WA', 'Western Australia'],
+        missingAddressPenalty: 10
+    }
+};
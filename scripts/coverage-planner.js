@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Decides which area x trade searches a run should spend its budget on.
+// Every search remembers when it last ran and how much it found; each run
+// takes the stalest (and, among equally stale, the most productive) searches
+// that fit the call budget, so the whole list rolls through once per cycle.
+class CoveragePlanner {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.cycleDays = options.cycleDays || 28;
+        this.runIntervalDays = options.runIntervalDays || 7;
+        this.yieldWeight = options.yieldWeight !== undefined ? options.yieldWeight : 0.5;
+        this.defaultCallsPerItem = options.defaultCallsPerItem || 1;
+        this.state = { cells: {} };
+
+        if (fs.existsSync(file)) {
+            this.state = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+    }
+
+    // Higher = more urgent. Never-searched cells always come first.
+    priority(item, now, maxYield) {
+        const history = this.state.cells[item.key];
+        if (!history || !history.lastQueried) return Infinity;
+
+        const ageDays = (now - new Date(history.lastQueried).getTime()) / DAY_MS;
+        const staleness = ageDays / this.cycleDays;
+        const yieldScore = maxYield > 0 ? (history.lastYield || 0) / maxYield : 0;
+
+        // Overdue cells outrank anything still inside its cycle, whatever the yield
+        return (staleness >= 1 ? 10 : 0) + staleness + this.yieldWeight * yieldScore;
+    }
+
+    // Expected API calls for an item, based on how many pages it needed last time
+    estimateCalls(item) {
+        const history = this.state.cells[item.key];
+        return Math.max(1, (history && history.lastPages) || this.defaultCallsPerItem);
+    }
+
+    plan(items, callBudget) {
+        const now = Date.now();
+        const maxYield = Math.max(0, ...items.map(item => (this.state.cells[item.key] || {}).lastYield || 0));
+
+        const ranked = items
+            .map((item, order) => ({ item, order, priority: this.priority(item, now, maxYield) }))
+            // Stable for ties (e.g. all never searched) so config order still decides
+            .sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+        const planned = [];
+        let estimatedCalls = 0;
+        for (const { item } of ranked) {
+            const calls = this.estimateCalls(item);
+            if (estimatedCalls + calls > callBudget) break;
+            planned.push(item);
+            estimatedCalls += calls;
+        }
+
+        const overdue = ranked.filter(({ priority }) => priority >= 10).length;
+        const neededPerRun = Math.ceil(
+            items.reduce((total, item) => total + this.estimateCalls(item), 0) * (this.runIntervalDays / this.cycleDays)
+        );
+
+        return {
+            items: planned,
+            estimatedCalls,
+            overdue,
+            neededPerRun,
+            // Can the budget keep every search within the cycle?
+            keepsUp: callBudget >= neededPerRun
+        };
+    }
+
+    record(item, stats) {
+        const history = this.state.cells[item.key] || { runs: 0, totalYield: 0 };
+
+        this.state.cells[item.key] = {
+            ...history,
+            lastQueried: new Date().toISOString(),
+            lastYield: stats.kept,
+            lastPages: stats.pages,
+            runs: history.runs + 1,
+            totalYield: history.totalYield + stats.kept
+        };
+    }
+
+    save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(this.file, JSON.stringify({
+            lastUpdated: new Date().toISOString(),
+            cycleDays: this.cycleDays,
+            cells: this.state.cells
+        }, null, 2));
+    }
+}
+
+module.exports = CoveragePlanner;
@@ -0,0 +1,79 @@
+// Minimal RFC 4180 CSV parsing - quoted fields, escaped quotes ("") and
+// newlines inside quotes. Good enough for spreadsheet exports; no dependencies.
+
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Excel likes to start UTF-8 exports with a byte order mark
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// First row is the header; header names are lower-cased with punctuation and
+// spaces turned into underscores ("Business Name" -> business_name,
+// "Licence No." -> licence_no) and "#" read as "number" ("Licence #" -> licence_number)
+function columnName(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/#/g, ' number ')
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+function rowsToRecords(rows) {
+    const [header, ...body] = rows;
+    if (!header) return [];
+
+    const columns = header.map(columnName);
+    return body.map(cells => {
+        const record = {};
+        columns.forEach((column, index) => {
+            record[column] = String(cells[index] === undefined || cells[index] === null ? '' : cells[index]).trim();
+        });
+        return record;
+    });
+}
+
+function parseCsv(text) {
+    return rowsToRecords(parseCsvRows(text));
+}
+
+module.exports = { parseCsv, parseCsvRows, rowsToRecords };
@@ -1,7 +1,13 @@
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const { URL } = require('url');
+const { HttpClient, HttpError, HttpStatusError } = require('./http-client');
+const { FixtureHttpClient } = require('./fixture-http-client');
+const { ApiLedger, DEFAULT_PRICING, skuForFieldMask } = require('./api-ledger');
+const { PERTH_METRO_POLYGON, tilePolygon, subdivideCell } = require('./geo-grid');
+const TradieClassifier = require('./tradie-classifier');
+const DiscoveryCheckpoint = require('./discovery-checkpoint');
+const { GooglePlacesProvider, createFileProvider } = require('./providers');
+const CoveragePlanner = require('./coverage-planner');
 
 // CONFIGURATION - ADJUST THESE TO LIMIT API CALLS
 const CONFIG = {
@@ -57,158 +63,539 @@ const CONFIG = {
         { type: 'gas_fitter', query: 'gas fitter' }
     ],
     
+    // 'suburbs' = free-text "<trade> in <suburb>" queries from TEST_SUBURBS
+    // 'grid'    = tile GRID.POLYGON and restrict each query to one cell (--grid)
+    SEARCH_MODE: 'suburbs',
+    
+    GRID: {
+        POLYGON: PERTH_METRO_POLYGON,
+        CELL_RADIUS_M: 6000,         // Starting cell size (~73 cells over metro Perth)
+        MIN_CELL_RADIUS_M: 1500,     // Never subdivide below this
+        MAX_SUBDIVISION_DEPTH: 2,
+        COVERAGE_FILE: path.join(__dirname, '..', 'data', 'grid-coverage.json')
+    },
+    
     // Reduce results per search
     PAGE_SIZE: 5,  // Default 20, reduce to 5 for testing
     
-    // Add delay between calls (ms)
-    API_DELAY: 500  // Half second between calls
+    // Follow nextPageToken up to this many pages per query (each page = 1 API call)
+    MAX_PAGES_PER_QUERY: 3,
+    
+    // Places fields requested - the most expensive field decides the billed SKU
+    FIELD_MASK: 'places.id,places.displayName,places.formattedAddress,places.nationalPhoneNumber,places.websiteUri,places.rating,places.userRatingCount,places.types,places.primaryType,places.businessStatus,places.location,places.regularOpeningHours,places.googleMapsUri,nextPageToken',
+    
+    // Permanently closed places are never added as new tradies; existing ones are
+    // kept but carry business_status so the website build drops them
+    SKIP_NEW_CLOSED: true,
+    
+    // Places that nearly pass classification (see classification-rules.js) land here
+    REVIEW_QUEUE_FILE: path.join(__dirname, '..', 'data', 'review-queue.json'),
+    
+    // Progress of an unfinished pass (--resume continues it, --restart throws it away)
+    CHECKPOINT_FILE: path.join(__dirname, '..', 'data', 'discovery-checkpoint.json'),
+    
+    // Rotation of suburb x trade searches across runs (see coverage-planner.js)
+    PLANNER: {
+        STATE_FILE: path.join(__dirname, '..', 'data', 'coverage-plan.json'),
+        CYCLE_DAYS: 28,          // Every search should be refreshed at least this often
+        RUN_INTERVAL_DAYS: 7,    // How often the workflow runs (weekly cron)
+        YIELD_WEIGHT: 0.5        // How much past results push a search up the queue
+    },
+    
+    // Monthly spend cap across ALL runs (tracked in data/api-ledger.json).
+    // 0 = stay inside the free tier. Override with PLACES_MONTHLY_BUDGET_USD.
+    MONTHLY_BUDGET_USD: 0,
+    PRICING: DEFAULT_PRICING,
+    LEDGER_FILE: path.join(__dirname, '..', 'data', 'api-ledger.json'),
+    
+    // Rate limit and retry policy for Places calls (replaces the old fixed delay)
+    HTTP: {
+        requestsPerSecond: 2,  // Token bucket refill rate
+        burst: 1,
+        concurrency: 2,
+        timeoutMs: 15000,
+        maxRetries: 3          // Retries on 429/5xx/timeouts, with backoff
+    },
+    
+    // Record/replay of Places calls for offline runs (--record / --replay or PLACES_FIXTURE_MODE)
+    FIXTURE_DIR: path.join(__dirname, '..', 'fixtures', 'places')
 };
 
+// Fields owned by Google Places - refreshed on every run, everything else is preserved
+const PLACES_FIELDS = [
+    'business_name',
+    'address',
+    'phone',
+    'website',
+    'rating',
+    'review_count',
+    'google_types',
+    'primary_type',
+    'business_status',
+    'location',
+    'opening_hours',
+    'google_maps_uri'
+];
+
+// Thrown by the call counter when an attempt would go over maxCalls
+class ApiLimitError extends Error {
+    constructor(maxCalls) {
+        super(`API limit reached (${maxCalls} calls)`);
+        this.name = this.constructor.name;
+    }
+}
+
 class LimitedTradieDiscovery {
-    constructor() {
+    constructor(options = {}) {
         this.apiKey = process.env.GOOGLE_PLACES_API_KEY;
-        this.textSearchUrl = 'https://places.googleapis.com/v1/places:searchText';
         this.results = [];
         this.apiCallCount = 0;
-        this.maxCalls = CONFIG.MAX_API_CALLS;
-    }
-
-    makePostRequest(url, data, headers) {
-        return new Promise((resolve, reject) => {
-            const parsedUrl = new URL(url);
-            const postData = JSON.stringify(data);
-            
-            const options = {
-                hostname: parsedUrl.hostname,
-                path: parsedUrl.pathname,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Perth-Trades-Hub/1.0',
-                    ...headers
-                }
-            };
-
-            const req = https.request(options, (res) => {
-                let responseData = '';
-                
-                res.on('data', (chunk) => {
-                    responseData += chunk;
-                });
-                
-                res.on('end', () => {
-                    try {
-                        const jsonData = JSON.parse(responseData);
-                        resolve(jsonData);
-                    } catch (error) {
-                        reject(new Error(`Failed to parse JSON: ${error.message}`));
-                    }
-                });
-            });
-
-            req.on('error', (error) => {
-                reject(error);
-            });
-
-            req.write(postData);
-            req.end();
+        this.maxCalls = options.maxCalls || CONFIG.MAX_API_CALLS;
+        this.fixtureMode = options.fixtureMode || process.env.PLACES_FIXTURE_MODE || null;
+        
+        // A replay is a dry run - it never writes over the real data/ files, so
+        // it needs somewhere else to put its results. The review queue,
+        // checkpoint and planner state go next to them.
+        if (this.fixtureMode === 'replay' && !options.outputFile) {
+            throw new Error('Replay needs --out <file> - fixture results are never merged into data/tradies.json');
+        }
+        this.outputFile = options.outputFile || path.join(__dirname, '..', 'data', 'tradies.json');
+        const sideFile = (file, fallback) => file || (this.fixtureMode === 'replay'
+            ? path.join(path.dirname(this.outputFile), path.basename(fallback))
+            : fallback);
+        this.reviewQueueFile = sideFile(options.reviewQueueFile, CONFIG.REVIEW_QUEUE_FILE);
+        this.coverageFile = sideFile(options.coverageFile, CONFIG.GRID.COVERAGE_FILE);
+        
+        this.searchMode = options.searchMode || process.env.DISCOVERY_MODE || CONFIG.SEARCH_MODE;
+        this.coverage = {};
+        this.classifier = new TradieClassifier();
+        this.reviewQueue = [];
+        this.resumeMode = options.resumeMode || null;
+        this.checkpoint = new DiscoveryCheckpoint(sideFile(options.checkpointFile, CONFIG.CHECKPOINT_FILE));
+        this.planner = new CoveragePlanner(sideFile(options.plannerFile, CONFIG.PLANNER.STATE_FILE), {
+            cycleDays: CONFIG.PLANNER.CYCLE_DAYS,
+            runIntervalDays: CONFIG.PLANNER.RUN_INTERVAL_DAYS,
+            yieldWeight: CONFIG.PLANNER.YIELD_WEIGHT
+        });
+        
+        // Every attempt is counted, retries included (countCall)
+        const httpOptions = { ...CONFIG.HTTP, onAttempt: () => this.countCall() };
+        if (this.fixtureMode) {
+            const fixtureDir = options.fixtureDir || process.env.PLACES_FIXTURE_DIR || CONFIG.FIXTURE_DIR;
+            this.http = new FixtureHttpClient(this.fixtureMode, fixtureDir, httpOptions);
+        } else {
+            this.http = new HttpClient(httpOptions);
+        }
+        this.places = new GooglePlacesProvider({
+            apiKey: this.apiKey,
+            http: this.http,
+            fieldMask: CONFIG.FIELD_MASK,
+            pageSize: CONFIG.PAGE_SIZE
         });
+        
+        this.sku = skuForFieldMask(CONFIG.FIELD_MASK);
+        this.monthlyBudget = monthlyBudgetFrom(process.env.PLACES_MONTHLY_BUDGET_USD);
+        // Replayed calls cost nothing, so they stay out of the ledger
+        this.ledger = this.fixtureMode === 'replay' ? null : new ApiLedger(options.ledgerFile || CONFIG.LEDGER_FILE, CONFIG.PRICING);
     }
 
     async searchTradies() {
         console.log('🔍 Starting LIMITED tradie discovery...');
-        console.log(`📊 Limits: ${this.maxCalls} API calls max, ${CONFIG.TEST_SUBURBS.length} suburbs, ${CONFIG.TEST_TRADES.length} trades`);
         
-        if (!this.apiKey) {
+        const universe = this.buildWorkItems();
+        if (this.searchMode === 'grid') {
+            console.log(`📊 Limits: ${this.maxCalls} API calls max, ${universe.length / CONFIG.TEST_TRADES.length} grid cells (${CONFIG.GRID.CELL_RADIUS_M}m), ${CONFIG.TEST_TRADES.length} trades`);
+        } else {
+            console.log(`📊 Limits: ${this.maxCalls} API calls max, ${CONFIG.TEST_SUBURBS.length} suburbs, ${CONFIG.TEST_TRADES.length} trades`);
+        }
+        
+        if (this.fixtureMode) {
+            console.log(`📼 Fixture mode: ${this.fixtureMode} (${this.http.fixtureDir})`);
+        }
+        
+        // Replay never reaches Google, so it runs without a key
+        if (!this.apiKey && this.fixtureMode !== 'replay') {
             console.error('❌ GOOGLE_PLACES_API_KEY environment variable not set');
             return;
         }
         
-        searchLoop:
-        for (const suburb of CONFIG.TEST_SUBURBS) {
-            for (const trade of CONFIG.TEST_TRADES) {
-                // Check if we've hit our API limit
-                if (this.apiCallCount >= this.maxCalls) {
-                    console.log(`\n🛑 API LIMIT REACHED (${this.maxCalls} calls)`);
-                    break searchLoop;
-                }
-                
-                await this.searchInLocation(suburb, trade);
-                await this.delay(CONFIG.API_DELAY);
+        const { workItems, startIndex } = this.planRun(universe);
+        if (!workItems) {
+            return;
+        }
+        
+        if (this.ledger) {
+            this.ledger.startRun({ mode: this.fixtureMode || 'live', sku: this.sku });
+        }
+        
+        let nextIndex = startIndex;
+        try {
+            nextIndex = await this.runWorkItems(workItems, startIndex);
+        } finally {
+            // Calls already made are billed even if the run dies half way
+            if (this.ledger) {
+                this.runCost = this.ledger.currentRun.costUsd;
+                this.ledger.finishRun();
             }
         }
         
         console.log(`\n📊 FINAL RESULTS:`);
         console.log(`   API calls used: ${this.apiCallCount}/${this.maxCalls}`);
+        console.log(`   HTTP retries: ${this.http.stats.retries}, failures: ${this.http.stats.failures}`);
         console.log(`   Businesses found: ${this.results.length}`);
-        console.log(`   Estimated cost: $0 (within free tier)`);
+        console.log(`   Progress: ${nextIndex}/${workItems.length} planned searches done (${universe.length} in the full cycle)`);
+        if (this.ledger) {
+            const month = this.ledger.monthUsage();
+            console.log(`   Estimated cost this run: $${this.runCost.toFixed(2)} (${CONFIG.PRICING[this.sku].label})`);
+            console.log(`   Month to date: ${month.skus[this.sku] || 0} calls, $${month.costUsd.toFixed(2)} of $${this.monthlyBudget.toFixed(2)} budget`);
+        } else {
+            console.log(`   Estimated cost: $0 (replayed from fixtures)`);
+        }
         
         this.saveResults();
+        this.saveReviewQueue();
+        if (this.searchMode === 'grid') {
+            this.saveCoverage();
+        }
+        
+        if (nextIndex >= workItems.length) {
+            this.checkpoint.clear();
+            console.log(`🏁 Planned searches complete - next run picks the next stalest cells`);
+        } else {
+            // Results are in tradies.json now, the checkpoint only needs the cursor
+            this.saveCheckpoint(workItems, nextIndex, { includeResults: false });
+            console.log(`⏸️  Stopped at ${workItems[nextIndex].label} - run with --resume to continue`);
+        }
         return this.results;
     }
 
-    async searchInLocation(location, trade) {
-        const query = `${trade.query} in ${location}`;
-        console.log(`\nSearching: ${query} (Call ${this.apiCallCount + 1}/${this.maxCalls})`);
+    // One entry per area x trade - the full coverage cycle. `key` identifies
+    // the entry across runs for the planner and the checkpoint.
+    buildWorkItems() {
+        const areas = this.searchMode === 'grid'
+            ? tilePolygon(CONFIG.GRID.POLYGON, CONFIG.GRID.CELL_RADIUS_M).map(cell => ({ id: cell.id, label: `cell ${cell.id}`, cell }))
+            : CONFIG.TEST_SUBURBS.map(suburb => ({ id: suburb, label: suburb, cell: null }));
         
-        try {
-            const requestData = {
-                textQuery: query,
-                pageSize: CONFIG.PAGE_SIZE,  // Limit results per call
-                languageCode: "en"
-            };
+        const items = [];
+        const seen = new Set();
+        for (const area of areas) {
+            for (const trade of CONFIG.TEST_TRADES) {
+                // Suburbs listed twice in the config are only searched once
+                const key = `${area.id}|${trade.type}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                
+                items.push({
+                    key,
+                    label: `${trade.query} / ${area.label}`,
+                    location: area.id,
+                    cell: area.cell,
+                    trade
+                });
+            }
+        }
+        return items;
+    }
 
-            const headers = {
-                'X-Goog-Api-Key': this.apiKey,
-                'X-Goog-FieldMask': 'places.id,places.displayName,places.formattedAddress,places.nationalPhoneNumber,places.websiteUri,places.rating,places.userRatingCount,places.types'
-            };
+    // Pick this run's searches: the rest of an interrupted plan with --resume,
+    // otherwise whatever the coverage planner says is most due and affordable.
+    // Returns { workItems: null } when the run should not start.
+    planRun(universe) {
+        const resumed = this.loadCheckpoint(universe);
+        if (resumed) {
+            const remaining = resumed.workItems.slice(resumed.startIndex);
+            const estimate = remaining.reduce((total, item) => total + this.planner.estimateCalls(item), 0);
+            return this.applyBudget(estimate) ? resumed : { workItems: null };
+        }
+        
+        const fullCycle = universe.reduce((total, item) => total + this.planner.estimateCalls(item), 0);
+        if (!this.applyBudget(fullCycle)) {
+            return { workItems: null };
+        }
+        
+        const plan = this.planner.plan(universe, this.maxCalls);
+        console.log(`🗓️  Planned ${plan.items.length}/${universe.length} searches (~${plan.estimatedCalls} calls), ${plan.overdue} overdue for the ${this.planner.cycleDays}-day cycle`);
+        if (!plan.keepsUp) {
+            console.log(`⚠️  ${this.maxCalls} calls per run can't cover everything every ${this.planner.cycleDays} days - needs ~${plan.neededPerRun} per run`);
+        }
+        return { workItems: plan.items, startIndex: 0 };
+    }
 
-            const data = await this.makePostRequest(this.textSearchUrl, requestData, headers);
-            this.apiCallCount++;
+    // Returns the index of the first unfinished item
+    async runWorkItems(workItems, startIndex) {
+        for (let index = startIndex; index < workItems.length; index++) {
+            // Check if we've hit our API limit
+            if (this.apiCallCount >= this.maxCalls) {
+                console.log(`\n🛑 API LIMIT REACHED (${this.maxCalls} calls)`);
+                return index;
+            }
             
-            if (data.places && Array.isArray(data.places)) {
-                console.log(`  📍 Found ${data.places.length} results`);
+            const item = workItems[index];
+            const stats = item.cell
+                ? await this.searchCell(item.cell, item.trade)
+                : await this.searchInLocation(item.location, item.trade);
+            
+            if (stats.failed) {
+                // Still failing after the HTTP client's retries - stop here so
+                // --resume (or the next planned run) tries this search again
+                console.log(`\n⏸️  ${item.label} failed - stopping the run here`);
+                return index;
+            }
+            if (stats.limited) {
+                // Cut off part way through - redo this search next time
+                return index;
+            }
+            this.planner.record(item, stats);
+            if (this.fixtureMode !== 'replay') {
+                this.planner.save();
+            }
+            this.saveCheckpoint(workItems, index + 1, { includeResults: true });
+        }
+        return workItems.length;
+    }
+
+    // Returns { workItems, startIndex } for a usable checkpoint with --resume, else null.
+    // --restart throws the checkpoint away.
+    loadCheckpoint(universe) {
+        if (this.resumeMode === 'restart') {
+            if (this.checkpoint.exists()) {
+                this.checkpoint.clear();
+                console.log('🗑️  Discarded discovery checkpoint (--restart)');
+            }
+            return null;
+        }
+        
+        const state = this.checkpoint.load();
+        if (!state) return null;
+        
+        if (this.resumeMode !== 'resume') {
+            console.log(`ℹ️  Checkpoint found at ${state.nextIndex}/${state.totalItems} - ignoring it (use --resume to continue, --restart to discard)`);
+            return null;
+        }
+        
+        const byKey = new Map(universe.map(item => [item.key, item]));
+        const keys = state.keys || [];
+        if (state.mode !== this.searchMode || keys.length === 0 || !keys.every(key => byKey.has(key))) {
+            console.log('⚠️  Checkpoint was made with different suburbs/trades/grid - planning a fresh run');
+            return null;
+        }
+        
+        const workItems = keys.map(key => byKey.get(key));
+        this.results = state.results || [];
+        this.reviewQueue = state.reviewQueue || [];
+        this.coverage = state.coverage || {};
+        console.log(`▶️  Resuming at ${state.nextIndex}/${state.totalItems}: ${workItems[state.nextIndex] ? workItems[state.nextIndex].label : 'end'} (${this.results.length} unsaved results restored)`);
+        return { workItems, startIndex: state.nextIndex };
+    }
+
+    saveCheckpoint(workItems, nextIndex, { includeResults }) {
+        this.checkpoint.save({
+            mode: this.searchMode,
+            keys: workItems.map(item => item.key),
+            nextIndex,
+            totalItems: workItems.length,
+            results: includeResults ? this.results : [],
+            reviewQueue: includeResults ? this.reviewQueue : [],
+            coverage: includeResults ? this.coverage : {}
+        });
+    }
+
+    // Query one cell; if it still had more pages when we stopped, the cell is
+    // too dense for a single query, so search its four quarters as well.
+    // Returns stats summed over the cell and its quarters.
+    async searchCell(cell, trade) {
+        const stats = await this.searchInLocation(`cell ${cell.id}`, trade, cell);
+        if (stats.limited || stats.failed) return stats;
+        
+        const canSplit = cell.depth < CONFIG.GRID.MAX_SUBDIVISION_DEPTH &&
+            cell.radius_m / 2 >= CONFIG.GRID.MIN_CELL_RADIUS_M;
+        const subdivide = stats.saturated && canSplit;
+        
+        this.recordCoverage(cell, trade, { ...stats, subdivided: subdivide });
+        
+        const total = { found: stats.found, kept: stats.kept, pages: stats.pages, limited: false, failed: false };
+        if (!subdivide) return total;
+        
+        console.log(`  🔲 Dense cell ${cell.id} - subdividing`);
+        for (const child of subdivideCell(cell)) {
+            if (this.apiCallCount >= this.maxCalls) {
+                return { ...total, limited: true };
+            }
+            const childStats = await this.searchCell(child, trade);
+            total.found += childStats.found;
+            total.kept += childStats.kept;
+            total.pages += childStats.pages;
+            if (childStats.limited || childStats.failed) {
+                return { ...total, limited: childStats.limited, failed: childStats.failed };
+            }
+        }
+        return total;
+    }
+
+    recordCoverage(cell, trade, stats) {
+        const entry = this.coverage[cell.id] || (this.coverage[cell.id] = {
+            center: cell.center,
+            radius_m: cell.radius_m,
+            depth: cell.depth,
+            trades: {}
+        });
+        entry.trades[trade.type] = stats;
+    }
+
+    saveCoverage() {
+        const cells = Object.values(this.coverage);
+        const coverageData = {
+            lastUpdated: new Date().toISOString(),
+            cellRadius_m: CONFIG.GRID.CELL_RADIUS_M,
+            cellsSearched: cells.length,
+            emptyCells: cells.filter(cell => Object.values(cell.trades).every(stats => stats.found === 0)).length,
+            cells: this.coverage
+        };
+        
+        fs.writeFileSync(this.coverageFile, JSON.stringify(coverageData, null, 2));
+        console.log(`🗺️  Grid coverage saved to ${path.relative(path.join(__dirname, '..'), this.coverageFile)} (${coverageData.cellsSearched} cells, ${coverageData.emptyCells} empty)`);
+    }
+
+    // Shrink maxCalls to what this month's budget still allows. Returns false
+    // when nothing is affordable and the run should not start at all.
+    applyBudget(plannedCalls) {
+        if (!this.ledger) return true;
+        
+        const affordable = this.ledger.affordableCalls(this.sku, this.monthlyBudget);
+        const month = this.ledger.monthUsage();
+        console.log(`💰 Month to date: ${month.skus[this.sku] || 0} ${this.sku} calls, $${month.costUsd.toFixed(2)} spent, budget $${this.monthlyBudget.toFixed(2)}`);
+        
+        if (affordable < 1) {
+            console.error(`❌ Monthly budget exhausted - refusing to start (raise MONTHLY_BUDGET_USD to continue)`);
+            return false;
+        }
+        
+        const wanted = Math.min(this.maxCalls, plannedCalls);
+        if (affordable < wanted) {
+            console.log(`✂️  Budget allows ${affordable} more calls this month - cutting plan from ${wanted} to ${affordable}`);
+            this.maxCalls = affordable;
+        }
+        return true;
+    }
+
+    // Google bills failed and retried calls too, so every HTTP attempt counts
+    // against maxCalls and goes in the ledger - not just every page. An attempt
+    // past the limit isn't sent, so a retry never takes a run over its budget.
+    countCall() {
+        if (this.apiCallCount >= this.maxCalls) {
+            throw new ApiLimitError(this.maxCalls);
+        }
+        this.apiCallCount++;
+        if (this.ledger) {
+            this.ledger.record(this.sku);
+        }
+    }
+
+    // `cell` is only set in grid mode: the query is then just the trade and the
+    // cell rectangle does the geographic work. Returns page stats for the caller.
+    async searchInLocation(location, trade, cell = null) {
+        const query = cell ? trade.query : `${trade.query} in ${location}`;
+        console.log(`\nSearching: ${query}${cell ? ` in ${location} (${cell.radius_m}m)` : ''}`);
+        
+        let pageToken = null;
+        let page = 0;
+        let totalFound = 0;
+        let totalAdded = 0;
+        let limited = false;
+        let failed = false;
+        
+        try {
+            do {
+                // Every page is a billable call
+                if (this.apiCallCount >= this.maxCalls) {
+                    console.log(`  🛑 API limit reached, stopping after ${page} page(s)`);
+                    limited = true;
+                    break;
+                }
+                
+                page++;
+                const data = await this.places.fetchPage({ textQuery: query, cell, pageToken });
+                const places = data.places;
+                let added = 0;
                 
-                for (const place of data.places) {
-                    const processedPlace = await this.processPlace(place, trade, location);
-                    if (processedPlace) {
-                        this.results.push(processedPlace);
-                        console.log(`    ✅ ${place.displayName?.text || 'Unknown'}`);
+                for (const place of places) {
+                    if (await this.addPlace(place, trade, location, { provider: this.places, cell })) {
+                        added++;
                     }
                 }
-            } else {
+                
+                totalFound += places.length;
+                totalAdded += added;
+                pageToken = data.nextPageToken;
+                console.log(`  📄 Page ${page}: ${places.length} results, ${added} kept (Call ${this.apiCallCount}/${this.maxCalls})${pageToken ? ', more available' : ''}`);
+            } while (pageToken && page < CONFIG.MAX_PAGES_PER_QUERY);
+            
+            if (totalFound === 0) {
                 console.log(`  No results found`);
-                if (data.error) {
-                    console.log(`  Error: ${data.error.message}`);
-                }
+            } else {
+                console.log(`  📍 Found ${totalFound} results over ${page} page(s), kept ${totalAdded}`);
+            }
+            if (pageToken) {
+                console.log(`  ⚠️  Stopped with more pages available (cap: ${CONFIG.MAX_PAGES_PER_QUERY})`);
             }
         } catch (error) {
-            console.error(`❌ Error searching ${query}:`, error.message);
+            if (error instanceof ApiLimitError) {
+                // Out of calls while retrying - stopped like any other limited search
+                console.log(`  🛑 API limit reached while retrying page ${page}`);
+                limited = true;
+            } else if (error instanceof HttpStatusError && (error.status === 401 || error.status === 403)) {
+                // Bad key or API not enabled - every other search would fail the same way
+                throw error;
+            } else {
+                const kind = error instanceof HttpError ? error.name : 'Error';
+                console.error(`❌ ${kind} searching ${query}:`, error.message);
+                failed = true;
+            }
         }
+        
+        return { found: totalFound, kept: totalAdded, pages: page, saturated: Boolean(pageToken), limited, failed };
     }
 
-    async processPlace(place, trade, location) {
-        try {
-            const placeData = {
-                google_place_id: place.id,
-                business_name: place.displayName?.text || 'Unknown Business',
-                address: place.formattedAddress,
-                phone: place.nationalPhoneNumber,
-                website: place.websiteUri,
-                rating: place.rating,
-                review_count: place.userRatingCount,
-                google_types: place.types || []
-            };
+    // Process one raw record from any provider and keep it if it passes
+    async addPlace(raw, trade, location, context) {
+        const processedPlace = await this.processPlace(raw, trade, location, context);
+        if (!processedPlace) return false;
+        
+        this.results.push(processedPlace);
+        if (processedPlace.business_status === 'OPERATIONAL') {
+            console.log(`    ✅ ${processedPlace.business_name} → ${processedPlace.trade_type} (${processedPlace.trade_confidence.toFixed(2)})`);
+        } else {
+            console.log(`    🚫 ${processedPlace.business_name} (${processedPlace.business_status})`);
+        }
+        return true;
+    }
 
-            // Simple validation
-            if (this.isValidTradie(placeData)) {
+    // Shared by every provider: normalise, classify, tag with the source.
+    // `trade` is what we searched for (or the import's stated trade, if any).
+    async processPlace(raw, trade, location, { provider, cell = null }) {
+        try {
+            const placeData = this.normalisePlace(provider.toPlaceData(raw));
+            const classification = this.classifier.classify(placeData, trade.type);
+            
+            if (classification.accepted) {
                 return {
                     ...placeData,
-                    trade_type: trade.type,
+                    trade_type: classification.trade,
+                    trade_confidence: classification.confidence,
+                    classification_reasons: classification.reasons,
+                    source: provider.name,
                     discovered_location: location,
-                    discovered_date: new Date().toISOString()
+                    discovered_date: new Date().toISOString(),
+                    ...(cell && {
+                        discovered_cell: { id: cell.id, center: cell.center, radius_m: cell.radius_m }
+                    })
                 };
             }
+            
+            if (classification.review) {
+                this.queueForReview({ ...placeData, source: provider.name }, trade, location, classification);
+            }
+            console.log(`    ⏭️  ${placeData.business_name}: ${classification.reasons[classification.reasons.length - 1]}${classification.review ? ' (queued for review)' : ''}`);
         } catch (error) {
             console.error(`❌ Error processing place:`, error.message);
         }
@@ -216,71 +603,327 @@ class LimitedTradieDiscovery {
         return null;
     }
 
-    isValidTradie(place) {
-        const name = place.business_name.toLowerCase();
-        const address = place.address || '';
+    // Tidy the fields every source gets wrong in its own way
+    normalisePlace(placeData) {
+        const clean = value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value) || undefined;
         
-        // Basic filtering
-        const excludeKeywords = ['bunnings', 'masters'];
+        const normalised = { ...placeData };
+        for (const field of ['business_name', 'address', 'phone', 'website']) {
+            normalised[field] = clean(placeData[field]);
+        }
+        normalised.business_name = normalised.business_name || 'Unknown Business';
+        if (normalised.website && !/^https?:\/\//i.test(normalised.website)) {
+            normalised.website = `https://${normalised.website}`;
+        }
+        normalised.google_types = placeData.google_types || [];
+        normalised.business_status = placeData.business_status || 'OPERATIONAL';
         
-        for (const keyword of excludeKeywords) {
-            if (name.includes(keyword)) {
-                return false;
-            }
+        // Drop empty optional fields so imports don't write "undefined" keys
+        for (const key of Object.keys(normalised)) {
+            if (normalised[key] === undefined) delete normalised[key];
         }
+        return normalised;
+    }
+
+    // Feed file imports (CSV/JSON) through the same pipeline as Places results.
+    // No API calls, so no budget, planner or checkpoint.
+    async importFiles(files) {
+        console.log(`📥 Importing ${files.length} file(s)...`);
         
-        // Must be in WA
-        if (address && !address.includes('WA') && !address.includes('Western Australia')) {
-            return false;
+        for (const file of files) {
+            const provider = createFileProvider(file);
+            const records = provider.load();
+            console.log(`\n📄 ${provider.ref}: ${records.length} records (${provider.name})`);
+            
+            let added = 0;
+            for (const record of records) {
+                // The file's own trade column stands in for the search query
+                const declared = provider.toPlaceData(record).declared_trade;
+                const trade = { type: declared || null, query: declared || '' };
+                if (await this.addPlace(record, trade, `import:${provider.ref}`, { provider })) {
+                    added++;
+                }
+            }
+            console.log(`  📍 Kept ${added}/${records.length}`);
         }
         
-        return true;
+        console.log(`\n📊 Imported: ${this.results.length} tradies`);
+        this.saveResults();
+        this.saveReviewQueue();
+        return this.results;
     }
 
-  // In scripts/discover-tradies-limited.js, find the saveResults() function and replace it:
+    // Queue near-misses so a human can accept them or tune classification-rules.js
+    queueForReview(placeData, trade, location, classification) {
+        this.reviewQueue.push({
+            key: recordKey(placeData),
+            source: placeData.source,
+            google_place_id: placeData.google_place_id,
+            business_name: placeData.business_name,
+            address: placeData.address,
+            google_types: placeData.google_types,
+            searched_trade: trade.type,
+            suggested_trade: classification.trade,
+            confidence: classification.confidence,
+            scores: classification.scores,
+            reasons: classification.reasons,
+            discovered_location: location,
+            queued_date: new Date().toISOString()
+        });
+    }
 
-saveResults() {
-    const dataDir = path.join(__dirname, '..', 'data');
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
+    saveReviewQueue() {
+        let existing = [];
+        if (fs.existsSync(this.reviewQueueFile)) {
+            existing = JSON.parse(fs.readFileSync(this.reviewQueueFile, 'utf8')).places || [];
+        }
+        
+        // Latest classification wins, but keep when it was first queued
+        const byId = new Map(existing.map(entry => [entry.key || entry.google_place_id, entry]));
+        for (const entry of this.reviewQueue) {
+            const previous = byId.get(entry.key);
+            byId.set(entry.key, {
+                ...entry,
+                queued_date: previous ? previous.queued_date : entry.queued_date,
+                last_seen: entry.queued_date
+            });
+        }
+        
+        const places = [...byId.values()];
+        fs.writeFileSync(this.reviewQueueFile, JSON.stringify({
+            lastUpdated: new Date().toISOString(),
+            totalPlaces: places.length,
+            places
+        }, null, 2));
+        console.log(`🧐 Review queue: ${this.reviewQueue.length} added this run, ${places.length} waiting in ${path.relative(path.join(__dirname, '..'), this.reviewQueueFile)}`);
     }
-    
-    // Save directly to tradies.json (standard format)
-    const tradiesData = {
-        lastUpdated: new Date().toISOString(),
-        totalTradies: this.results.length,
-        apiCallsUsed: this.apiCallCount,
-        tradies: this.results
-    };
-    
-    fs.writeFileSync(path.join(dataDir, 'tradies.json'), JSON.stringify(tradiesData, null, 2));
-    console.log(`💾 Results saved to data/tradies.json`);
-    
-    // Show summary
-    console.log(`📊 Total tradies: ${this.results.length}`);
-    if (this.results.length > 0) {
-        console.log(`📋 Sample businesses found:`);
-        this.results.slice(0, 3).forEach((business, i) => {
-            console.log(`   ${i + 1}. ${business.business_name}`);
+
+    saveResults() {
+        const dataDir = path.dirname(this.outputFile);
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+        
+        const tradiesFile = this.outputFile;
+        let existingData = {};
+        if (fs.existsSync(tradiesFile)) {
+            existingData = JSON.parse(fs.readFileSync(tradiesFile, 'utf8'));
+        }
+        
+        const { tradies, stats } = this.mergeResults(existingData.tradies || []);
+        
+        // Keep any top-level fields written by other scripts (licence stats etc.)
+        const tradiesData = {
+            ...existingData,
+            lastUpdated: new Date().toISOString(),
+            totalTradies: tradies.length,
+            apiCallsUsed: this.apiCallCount,
+            tradies: tradies
+        };
+        
+        fs.writeFileSync(tradiesFile, JSON.stringify(tradiesData, null, 2));
+        console.log(`💾 Results merged into ${path.relative(path.join(__dirname, '..'), tradiesFile)}`);
+        
+        // Show summary
+        console.log(`📊 Total tradies: ${tradies.length}`);
+        console.log(`   ➕ Inserted: ${stats.inserted}`);
+        console.log(`   🔄 Updated: ${stats.updated}`);
+        console.log(`   ⏸️  Unchanged: ${stats.unchanged}`);
+        console.log(`   👻 Not seen this run: ${stats.notSeen}`);
+        console.log(`   🚫 Closed, not added: ${stats.skippedClosed}`);
+        const closed = tradies.filter(tradie => tradie.business_status && tradie.business_status !== 'OPERATIONAL').length;
+        if (closed > 0) {
+            console.log(`   ⚠️  Listed but closed: ${closed} (hidden by update-website.js)`);
+        }
+        if (this.results.length > 0) {
+            console.log(`📋 Sample businesses found:`);
+            this.results.slice(0, 3).forEach((business, i) => {
+                console.log(`   ${i + 1}. ${business.business_name}`);
+            });
+        }
+        
+        return stats;
+    }
+
+    // Upsert this run's results into the existing records, keyed on google_place_id.
+    // Only Places fields are refreshed; licence and curated fields are left alone.
+    // Records without a place id (imports, and everything published before place
+    // ids were kept) match on name + phone, or name + address when either side has
+    // no phone. A Places match gives them the place id; anything else only fills
+    // gaps - a spreadsheet never overwrites what Google told us.
+    mergeResults(existingTradies) {
+        const today = new Date().toISOString().split('T')[0];
+        const stats = { inserted: 0, updated: 0, unchanged: 0, notSeen: 0, skippedClosed: 0 };
+        
+        // The same place can turn up in several suburb searches - first hit wins
+        const found = new Map();
+        const byIdentity = new Map();
+        const byAddress = new Map();
+        for (const result of this.results) {
+            const key = recordKey(result);
+            if (!found.has(key)) {
+                found.set(key, result);
+            }
+            if (!byIdentity.has(identityKey(result))) {
+                byIdentity.set(identityKey(result), result);
+            }
+            if (addressKey(result) && !byAddress.has(addressKey(result))) {
+                byAddress.set(addressKey(result), result);
+            }
+        }
+        
+        // Still unclaimed by an earlier record
+        const unclaimed = candidate => (candidate && found.get(recordKey(candidate)) === candidate ? candidate : null);
+        
+        const merged = existingTradies.map(existing => {
+            let result = existing.google_place_id && found.get(existing.google_place_id);
+            if (!result) {
+                result = unclaimed(byIdentity.get(identityKey(existing))) ||
+                    (addressKey(existing) && unclaimed(byAddress.get(addressKey(existing))));
+            }
+            
+            if (!result) {
+                stats.notSeen++;
+                return {
+                    ...existing,
+                    lastSeen: existing.lastSeen || (existing.discovered_date || existing.lastUpdated || today).split('T')[0]
+                };
+            }
+            
+            found.delete(recordKey(result));
+            
+            // Google data wins for a Places match (including imports Google has now
+            // found); anything else only fills gaps
+            const authoritative = Boolean(result.google_place_id) &&
+                (!existing.google_place_id || existing.google_place_id === result.google_place_id);
+            
+            const refreshed = {
+                ...existing,
+                sources: [...new Set([...(existing.sources || [existing.source || 'google_places']), result.source])],
+                lastSeen: today
+            };
+            for (const field of PLACES_FIELDS) {
+                const isGap = existing[field] === undefined || existing[field] === null || existing[field] === '';
+                if (authoritative || isGap) {
+                    refreshed[field] = result[field];
+                }
+            }
+            if (authoritative) {
+                refreshed.google_place_id = result.google_place_id;
+            }
+            
+            const changed = [...PLACES_FIELDS, 'sources'].some(field =>
+                JSON.stringify(existing[field]) !== JSON.stringify(refreshed[field])
+            );
+            
+            if (changed) {
+                stats.updated++;
+            } else {
+                stats.unchanged++;
+            }
+            return refreshed;
         });
+        
+        for (const result of found.values()) {
+            if (CONFIG.SKIP_NEW_CLOSED && result.business_status === 'CLOSED_PERMANENTLY') {
+                stats.skippedClosed++;
+                continue;
+            }
+            stats.inserted++;
+            merged.push({ ...result, sources: [result.source], lastSeen: today });
+        }
+        
+        return { tradies: merged, stats };
     }
 }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+// Places results are keyed on their place id; everything else on name + phone
+function recordKey(record) {
+    return record.google_place_id || identityKey(record);
+}
+
+// A budget that doesn't parse would compare false against every cost and lift
+// the cap entirely, so anything but a non-negative number stops the run.
+// Unset or empty (an unset workflow variable) means CONFIG.MONTHLY_BUDGET_USD.
+function monthlyBudgetFrom(value) {
+    if (value === undefined || value.trim() === '') {
+        return CONFIG.MONTHLY_BUDGET_USD;
+    }
+    const budget = Number(value);
+    if (!Number.isFinite(budget) || budget < 0) {
+        throw new Error(`PLACES_MONTHLY_BUDGET_USD must be a dollar amount of 0 or more, got "${value}"`);
     }
+    return budget;
+}
+
+function normalisedName(record) {
+    return (record.business_name || record.name || '')
+        .toLowerCase()
+        .replace(/\b(pty|ltd|limited)\b/g, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+function identityKey(record) {
+    const phone = (record.phone || '').replace(/\D/g, '');
+    return `${normalisedName(record)}|${phone}`;
+}
+
+// Name + address, for records where one side has no phone
+function addressKey(record) {
+    const address = (record.address || record.formattedAddress || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return address ? `${normalisedName(record)}|${address}` : null;
+}
+
+// --grid / --suburbs pick the search mode, --resume / --restart what to do with a
+// checkpoint, --record / --replay the fixture mode, --fixtures <dir> and --out <file> override paths
+// (--out is required with --replay). --max-calls <n> lowers MAX_API_CALLS for one run.
+// --import <file.csv|file.json> (repeatable) imports files instead of searching Google.
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--record' || arg === '--replay') {
+            options.fixtureMode = arg.slice(2);
+        } else if (arg === '--grid' || arg === '--suburbs') {
+            options.searchMode = arg.slice(2);
+        } else if (arg === '--resume' || arg === '--restart') {
+            options.resumeMode = arg.slice(2);
+        } else if (arg === '--fixtures') {
+            options.fixtureDir = path.resolve(argv[++i]);
+        } else if (arg === '--import') {
+            options.imports = [...(options.imports || []), path.resolve(argv[++i])];
+        } else if (arg === '--out') {
+            options.outputFile = path.resolve(argv[++i]);
+        } else if (arg === '--max-calls') {
+            options.maxCalls = parseInt(argv[++i], 10);
+            if (!(options.maxCalls > 0)) {
+                throw new Error(`--max-calls needs a positive number, got "${argv[i]}"`);
+            }
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
 }
 
 // Run discovery
 async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    
     console.log('🚀 LIMITED Perth Tradie Discovery Tool');
     console.log('=====================================');
     console.log(`🔒 Safety limits: ${CONFIG.MAX_API_CALLS} API calls max`);
-    console.log(`📍 Testing: ${CONFIG.TEST_SUBURBS.length} suburbs`);
+    console.log(`📍 Testing: ${CONFIG.TEST_SUBURBS.length} suburbs (or --grid for geographic cells)`);
     console.log(`🔧 Testing: ${CONFIG.TEST_TRADES.length} trade types`);
-    console.log(`⏱️  Delay: ${CONFIG.API_DELAY}ms between calls`);
+    console.log(`📄 Pages: up to ${CONFIG.MAX_PAGES_PER_QUERY} per query (${CONFIG.PAGE_SIZE} results each)`);
+    console.log(`⏱️  Rate limit: ${CONFIG.HTTP.requestsPerSecond} calls/sec, ${CONFIG.HTTP.maxRetries} retries`);
     
-    const discovery = new LimitedTradieDiscovery();
+    const discovery = new LimitedTradieDiscovery(options);
+    if (options.imports) {
+        await discovery.importFiles(options.imports);
+        console.log('\n✅ Import completed!');
+        return;
+    }
     await discovery.searchTradies();
     
     console.log('\n✅ Limited discovery completed safely!');
@@ -288,6 +931,8 @@ async function main() {
     console.log('   1. Increase CONFIG.MAX_API_CALLS');
     console.log('   2. Add more suburbs to CONFIG.TEST_SUBURBS');
     console.log('   3. Add more trades to CONFIG.TEST_TRADES');
+    console.log('   4. Increase CONFIG.MAX_PAGES_PER_QUERY');
+    console.log('   5. Raise CONFIG.MONTHLY_BUDGET_USD once the free tier is used up');
 }
 
 if (require.main === module) {
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// State file that lets a discovery pass stop at MAX_API_CALLS and carry on
+// next run instead of starting again at the first suburb.
+class DiscoveryCheckpoint {
+    constructor(file) {
+        this.file = file;
+    }
+
+    exists() {
+        return fs.existsSync(this.file);
+    }
+
+    load() {
+        if (!this.exists()) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            console.log(`⚠️  Ignoring unreadable checkpoint ${path.basename(this.file)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    save(state) {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        // Write then rename, so a run killed mid-write can't leave half a file
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    clear() {
+        if (this.exists()) {
+            fs.unlinkSync(this.file);
+        }
+    }
+}
+
+module.exports = DiscoveryCheckpoint;
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpClient, HttpError, HttpStatusError } = require('./http-client');
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+class FixtureMissingError extends HttpError {
+    constructor(file, url) {
+        super(`No recorded fixture for this request (${path.basename(file)}) - run once with --record`, { url });
+        this.file = file;
+    }
+}
+
+// Drop-in HttpClient that saves every request/response pair to disk (record)
+// or serves them back without touching the network (replay). Only the raw
+// transport is swapped, so callers run exactly the same code in both modes.
+class FixtureHttpClient extends HttpClient {
+    constructor(mode, fixtureDir, options = {}) {
+        if (!FIXTURE_MODES.includes(mode)) {
+            throw new Error(`Unknown fixture mode "${mode}" (expected ${FIXTURE_MODES.join(' or ')})`);
+        }
+        // Nothing to be polite to when replaying from disk
+        super(mode === 'replay' ? { ...options, requestsPerSecond: 1000, burst: 1000, maxRetries: 0 } : options);
+        this.mode = mode;
+        this.fixtureDir = fixtureDir;
+    }
+
+    fixturePath({ method, url, body }) {
+        // Headers are deliberately left out of the key - they carry the API key
+        const hash = crypto.createHash('sha1')
+            .update(`${method} ${url}\n${body || ''}`)
+            .digest('hex')
+            .slice(0, 12);
+
+        let label = 'request';
+        try {
+            const parsed = JSON.parse(body);
+            label = [parsed.textQuery, parsed.pageToken ? 'next' : ''].filter(Boolean).join('-') || label;
+        } catch (error) {
+            // Non-JSON bodies just get the generic label
+        }
+        const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+
+        return path.join(this.fixtureDir, `${slug}-${hash}.json`);
+    }
+
+    async send(request) {
+        const file = this.fixturePath(request);
+
+        if (this.mode === 'replay') {
+            return this.replay(file, request.url);
+        }
+
+        try {
+            const response = await super.send(request);
+            this.save(file, request, { status: response.status, body: response.body });
+            return response;
+        } catch (error) {
+            // Record HTTP errors too so failure handling can be replayed
+            if (error instanceof HttpStatusError) {
+                this.save(file, request, { status: error.status, body: error.body });
+            }
+            throw error;
+        }
+    }
+
+    replay(file, url) {
+        if (!fs.existsSync(file)) {
+            throw new FixtureMissingError(file, url);
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const { status, body } = fixture.response;
+
+        if (status < 200 || status >= 300) {
+            // Retryable or not, a recording only ever gives the same answer
+            const error = new HttpStatusError(status, body, url);
+            error.retryable = false;
+            throw error;
+        }
+        return { status, headers: {}, body };
+    }
+
+    save(file, request, response) {
+        if (!fs.existsSync(this.fixtureDir)) {
+            fs.mkdirSync(this.fixtureDir, { recursive: true });
+        }
+
+        let requestBody = request.body;
+        try {
+            requestBody = JSON.parse(request.body);
+        } catch (error) {
+            // Keep non-JSON bodies as plain strings
+        }
+
+        const fixture = {
+            recordedAt: new Date().toISOString(),
+            request: { method: request.method, url: request.url, body: requestBody },
+            response
+        };
+        fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+        console.log(`    📼 Recorded ${path.basename(file)}`);
+    }
+}
+
+module.exports = { FixtureHttpClient, FixtureMissingError, FIXTURE_MODES };
@@ -0,0 +1,148 @@
+// Geographic tiling for grid discovery mode.
+//
+// The area is cut into square tiles. Each tile is described by its circumscribed
+// circle (centre + radius) for coverage reporting, and queried with the tile's
+// rectangle as `locationRestriction` - Text Search only accepts rectangles there,
+// and neighbouring squares tile the area exactly without overlap.
+
+const METRES_PER_DEGREE_LAT = 111320;
+
+// Rough outline of the Perth metro area, Two Rocks to Mandurah, coast to the hills
+const PERTH_METRO_POLYGON = [
+    [-31.49, 115.58],  // Two Rocks
+    [-31.56, 115.90],  // Bullsbrook
+    [-31.72, 116.05],  // Ellenbrook / Swan Valley
+    [-31.90, 116.17],  // Mundaring
+    [-32.05, 116.12],  // Kalamunda / Pickering Brook
+    [-32.23, 116.05],  // Byford
+    [-32.45, 115.95],  // Baldivis east
+    [-32.62, 115.82],  // Mandurah south
+    [-32.62, 115.68],  // Mandurah coast
+    [-32.30, 115.70],  // Rockingham coast
+    [-32.05, 115.73],  // Fremantle
+    [-31.99, 115.74],  // Cottesloe
+    [-31.89, 115.74],  // Scarborough
+    [-31.68, 115.69]   // Mindarie
+];
+
+function metresToLatDegrees(metres) {
+    return metres / METRES_PER_DEGREE_LAT;
+}
+
+function metresToLngDegrees(metres, latitude) {
+    return metres / (METRES_PER_DEGREE_LAT * Math.cos((latitude * Math.PI) / 180));
+}
+
+// Ray casting; polygon is a list of [lat, lng] pairs
+function pointInPolygon([lat, lng], polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        const crosses = (lngI > lng) !== (lngJ > lng) &&
+            lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+function makeCell(id, lat, lng, halfLat, halfLng, depth) {
+    // Circumscribed circle of the tile, measured along its diagonal
+    const halfHeight = halfLat * METRES_PER_DEGREE_LAT;
+    const halfWidth = halfLng * METRES_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+
+    return {
+        id,
+        depth,
+        center: { latitude: round(lat), longitude: round(lng) },
+        radius_m: Math.round(Math.sqrt(halfHeight * halfHeight + halfWidth * halfWidth)),
+        rectangle: {
+            low: { latitude: round(lat - halfLat), longitude: round(lng - halfLng) },
+            high: { latitude: round(lat + halfLat), longitude: round(lng + halfLng) }
+        }
+    };
+}
+
+function cellTouchesPolygon(cell, polygon) {
+    const { low, high } = cell.rectangle;
+    const samples = [
+        [cell.center.latitude, cell.center.longitude],
+        [low.latitude, low.longitude],
+        [low.latitude, high.longitude],
+        [high.latitude, low.longitude],
+        [high.latitude, high.longitude]
+    ];
+    if (samples.some(point => pointInPolygon(point, polygon))) return true;
+
+    // Polygon corners poking into the tile
+    return polygon.some(([lat, lng]) =>
+        lat >= low.latitude && lat <= high.latitude && lng >= low.longitude && lng <= high.longitude
+    );
+}
+
+// Cover the polygon with tiles whose circumscribed circle has roughly `radiusMetres`
+function tilePolygon(polygon, radiusMetres) {
+    const lats = polygon.map(([lat]) => lat);
+    const lngs = polygon.map(([, lng]) => lng);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const minLng = Math.min(...lngs);
+    const maxLng = Math.max(...lngs);
+    const midLat = (minLat + maxLat) / 2;
+
+    // A square with half-diagonal r has half-side r / sqrt(2)
+    const halfSide = radiusMetres / Math.SQRT2;
+    const halfLat = metresToLatDegrees(halfSide);
+    const halfLng = metresToLngDegrees(halfSide, midLat);
+
+    const cells = [];
+    let row = 0;
+    for (let lat = minLat + halfLat; lat - halfLat < maxLat; lat += halfLat * 2, row++) {
+        let col = 0;
+        for (let lng = minLng + halfLng; lng - halfLng < maxLng; lng += halfLng * 2, col++) {
+            const cell = makeCell(`r${row}c${col}`, lat, lng, halfLat, halfLng, 0);
+            if (cellTouchesPolygon(cell, polygon)) {
+                cells.push(cell);
+            }
+        }
+    }
+    return cells;
+}
+
+// Split a tile into four quarter tiles (half the radius each)
+function subdivideCell(cell) {
+    const halfLat = (cell.rectangle.high.latitude - cell.rectangle.low.latitude) / 4;
+    const halfLng = (cell.rectangle.high.longitude - cell.rectangle.low.longitude) / 4;
+    const { latitude, longitude } = cell.center;
+
+    return [
+        [-1, -1], [-1, 1], [1, -1], [1, 1]
+    ].map(([dLat, dLng], index) => makeCell(
+        `${cell.id}.${index}`,
+        latitude + dLat * halfLat,
+        longitude + dLng * halfLng,
+        halfLat,
+        halfLng,
+        cell.depth + 1
+    ));
+}
+
+// Straight-line distance between two [lat, lng] points - close enough for
+// ranking within the metro area
+function distanceMetres([lat1, lng1], [lat2, lng2]) {
+    const dLat = (lat2 - lat1) * METRES_PER_DEGREE_LAT;
+    const dLng = (lng2 - lng1) * METRES_PER_DEGREE_LAT * Math.cos((((lat1 + lat2) / 2) * Math.PI) / 180);
+    return Math.sqrt(dLat * dLat + dLng * dLng);
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = {
+    PERTH_METRO_POLYGON,
+    pointInPolygon,
+    distanceMetres,
+    tilePolygon,
+    subdivideCell
+};
@@ -0,0 +1,284 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+// Base class so callers can tell network problems apart from "no results"
+class HttpError extends Error {
+    constructor(message, { url, retryable = false } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.url = url;
+        this.retryable = retryable;
+    }
+}
+
+class HttpStatusError extends HttpError {
+    constructor(status, body, url) {
+        super(`HTTP ${status}${extractErrorMessage(body) ? `: ${extractErrorMessage(body)}` : ''}`, {
+            url,
+            retryable: status === 429 || status >= 500
+        });
+        this.status = status;
+        this.body = body;
+    }
+}
+
+class HttpTimeoutError extends HttpError {
+    constructor(timeoutMs, url) {
+        super(`Request timed out after ${timeoutMs}ms`, { url, retryable: true });
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+class HttpNetworkError extends HttpError {
+    constructor(cause, url) {
+        super(`Network error: ${cause.message}`, { url, retryable: true });
+        this.cause = cause;
+    }
+}
+
+class HttpParseError extends HttpError {
+    constructor(cause, body, url) {
+        super(`Failed to parse JSON: ${cause.message}`, { url });
+        this.body = body;
+    }
+}
+
+function extractErrorMessage(body) {
+    if (!body) return '';
+    try {
+        const parsed = JSON.parse(body);
+        return (parsed.error && (parsed.error.message || parsed.error)) || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+// Classic token bucket: `ratePerSecond` tokens refill continuously, up to `burst`
+class TokenBucket {
+    constructor({ ratePerSecond = 2, burst = 1 } = {}) {
+        this.ratePerSecond = ratePerSecond;
+        this.burst = burst;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.ratePerSecond);
+        this.lastRefill = now;
+    }
+
+    // Resolves once a token is available. Callers are served in FIFO order.
+    take() {
+        const next = this.queue.then(async () => {
+            this.refill();
+            if (this.tokens < 1) {
+                const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+                await sleep(waitMs);
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        this.queue = next.catch(() => {});
+        return next;
+    }
+}
+
+class HttpClient {
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || 15000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.baseDelayMs = options.baseDelayMs || 500;
+        this.maxDelayMs = options.maxDelayMs || 15000;
+        this.concurrency = options.concurrency || 2;
+        this.userAgent = options.userAgent || 'Perth-Trades-Hub/1.0';
+        this.limiter = new TokenBucket({
+            ratePerSecond: options.requestsPerSecond || 2,
+            burst: options.burst || 1
+        });
+
+        // Called before every attempt, retries included - for counting billable
+        // calls. Throwing from it stops the request without sending.
+        this.onAttempt = options.onAttempt || null;
+
+        this.active = 0;
+        this.waiting = [];
+        this.stats = { requests: 0, retries: 0, failures: 0 };
+    }
+
+    // Run `task` inside a concurrency slot once the rate limiter allows it.
+    // Exposed so non-HTTP lookups can share the same politeness limits.
+    async schedule(task) {
+        await this.acquireSlot();
+        try {
+            await this.limiter.take();
+            return await task();
+        } finally {
+            this.releaseSlot();
+        }
+    }
+
+    acquireSlot() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    releaseSlot() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    async request({ method = 'GET', url, headers = {}, body }) {
+        let attempt = 0;
+
+        while (true) {
+            if (this.onAttempt) {
+                this.onAttempt({ method, url, attempt });
+            }
+            try {
+                return await this.schedule(() => this.send({ method, url, headers, body }));
+            } catch (error) {
+                const retryable = error instanceof HttpError && error.retryable;
+                if (!retryable || attempt >= this.maxRetries) {
+                    this.stats.failures++;
+                    throw error;
+                }
+
+                const waitMs = this.backoffDelay(attempt, error);
+                attempt++;
+                this.stats.retries++;
+                console.log(`    ↻ ${error.message} - retry ${attempt}/${this.maxRetries} in ${waitMs}ms`);
+                await sleep(waitMs);
+            }
+        }
+    }
+
+    // Exponential backoff with full jitter, honouring Retry-After when sent
+    backoffDelay(attempt, error) {
+        if (error.retryAfterMs) {
+            return Math.min(error.retryAfterMs, this.maxDelayMs);
+        }
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+        return Math.floor(Math.random() * ceiling) + 1;
+    }
+
+    send({ method, url, headers, body }) {
+        return new Promise((resolve, reject) => {
+            const parsedUrl = new URL(url);
+            const transport = parsedUrl.protocol === 'http:' ? http : https;
+
+            const options = {
+                hostname: parsedUrl.hostname,
+                port: parsedUrl.port || undefined,
+                path: parsedUrl.pathname + parsedUrl.search,
+                method,
+                headers: {
+                    'User-Agent': this.userAgent,
+                    ...headers
+                }
+            };
+            if (body !== undefined) {
+                options.headers['Content-Length'] = Buffer.byteLength(body);
+            }
+
+            this.stats.requests++;
+
+            const req = transport.request(options, (res) => {
+                let responseData = '';
+
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    responseData += chunk;
+                });
+
+                res.on('end', () => {
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        const error = new HttpStatusError(res.statusCode, responseData, url);
+                        const retryAfter = parseInt(res.headers['retry-after'], 10);
+                        if (!isNaN(retryAfter)) {
+                            error.retryAfterMs = retryAfter * 1000;
+                        }
+                        reject(error);
+                        return;
+                    }
+                    resolve({ status: res.statusCode, headers: res.headers, body: responseData });
+                });
+            });
+
+            req.setTimeout(this.timeoutMs, () => {
+                req.destroy(new HttpTimeoutError(this.timeoutMs, url));
+            });
+
+            req.on('error', (error) => {
+                reject(error instanceof HttpError ? error : new HttpNetworkError(error, url));
+            });
+
+            if (body !== undefined) {
+                req.write(body);
+            }
+            req.end();
+        });
+    }
+
+    async getText(url, headers = {}) {
+        const response = await this.request({ method: 'GET', url, headers });
+        return response.body;
+    }
+
+    async getJSON(url, headers = {}) {
+        const response = await this.request({ method: 'GET', url, headers });
+        return parseJSON(response.body, url);
+    }
+
+    async postJSON(url, data, headers = {}) {
+        const response = await this.request({
+            method: 'POST',
+            url,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(data)
+        });
+        return parseJSON(response.body, url);
+    }
+
+    async postForm(url, fields, headers = {}) {
+        const response = await this.request({
+            method: 'POST',
+            url,
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+            body: new URLSearchParams(fields).toString()
+        });
+        return response.body;
+    }
+}
+
+function parseJSON(body, url) {
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        throw new HttpParseError(error, body, url);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    HttpClient,
+    TokenBucket,
+    HttpError,
+    HttpStatusError,
+    HttpTimeoutError,
+    HttpNetworkError,
+    HttpParseError
+};
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { readAbrRecords } = require('./abn-sources/abr-bulk-extract');
+const { AbnRegisterStore } = require('./abn-sources/abn-register-store');
+
+const DEFAULT_STORE_FILE = path.join(__dirname, '..', 'data', 'abn-register.json');
+
+// Only WA businesses by default - the full extract covers every ABN in Australia
+const DEFAULT_STATE = 'WA';
+
+class AbnExtractImporter {
+    constructor(options = {}) {
+        this.store = new AbnRegisterStore(options.storeFile || DEFAULT_STORE_FILE).load();
+        this.state = (options.state || DEFAULT_STATE).toUpperCase();
+    }
+
+    // --extract-date, else a YYYY-MM-DD or YYYYMMDD in the file name, else the
+    // newest record update in the file
+    extractDateFor(file, extractDate, newestRecord) {
+        if (extractDate) return extractDate;
+
+        const fromName = path.basename(file).match(/(\d{4})-?(\d{2})-?(\d{2})/);
+        if (fromName) return `${fromName[1]}-${fromName[2]}-${fromName[3]}`;
+
+        console.log(`⚠️  No extract date given for ${path.basename(file)} - using its newest record (${newestRecord}); pass --extract-date`);
+        return newestRecord;
+    }
+
+    async importFile(file, { extractDate = null } = {}) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`ABN extract not found: ${file}`);
+        }
+
+        const entities = [];
+        let newestRecord = null;
+        const total = await readAbrRecords(file, entity => {
+            if (this.state !== 'ALL' && entity.state !== this.state) return;
+            entities.push(entity);
+            if (entity.record_updated && (!newestRecord || entity.record_updated > newestRecord)) {
+                newestRecord = entity.record_updated;
+            }
+        });
+
+        if (total === 0) {
+            throw new Error(`No <ABR> records found in ${path.basename(file)} - is it an ABN bulk extract file?`);
+        }
+
+        const date = this.extractDateFor(file, extractDate, newestRecord);
+        const { inserted, updated } = this.store.upsert(entities, { extractDate: date, sourceFile: path.basename(file) });
+
+        console.log(`📥 ${path.basename(file)} (extract ${date}): ${total} records, ${entities.length} in ${this.state} - ${inserted} new, ${updated} updated`);
+    }
+
+    async importFiles(files, options = {}) {
+        for (const file of files) {
+            await this.importFile(file, options);
+        }
+
+        this.store.save();
+        console.log(`💾 ${this.store.size} ABNs saved to ${path.relative(process.cwd(), this.store.file)}`);
+    }
+}
+
+function parseArgs(argv) {
+    const options = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--extract-date') {
+            options.extractDate = argv[++i];
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(options.extractDate || '')) {
+                throw new Error('--extract-date must be YYYY-MM-DD');
+            }
+        } else if (arg === '--state') {
+            options.state = argv[++i];
+            if (!options.state) {
+                throw new Error('--state needs a state code (or "all")');
+            }
+        } else if (arg === '--store') {
+            options.storeFile = path.resolve(argv[++i]);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown argument: ${arg}`);
+        } else {
+            options.files.push(path.resolve(arg));
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('🏢 ABN Bulk Extract Import');
+    console.log('==========================');
+
+    if (options.files.length === 0) {
+        console.log('Usage: node scripts/import-abn-extract.js <20240301_Public01.xml>... [--state WA|all] [--extract-date YYYY-MM-DD] [--store file]');
+        process.exit(1);
+    }
+
+    const importer = new AbnExtractImporter(options);
+    await importer.importFiles(options.files, options);
+
+    console.log('\n✅ ABN import completed!');
+    console.log('📱 Run: node scripts/verify-abn.js to check tradies against it');
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ ABN import failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = AbnExtractImporter;
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsvRows, rowsToRecords } = require('./csv');
+const { parseXlsx, excelSerialToDate } = require('./xlsx');
+const { LicenseRegisterStore } = require('./license-sources/license-register-store');
+
+const DEFAULT_STORE_FILE = path.join(__dirname, '..', 'data', 'license-register.json');
+
+// Register extracts name their columns differently from one download to the next
+const COLUMN_ALIASES = {
+    license_number: ['licence_number', 'license_number', 'licence_no', 'license_no', 'licence', 'license', 'registration_number', 'permit_number'],
+    license_class: ['licence_class', 'license_class', 'class', 'licence_type', 'license_type', 'type', 'category'],
+    holder_name: ['holder_name', 'licence_holder', 'license_holder', 'licensee', 'holder', 'entity_name', 'name'],
+    trading_name: ['trading_name', 'trading_as', 'business_name'],
+    status: ['status', 'licence_status', 'license_status'],
+    expiry_date: ['expiry_date', 'expiry', 'expires', 'date_of_expiry', 'expiry_dt'],
+    suburb: ['suburb', 'locality', 'town'],
+    phone: ['phone', 'phone_number', 'contact_number', 'telephone']
+};
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Dates are stored the way the online register shows them (DD/MM/YYYY)
+function normaliseDate(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    if (/^\d{5}(\.\d+)?$/.test(text)) {
+        const date = excelSerialToDate(text);
+        return `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`;
+    }
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) {
+        return `${iso[3]}/${iso[2]}/${iso[1]}`;
+    }
+    const local = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (local) {
+        return `${pad(local[1])}/${pad(local[2])}/${local[3]}`;
+    }
+    return text;
+}
+
+function isPast(registerDate) {
+    const match = (registerDate || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    return match ? new Date(`${match[3]}-${match[2]}-${match[1]}T23:59:59`) < new Date() : false;
+}
+
+class LicenseRegisterImporter {
+    constructor(options = {}) {
+        this.store = new LicenseRegisterStore(options.storeFile || DEFAULT_STORE_FILE).load();
+    }
+
+    readRows(file) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Register extract not found: ${file}`);
+        }
+
+        const extension = path.extname(file).toLowerCase();
+        if (extension === '.xlsx') return parseXlsx(fs.readFileSync(file));
+        if (extension === '.csv') return parseCsvRows(fs.readFileSync(file, 'utf8'));
+        throw new Error(`Unsupported register extract ${path.basename(file)} (expected .csv or .xlsx)`);
+    }
+
+    // Extract date from --extract-date, else a YYYY-MM-DD in the file name,
+    // else the file's modification date (with a warning - that's only when it
+    // was downloaded, not when the register was exported)
+    extractDateFor(file, extractDate) {
+        if (extractDate) return extractDate;
+
+        const fromName = path.basename(file).match(/(\d{4}-\d{2}-\d{2})/);
+        if (fromName) return fromName[1];
+
+        const modified = fs.statSync(file).mtime.toISOString().slice(0, 10);
+        console.log(`⚠️  No extract date given for ${path.basename(file)} - using file date ${modified} (pass --extract-date)`);
+        return modified;
+    }
+
+    toEntry(record) {
+        const pick = field => {
+            const alias = COLUMN_ALIASES[field].find(name => record[name] !== undefined && record[name] !== '');
+            return alias ? record[alias] : null;
+        };
+
+        const licenseNumber = pick('license_number');
+        const holderName = pick('holder_name') || pick('trading_name');
+        if (!licenseNumber || !holderName) return null;
+
+        const expiryDate = normaliseDate(pick('expiry_date'));
+        const tradingName = pick('trading_name');
+
+        return {
+            license_number: licenseNumber,
+            license_class: pick('license_class'),
+            holder_name: holderName,
+            trading_name: tradingName && tradingName !== holderName ? tradingName : null,
+            // Some extracts only list expiry; the register treats an expired licence as "Expired"
+            status: pick('status') || (isPast(expiryDate) ? 'Expired' : 'Current'),
+            expiry_date: expiryDate,
+            suburb: pick('suburb'),
+            phone: pick('phone')
+        };
+    }
+
+    importFile(file, { extractDate = null, replace = false } = {}) {
+        const records = rowsToRecords(this.readRows(file));
+        const entries = records.map(record => this.toEntry(record)).filter(Boolean);
+        const skipped = records.length - entries.length;
+
+        if (entries.length === 0) {
+            throw new Error(`No licence rows found in ${path.basename(file)} - check it has licence number and holder name columns`);
+        }
+
+        const date = this.extractDateFor(file, extractDate);
+        const { inserted, updated } = this.store.upsert(entries, {
+            extractDate: date,
+            sourceFile: path.basename(file),
+            replace
+        });
+
+        console.log(`📥 ${path.basename(file)} (extract ${date}): ${inserted} new, ${updated} updated, ${skipped} rows skipped`);
+    }
+
+    importFiles(files, options = {}) {
+        files.forEach((file, index) => {
+            // --replace clears the store once, not once per file
+            this.importFile(file, { ...options, replace: options.replace && index === 0 });
+        });
+
+        this.store.save();
+        console.log(`💾 ${this.store.size} licences saved to ${path.relative(process.cwd(), this.store.file)}`);
+    }
+}
+
+function parseArgs(argv) {
+    const options = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--extract-date') {
+            options.extractDate = argv[++i];
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(options.extractDate || '')) {
+                throw new Error('--extract-date must be YYYY-MM-DD');
+            }
+        } else if (arg === '--replace') {
+            options.replace = true;
+        } else if (arg === '--store') {
+            options.storeFile = path.resolve(argv[++i]);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown argument: ${arg}`);
+        } else {
+            options.files.push(path.resolve(arg));
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('📚 WA Licence Register Import');
+    console.log('=============================');
+
+    if (options.files.length === 0) {
+        console.log('Usage: node scripts/import-license-register.js <extract.csv|extract.xlsx>... [--extract-date YYYY-MM-DD] [--replace] [--store file]');
+        process.exit(1);
+    }
+
+    const importer = new LicenseRegisterImporter(options);
+    importer.importFiles(options.files, options);
+
+    console.log('\n✅ Register import completed!');
+    console.log('📱 Run: node scripts/verify-licenses.js to verify against the local register');
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Register import failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = LicenseRegisterImporter;
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsvRows, rowsToRecords } = require('./csv');
+const { parseXlsx, excelSerialToDate } = require('./xlsx');
+const { RegulatoryActions, actionType } = require('./regulatory-actions');
+
+const DEFAULT_ACTIONS_FILE = path.join(__dirname, '..', 'data', 'regulatory-actions.json');
+
+// Column names seen in the regulator's prosecution and disciplinary lists
+const COLUMN_ALIASES = {
+    type: ['type', 'action_type', 'action', 'category', 'notice_type'],
+    date: ['date', 'decision_date', 'hearing_date', 'date_of_decision', 'date_of_conviction', 'published', 'published_date'],
+    license_number: ['licence_number', 'license_number', 'licence_no', 'license_no', 'registration_number', 'licence', 'license'],
+    name: ['name', 'respondent', 'defendant', 'licensee', 'person', 'entity_name', 'holder_name'],
+    trading_name: ['trading_name', 'trading_as', 'business_name'],
+    offence: ['offence', 'offense', 'breach', 'details', 'summary', 'description'],
+    outcome: ['outcome', 'penalty', 'result', 'order', 'sanction'],
+    url: ['url', 'link', 'notice_url', 'more_information']
+};
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Stored as YYYY-MM-DD so notices sort and compare as text
+function normaliseDate(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    if (/^\d{5}(\.\d+)?$/.test(text)) {
+        return excelSerialToDate(text).toISOString().slice(0, 10);
+    }
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) {
+        return `${iso[1]}-${iso[2]}-${iso[3]}`;
+    }
+    const local = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (local) {
+        return `${local[3]}-${pad(local[2])}-${pad(local[1])}`;
+    }
+    return null;
+}
+
+class RegulatoryActionImporter {
+    constructor(options = {}) {
+        this.actions = new RegulatoryActions(options.actionsFile || DEFAULT_ACTIONS_FILE).load();
+        this.defaultType = options.type || null;
+    }
+
+    readRecords(file) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Notice extract not found: ${file}`);
+        }
+
+        const extension = path.extname(file).toLowerCase();
+        if (extension === '.xlsx') return rowsToRecords(parseXlsx(fs.readFileSync(file)));
+        if (extension === '.csv') return rowsToRecords(parseCsvRows(fs.readFileSync(file, 'utf8')));
+        if (extension === '.json') {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const records = Array.isArray(data) ? data : data.notices || data.actions || [];
+            // Through rowsToRecords for the same key normalisation as CSV headers
+            const keys = [...new Set(records.flatMap(record => Object.keys(record)))];
+            return rowsToRecords([keys, ...records.map(record => keys.map(key => record[key]))]);
+        }
+        throw new Error(`Unsupported notice extract ${path.basename(file)} (expected .csv, .xlsx or .json)`);
+    }
+
+    toNotice(record, file) {
+        const pick = field => {
+            const alias = COLUMN_ALIASES[field].find(name => record[name] !== undefined && record[name] !== null && record[name] !== '');
+            return alias ? String(record[alias]).trim() : null;
+        };
+
+        const name = pick('name') || pick('trading_name');
+        const licenseNumber = pick('license_number');
+        if (!name && !licenseNumber) return null;
+
+        const date = normaliseDate(pick('date'));
+        if (pick('date') && !date) {
+            console.log(`⚠️  ${path.basename(file)}: can't read date "${pick('date')}" for ${name || licenseNumber}`);
+        }
+
+        return {
+            // Prosecution and disciplinary lists are often separate files with no type column
+            type: actionType(pick('type') || this.defaultType || pick('outcome')),
+            date,
+            license_number: licenseNumber,
+            name,
+            trading_name: pick('trading_name'),
+            offence: pick('offence'),
+            outcome: pick('outcome'),
+            url: pick('url')
+        };
+    }
+
+    importFile(file) {
+        const records = this.readRecords(file);
+        const notices = records.map(record => this.toNotice(record, file)).filter(Boolean);
+
+        if (notices.length === 0) {
+            throw new Error(`No notices found in ${path.basename(file)} - check it has a name or licence number column`);
+        }
+
+        const { inserted, updated } = this.actions.upsert(notices, { sourceFile: path.basename(file) });
+        const byType = notices.reduce((counts, notice) => ({ ...counts, [notice.type]: (counts[notice.type] || 0) + 1 }), {});
+
+        console.log(`📥 ${path.basename(file)}: ${inserted} new, ${updated} updated, ${records.length - notices.length} rows skipped`);
+        console.log(`   ${Object.entries(byType).map(([type, count]) => `${count} ${type}`).join(', ')}`);
+    }
+
+    importFiles(files) {
+        files.forEach(file => this.importFile(file));
+
+        this.actions.save();
+        console.log(`💾 ${this.actions.size} notices saved to ${path.relative(process.cwd(), this.actions.file)}`);
+    }
+}
+
+function parseArgs(argv) {
+    const options = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--type') {
+            options.type = argv[++i];
+            if (!options.type) {
+                throw new Error('--type needs a value (e.g. prosecution or disciplinary)');
+            }
+        } else if (arg === '--store') {
+            options.actionsFile = path.resolve(argv[++i]);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown argument: ${arg}`);
+        } else {
+            options.files.push(path.resolve(arg));
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('⚖️  Regulatory Notice Import');
+    console.log('===========================');
+
+    if (options.files.length === 0) {
+        console.log('Usage: node scripts/import-regulatory-actions.js <notices.csv|.xlsx|.json>... [--type prosecution|disciplinary] [--store file]');
+        process.exit(1);
+    }
+
+    const importer = new RegulatoryActionImporter(options);
+    importer.importFiles(options.files);
+
+    console.log('\n✅ Notice import completed!');
+    console.log('📱 Run: node scripts/verify-licenses.js to match them to tradies');
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Notice import failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = RegulatoryActionImporter;
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REPORT_DIR = path.join(__dirname, '..', 'data', 'reports');
+
+// Per-run summary of licence changes, saved as JSON (for tooling) and plain
+// text (for the email and for people reading the repo). Manual overrides that
+// have expired or disagree with the register are listed too.
+class LicenseChangeReport {
+    constructor(changes, stats = {}, overrideIssues = []) {
+        this.generatedAt = new Date().toISOString();
+        this.stats = stats;
+        this.lapsed = changes.filter(change => change.type === 'lapsed');
+        this.licensed = changes.filter(change => change.type === 'licensed');
+        this.changed = changes.filter(change => change.type === 'changed');
+        this.overrideIssues = overrideIssues;
+    }
+
+    get hasChanges() {
+        return this.lapsed.length + this.licensed.length + this.changed.length > 0;
+    }
+
+    get subject() {
+        const parts = [];
+        if (this.lapsed.length) parts.push(`${this.lapsed.length} lapsed`);
+        if (this.licensed.length) parts.push(`${this.licensed.length} newly licensed`);
+        if (this.changed.length) parts.push(`${this.changed.length} changed`);
+        if (this.overrideIssues.length) parts.push(`${this.overrideIssues.length} override(s) to re-check`);
+        return `Trusted Tradies licence changes: ${parts.join(', ') || 'none'}`;
+    }
+
+    toJSON() {
+        return {
+            generatedAt: this.generatedAt,
+            stats: this.stats,
+            lapsed: this.lapsed,
+            newlyLicensed: this.licensed,
+            changed: this.changed,
+            overrideIssues: this.overrideIssues
+        };
+    }
+
+    toText() {
+        const describe = snapshot => [
+            snapshot.licensed ? 'licensed' : 'not licensed',
+            snapshot.status,
+            snapshot.license_number,
+            snapshot.holder_name && `holder ${snapshot.holder_name}`
+        ].filter(Boolean).join(', ');
+
+        const section = (title, changes) => {
+            if (changes.length === 0) return [];
+            return [
+                `${title} (${changes.length})`,
+                ...changes.map(change => `  - ${change.name} [${change.trade}]\n      was: ${describe(change.previous)}\n      now: ${describe(change.current)}`),
+                ''
+            ];
+        };
+
+        const overrideSection = (title, type) => {
+            const issues = this.overrideIssues.filter(issue => issue.type === type);
+            if (issues.length === 0) return [];
+            return [
+                `${title} (${issues.length})`,
+                ...issues.map(({ name, trade, override, reasons }) =>
+                    `  - ${name} [${trade}]: ${[override.licensed ? 'licensed' : 'not licensed', override.license_number].filter(Boolean).join(' ')} per ${override.reviewer} on ${override.reviewed_date}\n      ${reasons.join('\n      ')}`),
+                ''
+            ];
+        };
+
+        return [
+            `Licence change report - ${this.generatedAt}`,
+            `Checked ${this.stats.checked || 0} tradies (${this.stats.fresh || 0} fresh, ${this.stats.cached || 0} from cache, ${this.stats.overridden || 0} overridden by hand)`,
+            '',
+            ...section('LAPSED - flagged on the site until reviewed', this.lapsed),
+            ...section('NEWLY LICENSED', this.licensed),
+            ...section('CHANGED', this.changed),
+            ...overrideSection('OVERRIDES EXPIRED - register result used until renewed', 'expired'),
+            ...overrideSection('OVERRIDES DISAGREE WITH REGISTER - override still applied', 'disagrees'),
+            this.overrideIssues.length ? 'Renew or remove overrides in data/license-overrides.json (node scripts/license-overrides.js list)' : null,
+            this.hasChanges ? 'Review flags with: node scripts/license-history.js flags' : 'No licence changes since the last run.'
+        ].filter(line => line !== null).join('\n');
+    }
+
+    // Returns the paths written
+    save(dir = DEFAULT_REPORT_DIR) {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const stamp = this.generatedAt.replace(/[:.]/g, '-');
+        const jsonFile = path.join(dir, `license-changes-${stamp}.json`);
+        const textFile = path.join(dir, `license-changes-${stamp}.txt`);
+        fs.writeFileSync(jsonFile, JSON.stringify(this.toJSON(), null, 2));
+        fs.writeFileSync(textFile, `${this.toText()}\n`);
+        return [jsonFile, textFile];
+    }
+}
+
+module.exports = LicenseChangeReport;
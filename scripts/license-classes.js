@@ -0,0 +1,134 @@
+// Licence classes on the WA registers, by the trade they cover. A register
+// entry is matched to a class by its class/type text (first pattern wins, so
+// the narrower restricted classes are listed before the general ones).
+//
+// canContract: the class lets the holder contract for work in that trade
+// (quote and invoice customers directly). Worker licences and restricted
+// permits let someone do the work, but only for a contractor - the site only
+// shows "Licensed" for classes that can contract.
+//
+// numberFormat: what the register's numbers look like for the class. A number
+// that doesn't fit usually means a mis-mapped column or a typo in an import,
+// so it is never shown as licensed.
+
+const LICENSE_CLASSES = {
+    electrical_contractor: {
+        trade: 'electrician',
+        label: 'Electrical Contractor',
+        pattern: /electrical\s+contractor/i,
+        numberFormat: /^EC\d{3,6}$/,
+        canContract: true
+    },
+    restricted_electrical_worker: {
+        trade: 'electrician',
+        label: 'Restricted Electrical Worker',
+        pattern: /restricted\s+electrical/i,
+        numberFormat: /^RW\d{3,6}$/,
+        canContract: false
+    },
+    electrical_worker: {
+        trade: 'electrician',
+        label: 'Electrical Worker',
+        pattern: /electrical\s+worker|electrician/i,
+        numberFormat: /^EW\d{3,6}$/,
+        canContract: false
+    },
+    plumbing_contractor: {
+        trade: 'plumber',
+        label: 'Plumbing Contractor',
+        pattern: /plumbing\s+contractor/i,
+        numberFormat: /^PL\d{3,6}$/,
+        canContract: true
+    },
+    restricted_plumbing_permit: {
+        trade: 'plumber',
+        label: 'Restricted Plumbing Permit',
+        pattern: /restricted\s+plumb/i,
+        numberFormat: /^RP\d{3,6}$/,
+        canContract: false
+    },
+    licensed_plumber: {
+        trade: 'plumber',
+        label: 'Licensed Plumber (Tradesperson)',
+        pattern: /tradesperson|licensed\s+plumber/i,
+        numberFormat: /^TL\d{3,6}$/,
+        canContract: false
+    },
+    restricted_gasfitting_permit: {
+        trade: 'gas_fitter',
+        label: 'Restricted Gasfitting Permit',
+        pattern: /restricted\s+gas/i,
+        numberFormat: /^GF\d{4,7}$/,
+        canContract: false
+    },
+    gasfitting_permit: {
+        trade: 'gas_fitter',
+        label: 'Gasfitting Permit',
+        pattern: /gas\s*fitt(er|ing)\s+permit/i,
+        numberFormat: /^GF\d{4,7}$/,
+        canContract: true
+    }
+};
+
+function isCurrent(status) {
+    return /^current$/i.test((status || '').trim());
+}
+
+// "EC 17045" and "ec-17045" are both EC17045 on the register
+function normaliseLicenseNumber(number) {
+    return (number || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function identifyLicenseClass(classText) {
+    const id = Object.keys(LICENSE_CLASSES).find(key => LICENSE_CLASSES[key].pattern.test(classText || ''));
+    return id ? { id, ...LICENSE_CLASSES[id] } : null;
+}
+
+function isValidLicenseNumber(classId, number) {
+    const licenseClass = LICENSE_CLASSES[classId];
+    return Boolean(licenseClass && licenseClass.numberFormat.test(normaliseLicenseNumber(number)));
+}
+
+// Could `number` belong to any class for this trade? Used to sanity-check
+// numbers tradies give us before looking them up
+function isValidNumberForTrade(tradeType, number) {
+    return Object.keys(LICENSE_CLASSES)
+        .some(id => LICENSE_CLASSES[id].trade === tradeType && isValidLicenseNumber(id, number));
+}
+
+// What a register entry means for a tradie listed under `tradeType`
+function licenseStanding(tradeType, entry) {
+    const licenseClass = identifyLicenseClass(entry.license_class);
+    const covers = Boolean(licenseClass && licenseClass.trade === tradeType);
+    const numberValid = Boolean(licenseClass && isValidLicenseNumber(licenseClass.id, entry.license_number));
+    const current = isCurrent(entry.status);
+
+    let reason;
+    if (!licenseClass) reason = `unrecognised licence class "${entry.license_class}"`;
+    else if (!covers) reason = `${licenseClass.label} does not cover ${tradeType}`;
+    else if (!numberValid) reason = `licence number ${entry.license_number} is not a valid ${licenseClass.label} number`;
+    else if (!current) reason = `${licenseClass.label} is ${entry.status}`;
+    else if (!licenseClass.canContract) reason = `${licenseClass.label} cannot contract for ${tradeType} work`;
+    else reason = `current ${licenseClass.label}`;
+
+    return {
+        classId: licenseClass ? licenseClass.id : null,
+        label: licenseClass ? licenseClass.label : entry.license_class || null,
+        covers,
+        current,
+        canContract: Boolean(licenseClass && licenseClass.canContract),
+        numberValid,
+        licensedToContract: covers && numberValid && current && licenseClass.canContract,
+        reason
+    };
+}
+
+module.exports = {
+    LICENSE_CLASSES,
+    isCurrent,
+    normaliseLicenseNumber,
+    identifyLicenseClass,
+    isValidLicenseNumber,
+    isValidNumberForTrade,
+    licenseStanding
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', 'data', 'license-history.json');
+
+// Statuses that count as a lapse when a licensed tradie moves to them
+const LAPSED_STATUS = /^(expired|suspended|cancell?ed|surrendered|lapsed)$/i;
+
+// Per-tradie licence status over time. A snapshot is added whenever a fresh
+// verification gives a different answer from the last one, so the list reads
+// as a change log. Tradies that lapse get an open flag that stays (and is
+// published) until someone reviews it or they are licensed again.
+class LicenseHistory {
+    constructor(file = DEFAULT_HISTORY_FILE) {
+        this.file = file;
+        this.state = { tradies: {} };
+
+        if (fs.existsSync(file)) {
+            this.state = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+    }
+
+    snapshotOf(tradie) {
+        return {
+            date: tradie.license_verified_date,
+            licensed: tradie.licensed === true,
+            status: tradie.license_status || null,
+            license_number: tradie.license_number || null,
+            class_id: tradie.license_class_id || null,
+            holder_name: tradie.license_holder_name || null,
+            expiry_date: tradie.license_expiry_date || null
+        };
+    }
+
+    // Record a fresh result; returns the change against the previous snapshot
+    // ({ type: 'lapsed' | 'licensed' | 'changed', ... }) or null
+    record(key, tradie) {
+        const entry = this.state.tradies[key] || { name: null, trade: null, snapshots: [], flag: null };
+        const previous = entry.snapshots[entry.snapshots.length - 1] || null;
+        const current = this.snapshotOf(tradie);
+
+        entry.name = tradie.business_name || tradie.name;
+        entry.trade = tradie.trade_type || tradie.category;
+        entry.last_checked = current.date;
+        this.state.tradies[key] = entry;
+
+        if (previous && sameStanding(previous, current)) return null;
+        entry.snapshots.push(current);
+        if (!previous) return null;
+
+        const change = { key, name: entry.name, trade: entry.trade, previous, current };
+
+        if (previous.licensed && !current.licensed && LAPSED_STATUS.test(current.status || '')) {
+            entry.flag = {
+                type: 'lapsed',
+                raised_date: current.date,
+                from_status: previous.status,
+                to_status: current.status,
+                license_number: previous.license_number,
+                reviewed_by: null,
+                reviewed_date: null
+            };
+            return { ...change, type: 'lapsed' };
+        }
+
+        if (!previous.licensed && current.licensed) {
+            // Back on the register - nothing left for a reviewer to check
+            if (entry.flag && !entry.flag.reviewed_date) {
+                entry.flag = { ...entry.flag, reviewed_by: 'auto: licensed again', reviewed_date: current.date };
+            }
+            return { ...change, type: 'licensed' };
+        }
+
+        return { ...change, type: 'changed' };
+    }
+
+    // Unreviewed flag for a tradie, if any
+    openFlag(key) {
+        const entry = this.state.tradies[key];
+        return entry && entry.flag && !entry.flag.reviewed_date ? entry.flag : null;
+    }
+
+    openFlags() {
+        return Object.entries(this.state.tradies)
+            .filter(([key]) => this.openFlag(key))
+            .map(([key, entry]) => ({ key, name: entry.name, trade: entry.trade, ...entry.flag }));
+    }
+
+    // `who` matches a tradie key or name (case-insensitive)
+    reviewFlag(who, reviewer) {
+        const wanted = who.toLowerCase();
+        const matches = Object.keys(this.state.tradies).filter(key =>
+            this.openFlag(key) && (key.toLowerCase() === wanted || (this.state.tradies[key].name || '').toLowerCase() === wanted)
+        );
+
+        for (const key of matches) {
+            const entry = this.state.tradies[key];
+            entry.flag = { ...entry.flag, reviewed_by: reviewer, reviewed_date: new Date().toISOString() };
+        }
+        return matches;
+    }
+
+    save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(this.file, JSON.stringify({
+            lastUpdated: new Date().toISOString(),
+            tradies: this.state.tradies
+        }, null, 2));
+    }
+}
+
+function sameStanding(a, b) {
+    return a.licensed === b.licensed &&
+        a.status === b.status &&
+        a.license_number === b.license_number &&
+        a.holder_name === b.holder_name &&
+        a.class_id === b.class_id;
+}
+
+// node scripts/license-history.js flags
+// node scripts/license-history.js review "<tradie name or key>" --by "<reviewer>"
+function main() {
+    const [command, who, ...rest] = process.argv.slice(2);
+    const history = new LicenseHistory();
+
+    if (command === 'flags') {
+        const flags = history.openFlags();
+        console.log(`🚩 ${flags.length} open licence flag(s)`);
+        flags.forEach(flag => {
+            console.log(`   ${flag.name} (${flag.trade}) - ${flag.license_number}: ${flag.from_status} → ${flag.to_status} on ${flag.raised_date.slice(0, 10)}`);
+        });
+        return;
+    }
+
+    if (command === 'review' && who) {
+        const byIndex = rest.indexOf('--by');
+        const reviewer = byIndex !== -1 ? rest[byIndex + 1] : null;
+        if (!reviewer) {
+            throw new Error('review needs --by <reviewer>');
+        }
+
+        const reviewed = history.reviewFlag(who, reviewer);
+        if (reviewed.length === 0) {
+            throw new Error(`No open flag for "${who}" - run with "flags" to list them`);
+        }
+        history.save();
+        console.log(`✅ Marked ${reviewed.length} flag(s) reviewed by ${reviewer} - they drop off the site on the next publish`);
+        return;
+    }
+
+    console.log('Usage: node scripts/license-history.js flags');
+    console.log('       node scripts/license-history.js review "<tradie name or key>" --by "<reviewer>"');
+    process.exit(1);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = LicenseHistory;
@@ -0,0 +1,49 @@
+// Rules used by LicenseMatcher. A candidate register entry scores points out
+// of 100 for how well it agrees with the tradie; the best candidate for the
+// right trade is taken as the tradie's licence when its score reaches
+// ACCEPT_SCORE, and sent to the licence review list when it only reaches
+// REVIEW_SCORE. Tweak weights here rather than in the matcher.
+
+module.exports = {
+    ACCEPT_SCORE: 60,
+    REVIEW_SCORE: 40,
+
+    WEIGHTS: {
+        // Scaled by name similarity (0-1) between the best pair of names
+        name: 60,
+        // Register class covers the trade we list them under
+        trade: 15,
+        // Register suburb appears in the tradie's address
+        suburb: 10,
+        // Same phone number (only when the extract has phones)
+        phone: 15
+    },
+
+    // A licence number we already hold that the register confirms
+    LICENSE_NUMBER_SCORE: 100,
+
+    // How many runner-up candidates to keep on the record for reviewers
+    MAX_ALTERNATIVES: 3,
+
+    // Legal-form noise stripped before names are compared
+    LEGAL_WORDS: ['pty', 'ltd', 'limited', 'proprietary', 'inc', 'incorporated', 'co', 'company', 'the'],
+
+    // Spellings of the same trade word, compared as one word
+    WORD_EQUIVALENTS: {
+        electrical: 'electric',
+        electrician: 'electric',
+        electricians: 'electric',
+        plumbing: 'plumb',
+        plumber: 'plumb',
+        plumbers: 'plumb',
+        gasfitting: 'gas',
+        gasfitter: 'gas'
+    },
+
+    // Common to half the register, so they count for little when comparing words
+    GENERIC_WORDS: [
+        'electric', 'plumb', 'gas', 'services', 'service', 'solutions', 'group', 'contracting', 'contractors',
+        'maintenance', 'wa', 'perth', 'and'
+    ],
+    GENERIC_WORD_WEIGHT: 0.25
+};
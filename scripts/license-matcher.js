@@ -0,0 +1,188 @@
+const DEFAULT_RULES = require('./license-match-rules');
+const { licenseStanding } = require('./license-classes');
+
+function digits(phone) {
+    // Compare local numbers: +61 8 9106 9197 and (08) 9106 9197 are the same line
+    return (phone || '').replace(/\D/g, '').replace(/^61/, '0');
+}
+
+// Sørensen-Dice over character bigrams - tolerant of typos and spelling
+// variants ("Westlne", "O'Brian") in a way word comparison isn't
+function bigramSimilarity(a, b) {
+    const compactA = a.replace(/\s+/g, '');
+    const compactB = b.replace(/\s+/g, '');
+    if (compactA === compactB) return 1;
+    if (compactA.length < 2 || compactB.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < compactA.length - 1; i++) {
+        const bigram = compactA.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let shared = 0;
+    for (let i = 0; i < compactB.length - 1; i++) {
+        const bigram = compactB.slice(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            shared++;
+        }
+    }
+    return (2 * shared) / (compactA.length + compactB.length - 2);
+}
+
+// Scores register entries against a tradie and explains the result, in the
+// same spirit as TradieClassifier: every accept/review decision can be traced
+// back to a rule in license-match-rules.js.
+class LicenseMatcher {
+    constructor(rules = DEFAULT_RULES) {
+        this.rules = rules;
+        this.legalWords = new Set(rules.LEGAL_WORDS);
+        this.genericWords = new Set(rules.GENERIC_WORDS);
+    }
+
+    // "SMITH, J & K T/A SPARKS PTY LTD" -> ["smith j and k", "sparks"]
+    // Trust wording ("The Trustee for the Smith Family Trust") is reduced to
+    // the family/business part, which is what tradies trade under.
+    nameVariants(name) {
+        return (name || '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/\b(atf|the trustee for)\b/g, ' t/a ')
+            .split(/\bt\/a\b|\btrading as\b|\bt\.a\.\b|[()]/)
+            .map(part => this.normaliseName(part))
+            .filter(Boolean);
+    }
+
+    normaliseName(name) {
+        return name
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/\b(family )?trust\b/g, ' ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .split(' ')
+            .filter(word => word && !this.legalWords.has(word))
+            .map(word => this.rules.WORD_EQUIVALENTS[word] || word)
+            .join(' ');
+    }
+
+    // Word overlap where distinctive words count fully and trade/location
+    // words only a little, so "Perth Electrical" isn't a match for "Perth Plumbing"
+    wordSimilarity(a, b) {
+        const weight = word => (this.genericWords.has(word) ? this.rules.GENERIC_WORD_WEIGHT : 1);
+        const wordsA = new Set(a.split(' '));
+        const wordsB = new Set(b.split(' '));
+
+        let shared = 0;
+        let total = 0;
+        for (const word of new Set([...wordsA, ...wordsB])) {
+            total += weight(word);
+            if (wordsA.has(word) && wordsB.has(word)) shared += weight(word);
+        }
+        return total > 0 ? shared / total : 0;
+    }
+
+    // Bigrams over the distinctive words only, so two names sharing nothing
+    // but "electrical" don't look alike. Falls back to the whole name when
+    // one side is nothing but generic words.
+    spellingSimilarity(a, b) {
+        const distinctive = name => name.split(' ').filter(word => !this.genericWords.has(word)).join(' ');
+        const [distinctA, distinctB] = [distinctive(a), distinctive(b)];
+        return distinctA && distinctB ? bigramSimilarity(distinctA, distinctB) : bigramSimilarity(a, b);
+    }
+
+    nameSimilarity(businessName, candidateNames) {
+        let best = { similarity: 0, pair: null };
+        for (const ours of this.nameVariants(businessName)) {
+            for (const theirs of candidateNames.flatMap(name => this.nameVariants(name))) {
+                const similarity = ours === theirs
+                    ? 1
+                    : 0.5 * this.spellingSimilarity(ours, theirs) + 0.5 * this.wordSimilarity(ours, theirs);
+                if (similarity > best.similarity) best = { similarity, pair: [ours, theirs] };
+            }
+        }
+        return best;
+    }
+
+    tradeMatches(candidate, tradeType) {
+        return licenseStanding(tradeType, candidate).covers;
+    }
+
+    score(tradie, candidate, tradeType) {
+        const { WEIGHTS } = this.rules;
+        const reasons = [];
+        let score = 0;
+
+        const { similarity, pair } = this.nameSimilarity(
+            tradie.business_name || tradie.name,
+            [candidate.holder_name, candidate.trading_name]
+        );
+        const namePoints = Math.round(WEIGHTS.name * similarity);
+        score += namePoints;
+        reasons.push(pair
+            ? `name "${pair[0]}" ~ "${pair[1]}" ${Math.round(similarity * 100)}% +${namePoints}`
+            : 'no comparable name +0');
+
+        const standing = licenseStanding(tradeType, candidate);
+        if (standing.covers) {
+            score += WEIGHTS.trade;
+            reasons.push(`class "${candidate.license_class}" covers ${tradeType} +${WEIGHTS.trade}`);
+        } else {
+            reasons.push(standing.reason);
+        }
+
+        const address = (tradie.address || '').toLowerCase();
+        if (candidate.suburb && address.includes(candidate.suburb.toLowerCase())) {
+            score += WEIGHTS.suburb;
+            reasons.push(`suburb "${candidate.suburb}" +${WEIGHTS.suburb}`);
+        }
+
+        if (candidate.phone && digits(candidate.phone) && digits(candidate.phone) === digits(tradie.phone)) {
+            score += WEIGHTS.phone;
+            reasons.push(`phone ${tradie.phone} +${WEIGHTS.phone}`);
+        }
+
+        return { candidate, score: Math.min(100, score), tradeMatches: standing.covers, standing, reasons };
+    }
+
+    // Best first; equal scores prefer a licence to contract, then a current
+    // one, so a holder with a worker licence and a contractor licence (or an
+    // old expired entry and a renewed one) shows as licensed
+    rank(tradie, candidates, tradeType) {
+        return candidates
+            .map(candidate => this.score(tradie, candidate, tradeType))
+            .sort((a, b) => b.score - a.score ||
+                b.standing.licensedToContract - a.standing.licensedToContract ||
+                b.standing.current - a.standing.current);
+    }
+
+    // { outcome: 'matched' | 'review' | 'not_found', best, alternatives }
+    match(tradie, candidates, tradeType) {
+        const ranked = this.rank(tradie, candidates, tradeType);
+        const best = ranked.find(result => result.tradeMatches) || null;
+        const alternatives = ranked.filter(result => result !== best).slice(0, this.rules.MAX_ALTERNATIVES);
+
+        let outcome = 'not_found';
+        if (best && best.score >= this.rules.ACCEPT_SCORE) outcome = 'matched';
+        else if (best && best.score >= this.rules.REVIEW_SCORE) outcome = 'review';
+
+        return { outcome, best, alternatives };
+    }
+
+    // Shape stored on the tradie record and in the review list
+    summarise(result) {
+        return {
+            license_number: result.candidate.license_number,
+            holder_name: result.candidate.holder_name,
+            license_class: result.candidate.license_class,
+            license_class_id: result.standing.classId,
+            status: result.candidate.status,
+            detail_url: result.candidate.detail_url || null,
+            confidence: result.score / 100,
+            reasons: result.reasons
+        };
+    }
+}
+
+module.exports = LicenseMatcher;
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { identifyLicenseClass, isValidLicenseNumber, normaliseLicenseNumber, isCurrent } = require('./license-classes');
+
+const DEFAULT_OVERRIDES_FILE = path.join(__dirname, '..', 'data', 'license-overrides.json');
+
+// Every override has to say who checked, when, how, and until when it holds
+const REQUIRED_FIELDS = ['licensed', 'reviewer', 'reviewed_date', 'evidence', 'expires'];
+
+// Licence results a person has confirmed (phoned the tradie, sighted their
+// card, ...) that should survive the next automated run. Kept in git next to
+// the data so every change has an author and a diff:
+//
+//   { "overrides": [{
+//       "key": "<google_place_id or name|phone>",  (or "business_name")
+//       "licensed": true,
+//       "license_number": "EC12345",
+//       "license_type": "Electrical Contractor",
+//       "license_holder_name": "SMITH ELECTRICAL PTY LTD",
+//       "license_status": "Current",
+//       "license_expiry_date": "30/11/2027",
+//       "reviewer": "Sam",
+//       "reviewed_date": "2026-10-01",
+//       "evidence": "Sighted licence card EC12345 by video call",
+//       "expires": "2027-04-01"
+//   }] }
+//
+// An override stops applying on its `expires` date; the run report lists it
+// until someone renews or removes it.
+class LicenseOverrides {
+    constructor(file = DEFAULT_OVERRIDES_FILE) {
+        this.file = file;
+        this.overrides = [];
+
+        if (fs.existsSync(file)) {
+            this.overrides = JSON.parse(fs.readFileSync(file, 'utf8')).overrides || [];
+            this.overrides.forEach((override, index) => validate(override, index, file));
+        }
+    }
+
+    get size() {
+        return this.overrides.length;
+    }
+
+    // By key first; business name is accepted because it's what a reviewer has to hand
+    find(key, tradie) {
+        const name = (tradie.business_name || tradie.name || '').toLowerCase();
+        return this.overrides.find(override => override.key === key) ||
+            this.overrides.find(override => !override.key && (override.business_name || '').toLowerCase() === name) ||
+            null;
+    }
+
+    isExpired(override, today = new Date().toISOString().slice(0, 10)) {
+        return override.expires <= today;
+    }
+
+    // The licence fields an override puts on a tradie record
+    fieldsFor(override) {
+        const licenseClass = identifyLicenseClass(override.license_type);
+        return {
+            licensed: override.licensed,
+            license_number: override.license_number || null,
+            license_type: override.license_type || null,
+            license_class_id: licenseClass ? licenseClass.id : null,
+            license_can_contract: Boolean(licenseClass && licenseClass.canContract),
+            license_number_valid: licenseClass && override.license_number
+                ? isValidLicenseNumber(licenseClass.id, override.license_number)
+                : null,
+            license_holder_name: override.license_holder_name || null,
+            license_status: override.license_status || (override.licensed ? 'Current' : null),
+            license_expiry_date: override.license_expiry_date || null,
+            license_detail_url: null,
+            license_source: 'manual_override',
+            license_override: {
+                reviewer: override.reviewer,
+                reviewed_date: override.reviewed_date,
+                evidence: override.evidence,
+                expires: override.expires
+            }
+        };
+    }
+
+    // Where the automated result (`register`, as left on the record by the
+    // verifier) disagrees with the override - empty when it agrees or there's
+    // nothing to compare
+    disagreements(override, register) {
+        if (!register || !register.license_verified_date) return [];
+        // A failed lookup leaves last run's (overridden) fields - nothing new to compare
+        if (register.license_source === 'manual_override' || register.license_status === 'needs_review') return [];
+
+        const reasons = [];
+        if (Boolean(register.licensed) !== override.licensed) {
+            reasons.push(`register says ${register.licensed ? 'licensed' : 'not licensed'} (${register.license_status})`);
+        }
+        if (override.license_number && register.license_number &&
+            normaliseLicenseNumber(override.license_number) !== normaliseLicenseNumber(register.license_number)) {
+            reasons.push(`register matched licence ${register.license_number}, override has ${override.license_number}`);
+        }
+        if (override.license_status && register.license_number &&
+            isCurrent(override.license_status) !== isCurrent(register.license_status)) {
+            reasons.push(`register status is ${register.license_status}, override has ${override.license_status}`);
+        }
+        return reasons;
+    }
+
+    add(override) {
+        validate(override, this.overrides.length, this.file);
+        this.overrides = this.overrides.filter(existing =>
+            !(override.key ? existing.key === override.key : (existing.business_name || '').toLowerCase() === override.business_name.toLowerCase())
+        );
+        this.overrides.push(override);
+    }
+
+    save() {
+        fs.writeFileSync(this.file, `${JSON.stringify({ overrides: this.overrides }, null, 2)}\n`);
+    }
+}
+
+function validate(override, index, file) {
+    const where = `${path.basename(file)} override ${index + 1} (${override.key || override.business_name || 'no key'})`;
+
+    if (!override.key && !override.business_name) {
+        throw new Error(`${where}: needs a "key" or "business_name"`);
+    }
+    const missing = REQUIRED_FIELDS.filter(field => override[field] === undefined || override[field] === '');
+    if (missing.length > 0) {
+        throw new Error(`${where}: missing ${missing.join(', ')}`);
+    }
+    if (typeof override.licensed !== 'boolean') {
+        throw new Error(`${where}: "licensed" must be true or false`);
+    }
+    for (const field of ['reviewed_date', 'expires']) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(override[field])) {
+            throw new Error(`${where}: "${field}" must be YYYY-MM-DD`);
+        }
+    }
+}
+
+// node scripts/license-overrides.js list
+// node scripts/license-overrides.js add "<business name>" --licensed yes|no --by <reviewer>
+//     --evidence "<note>" --expires YYYY-MM-DD [--key <key>] [--number EC123]
+//     [--type "Electrical Contractor"] [--holder "<name>"] [--status Current] [--expiry DD/MM/YYYY]
+function main() {
+    const [command, name, ...rest] = process.argv.slice(2);
+    const overrides = new LicenseOverrides();
+
+    if (command === 'list') {
+        console.log(`📝 ${overrides.size} licence override(s)`);
+        overrides.overrides.forEach(override => {
+            const state = overrides.isExpired(override) ? '⌛ EXPIRED' : `until ${override.expires}`;
+            console.log(`   ${override.business_name || override.key}: ${[override.licensed ? 'licensed' : 'not licensed', override.license_number].filter(Boolean).join(' ')} - ${override.reviewer} ${override.reviewed_date} (${state})`);
+            console.log(`     ${override.evidence}`);
+        });
+        return;
+    }
+
+    if (command === 'add' && name) {
+        const option = flag => {
+            const index = rest.indexOf(flag);
+            return index !== -1 ? rest[index + 1] : undefined;
+        };
+        const licensed = option('--licensed');
+        if (licensed !== 'yes' && licensed !== 'no') {
+            throw new Error('add needs --licensed yes|no');
+        }
+
+        const override = {
+            key: option('--key'),
+            business_name: name,
+            licensed: licensed === 'yes',
+            license_number: option('--number'),
+            license_type: option('--type'),
+            license_holder_name: option('--holder'),
+            license_status: option('--status'),
+            license_expiry_date: option('--expiry'),
+            reviewer: option('--by'),
+            reviewed_date: new Date().toISOString().slice(0, 10),
+            evidence: option('--evidence'),
+            expires: option('--expires')
+        };
+        Object.keys(override).forEach(field => override[field] === undefined && delete override[field]);
+
+        overrides.add(override);
+        overrides.save();
+        console.log(`✅ Override saved for ${name} - commit data/${path.basename(overrides.file)} so it sticks`);
+        return;
+    }
+
+    console.log('Usage: node scripts/license-overrides.js list');
+    console.log('       node scripts/license-overrides.js add "<business name>" --licensed yes|no --by <reviewer> --evidence "<note>" --expires YYYY-MM-DD');
+    console.log('           [--key <place id>] [--number EC123] [--type "Electrical Contractor"] [--holder "<name>"] [--status Current] [--expiry DD/MM/YYYY]');
+    process.exit(1);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = LicenseOverrides;
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { normaliseLicenseNumber } = require('../license-classes');
+
+// Words that don't help tell one licence holder from another
+const STOPWORDS = new Set(['pty', 'ltd', 'limited', 'the', 'and', 'of', 'co', 't', 'a', 'as', 'trading']);
+
+function nameTokens(name) {
+    return (name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(token => token && !STOPWORDS.has(token));
+}
+
+// Local copy of a downloaded licence register extract, so verification is a
+// lookup instead of one network search per name. Entries are saved as a flat
+// list keyed by licence number; the name index is rebuilt on load.
+//
+//   { license_number, license_class, holder_name, trading_name, status,
+//     expiry_date, suburb, phone, extract_date, source_file }
+class LicenseRegisterStore {
+    constructor(file) {
+        this.file = file;
+        this.data = { sources: [], entries: [] };
+        this.byNumber = new Map();
+        this.byToken = new Map();
+        this.sortedTokens = [];
+    }
+
+    exists() {
+        return fs.existsSync(this.file);
+    }
+
+    load() {
+        if (this.exists()) {
+            this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        }
+        this.buildIndex();
+        return this;
+    }
+
+    buildIndex() {
+        this.byNumber.clear();
+        this.byToken.clear();
+
+        this.data.entries.forEach((entry, index) => {
+            this.byNumber.set(normaliseLicenseNumber(entry.license_number), index);
+
+            const tokens = new Set([...nameTokens(entry.holder_name), ...nameTokens(entry.trading_name)]);
+            for (const token of tokens) {
+                if (!this.byToken.has(token)) this.byToken.set(token, []);
+                this.byToken.get(token).push(index);
+            }
+        });
+
+        // Sorted so prefix lookups are a binary search rather than a full scan
+        this.sortedTokens = [...this.byToken.keys()].sort();
+    }
+
+    // Entry indexes for every indexed word starting with `prefix`
+    indexesWithPrefix(prefix) {
+        let low = 0;
+        let high = this.sortedTokens.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sortedTokens[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const found = new Set();
+        for (let i = low; i < this.sortedTokens.length && this.sortedTokens[i].startsWith(prefix); i++) {
+            this.byToken.get(this.sortedTokens[i]).forEach(index => found.add(index));
+        }
+        return found;
+    }
+
+    get size() {
+        return this.data.entries.length;
+    }
+
+    // Oldest extract still contributing entries - how stale a result can be
+    get oldestExtractDate() {
+        const dates = this.data.sources.map(source => source.extractDate).filter(Boolean).sort();
+        return dates[0] || null;
+    }
+
+    // Add or replace entries by licence number. With `replace`, everything from
+    // earlier imports is dropped first.
+    upsert(entries, { extractDate, sourceFile, replace = false }) {
+        if (replace) {
+            this.data = { sources: [], entries: [] };
+            this.buildIndex();
+        }
+
+        let inserted = 0;
+        let updated = 0;
+        for (const entry of entries) {
+            const record = { ...entry, extract_date: extractDate, source_file: sourceFile };
+            const index = this.byNumber.get(normaliseLicenseNumber(entry.license_number));
+
+            if (index === undefined) {
+                this.byNumber.set(normaliseLicenseNumber(entry.license_number), this.data.entries.length);
+                this.data.entries.push(record);
+                inserted++;
+            } else {
+                this.data.entries[index] = record;
+                updated++;
+            }
+        }
+
+        this.data.sources = this.data.sources.filter(source => source.file !== sourceFile);
+        this.data.sources.push({ file: sourceFile, extractDate, importedAt: new Date().toISOString(), count: entries.length });
+
+        // Entries from an older import of another file may no longer be referenced
+        const live = new Set(this.data.entries.map(entry => entry.source_file));
+        this.data.sources = this.data.sources.filter(source => live.has(source.file));
+
+        this.buildIndex();
+        return { inserted, updated };
+    }
+
+    findByNumber(licenseNumber) {
+        const index = this.byNumber.get(normaliseLicenseNumber(licenseNumber));
+        return index === undefined ? null : this.data.entries[index];
+    }
+
+    // Entries whose holder or trading name has a word starting with every word
+    // of the search term - close to how the online search behaves. Exact name
+    // matches come first, then names with the fewest extra words.
+    searchByName(searchTerm) {
+        const terms = nameTokens(searchTerm);
+        if (terms.length === 0) return [];
+
+        let matches = null;
+        for (const term of terms) {
+            const found = this.indexesWithPrefix(term);
+            matches = matches ? new Set([...matches].filter(index => found.has(index))) : found;
+            if (matches.size === 0) return [];
+        }
+
+        const wanted = terms.join(' ');
+        return [...matches]
+            .map(index => this.data.entries[index])
+            .map(entry => {
+                const names = [entry.holder_name, entry.trading_name].filter(Boolean).map(name => nameTokens(name));
+                const exact = names.some(tokens => tokens.join(' ') === wanted);
+                const extra = Math.min(...names.map(tokens => tokens.length)) - terms.length;
+                return { entry, rank: exact ? -1 : extra };
+            })
+            .sort((a, b) => a.rank - b.rank)
+            .map(({ entry }) => entry);
+    }
+
+    save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        // No indentation - a full extract runs to tens of thousands of entries
+        fs.writeFileSync(this.file, JSON.stringify({
+            lastUpdated: new Date().toISOString(),
+            sources: this.data.sources,
+            entries: this.data.entries
+        }));
+    }
+}
+
+module.exports = { LicenseRegisterStore, nameTokens };
@@ -0,0 +1,19 @@
+// Common shape for anything WALicenseVerifier can ask "who holds a licence
+// under this name?". search() resolves to a list of register entries:
+//
+//   { license_number, license_class, holder_name, status, expiry_date,
+//     detail_url, source }
+//
+// An empty list means the register had no match. Network failures must be
+// thrown (as HttpError) so the verifier can keep the previous result.
+class LicenseSource {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async search(searchTerm, tradeType) {
+        throw new Error(`${this.name} license source must implement search()`);
+    }
+}
+
+module.exports = LicenseSource;
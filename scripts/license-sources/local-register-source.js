@@ -0,0 +1,42 @@
+const LicenseSource = require('./license-source');
+
+// Answers searches from a LicenseRegisterStore (see import-license-register.js)
+// instead of the network. Entries carry the date of the extract they came
+// from, so a "licensed" result can be dated.
+class LocalRegisterSource extends LicenseSource {
+    constructor({ store }) {
+        super('wa_register_extract');
+        this.store = store;
+    }
+
+    get extractDate() {
+        return this.store.oldestExtractDate;
+    }
+
+    async search(searchTerm, tradeType) {
+        return this.store.searchByName(searchTerm).map(entry => this.toResult(entry));
+    }
+
+    async lookup(licenseNumber) {
+        const entry = this.store.findByNumber(licenseNumber);
+        return entry ? this.toResult(entry) : null;
+    }
+
+    toResult(entry) {
+        return {
+            license_number: entry.license_number,
+            license_class: entry.license_class,
+            holder_name: entry.holder_name,
+            trading_name: entry.trading_name,
+            suburb: entry.suburb,
+            phone: entry.phone,
+            status: entry.status,
+            expiry_date: entry.expiry_date,
+            detail_url: null,
+            extract_date: entry.extract_date,
+            source: this.name
+        };
+    }
+}
+
+module.exports = LocalRegisterSource;
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const LicenseSource = require('./license-source');
+const { parseSearchResults } = require('./wa-ols-parser');
+
+// Category sent with each search, by our trade types
+const TRADE_CATEGORIES = {
+    electrician: 'electrical',
+    plumber: 'plumbing',
+    gas_fitter: 'gas'
+};
+
+// Public WA licence search (Building and Energy). Pages on the site link here
+// rather than to a search URL - the register's own query interface hasn't
+// been captured, so nothing public depends on a guessed one.
+const REGISTER_SEARCH_PAGE = 'https://ols.demirs.wa.gov.au/';
+
+// This is NOT a client for the live WA Online Licence Search. Its queries and
+// result pages have never been captured, so there is no client for it yet and
+// verification against WA data needs an imported register extract
+// (scripts/import-license-register.js).
+//
+// What this does search is a register that answers
+// GET <baseUrl>/search?name=&category= with a results table (wa-ols-parser.js)
+// - the format of scripts/wa-license-stub-server.js, which the tests use.
+// There's no default base URL; WA_LICENSE_SEARCH_URL has to name one.
+class RegisterSearchClient extends LicenseSource {
+    constructor({ http, baseUrl, searchPath = '/search', recordDir = null }) {
+        super('register_search');
+        if (!baseUrl) {
+            throw new Error('RegisterSearchClient needs a baseUrl (WA_LICENSE_SEARCH_URL)');
+        }
+        this.http = http;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.searchPath = searchPath;
+        this.recordDir = recordDir;
+    }
+
+    searchUrl(searchTerm, tradeType) {
+        const params = new URLSearchParams({ name: searchTerm });
+        if (TRADE_CATEGORIES[tradeType]) {
+            params.set('category', TRADE_CATEGORIES[tradeType]);
+        }
+        return `${this.baseUrl}${this.searchPath}?${params.toString()}`;
+    }
+
+    async search(searchTerm, tradeType) {
+        const url = this.searchUrl(searchTerm, tradeType);
+        const html = await this.http.getText(url, { Accept: 'text/html' });
+
+        if (this.recordDir) {
+            this.recordPage(searchTerm, html);
+        }
+
+        return parseSearchResults(html, this.baseUrl).map(entry => ({
+            ...entry,
+            source: this.name
+        }));
+    }
+
+    // Save the raw page so the stub server can serve it back later
+    recordPage(searchTerm, html) {
+        if (!fs.existsSync(this.recordDir)) {
+            fs.mkdirSync(this.recordDir, { recursive: true });
+        }
+        const file = path.join(this.recordDir, pageFileName(searchTerm));
+        fs.writeFileSync(file, html);
+        console.log(`    📼 Recorded ${path.basename(file)}`);
+    }
+}
+
+// "Response Electricians" -> search-response-electricians.html
+function pageFileName(searchTerm) {
+    const slug = searchTerm.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `search-${slug || 'blank'}.html`;
+}
+
+module.exports = { RegisterSearchClient, pageFileName, TRADE_CATEGORIES, REGISTER_SEARCH_PAGE };
@@ -0,0 +1,92 @@
+// Parses register search result pages in the stub server's format
+// (wa-ols-client.js - not captured from the live WA register). The results
+// come back as an HTML table; columns are located by their header text rather than by
+// position, so a reordered or extra column doesn't break the parser.
+
+const COLUMN_PATTERNS = {
+    license_number: /licen[cs]e\s*(no\.?|number|#)|registration\s*(no\.?|number)/i,
+    license_class: /class|type|category/i,
+    holder_name: /holder|name/i,
+    status: /status/i,
+    expiry_date: /expir/i,
+    suburb: /suburb|locality/i
+};
+
+function decodeEntities(text) {
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+function cellText(html) {
+    return decodeEntities(html.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, ''))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function parseRows(tableHtml) {
+    const rows = [];
+    const rowPattern = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
+    let rowMatch;
+
+    while ((rowMatch = rowPattern.exec(tableHtml)) !== null) {
+        const cells = [];
+        const cellPattern = /<(t[dh])[^>]*>([\s\S]*?)<\/\1>/gi;
+        let cellMatch;
+        while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+            const link = cellMatch[2].match(/<a[^>]+href="([^"]+)"/i);
+            cells.push({
+                header: cellMatch[1].toLowerCase() === 'th',
+                text: cellText(cellMatch[2]),
+                href: link ? decodeEntities(link[1]) : null
+            });
+        }
+        if (cells.length > 0) rows.push(cells);
+    }
+    return rows;
+}
+
+// Returns one entry per result row; [] for a "no results" page
+function parseSearchResults(html, baseUrl) {
+    const tables = html.match(/<table[\s\S]*?<\/table>/gi) || [];
+
+    for (const table of tables) {
+        const rows = parseRows(table);
+        const headerRow = rows.find(row => row.every(cell => cell.header));
+        if (!headerRow) continue;
+
+        const columns = {};
+        for (const [field, pattern] of Object.entries(COLUMN_PATTERNS)) {
+            // First matching header wins, and a header is only used once
+            const index = headerRow.findIndex((cell, i) =>
+                pattern.test(cell.text) && !Object.values(columns).includes(i)
+            );
+            if (index !== -1) columns[field] = index;
+        }
+
+        // Not the results table (e.g. a layout table)
+        if (columns.license_number === undefined || columns.holder_name === undefined) continue;
+
+        return rows
+            .filter(row => row !== headerRow && !row.every(cell => cell.header))
+            .map(row => {
+                const entry = {};
+                for (const [field, index] of Object.entries(columns)) {
+                    entry[field] = row[index] ? row[index].text : null;
+                }
+                const linkCell = row.find(cell => cell.href);
+                entry.detail_url = linkCell ? new URL(linkCell.href, baseUrl).toString() : null;
+                return entry;
+            })
+            .filter(entry => entry.license_number);
+    }
+
+    return [];
+}
+
+module.exports = { parseSearchResults, decodeEntities };
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Remembers the last licence result for each tradie so a run only re-checks
+// what could have changed. An entry is reused while:
+//   - the tradie's matching inputs (name, trade, phone, address, declared
+//     licence number) are unchanged - the fingerprint
+//   - it was verified within the TTL
+//   - it came from the same or a newer register extract than the one in use
+//
+// Results are copied back onto the record on a hit, so a record discovery
+// re-created without the license_* fields gets them back.
+class LicenseVerificationCache {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.ttlDays = options.ttlDays || 30;
+        this.entries = {};
+
+        if (fs.existsSync(file)) {
+            this.entries = JSON.parse(fs.readFileSync(file, 'utf8')).entries || {};
+        }
+    }
+
+    fingerprint(tradie) {
+        const inputs = [
+            tradie.business_name || tradie.name,
+            tradie.trade_type || tradie.category,
+            tradie.phone,
+            tradie.address,
+            tradie.declared_license_number
+        ].map(value => (value || '').toString().trim().toLowerCase());
+
+        return crypto.createHash('sha1').update(JSON.stringify(inputs)).digest('hex').slice(0, 12);
+    }
+
+    // Why an entry can't be used, or null when it can
+    staleReason(key, tradie, extractDate) {
+        const entry = this.entries[key];
+        if (!entry) return 'new';
+        if (entry.fingerprint !== this.fingerprint(tradie)) return 'changed';
+
+        const ageDays = (Date.now() - new Date(entry.result.license_verified_date).getTime()) / DAY_MS;
+        if (!(ageDays <= this.ttlDays)) return 'expired';
+
+        if (extractDate && (!entry.extract_date || entry.extract_date < extractDate)) return 'newer extract';
+        return null;
+    }
+
+    get(key) {
+        return this.entries[key] ? this.entries[key].result : null;
+    }
+
+    // Every licence field on the record, as verifyLicense left it
+    set(key, tradie, extractDate) {
+        const result = {};
+        for (const [field, value] of Object.entries(tradie)) {
+            if (field === 'licensed' || field.startsWith('license_')) {
+                result[field] = value;
+            }
+        }
+
+        this.entries[key] = {
+            fingerprint: this.fingerprint(tradie),
+            extract_date: extractDate || null,
+            result
+        };
+    }
+
+    save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(this.file, JSON.stringify({
+            lastUpdated: new Date().toISOString(),
+            ttlDays: this.ttlDays,
+            entries: this.entries
+        }, null, 2));
+    }
+}
+
+module.exports = LicenseVerificationCache;
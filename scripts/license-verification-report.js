@@ -0,0 +1,386 @@
+const fs = require('fs');
+const path = require('path');
+const { suburbOf } = require('./address');
+const { REGISTER_SEARCH_PAGE } = require('./license-sources/wa-ols-client');
+const { publishingDecision } = require('./regulatory-actions');
+
+const DEFAULT_REPORT_DIR = path.join(__dirname, '..', 'data', 'reports');
+
+// Stable names for the newest report, so the website can link to it
+const LATEST_JSON = 'latest-license-report.json';
+const LATEST_HTML = 'latest-license-report.html';
+
+// The redacted copy the website publishes (scripts/build-site.js) - the full
+// report names candidate licence holders and tradies the site doesn't list
+const PUBLIC_HTML = 'public-license-report.html';
+
+// Accepted matches below this confidence are listed for a second look
+const LOW_CONFIDENCE = 0.75;
+
+const TRADE_LABELS = {
+    electrician: 'Electricians',
+    plumber: 'Plumbers',
+    gas_fitter: 'Gas fitters'
+};
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function percent(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+function link(url, text) {
+    return url ? `<a href="${escapeHtml(url)}" rel="noopener">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+function confidence(value) {
+    return typeof value === 'number' ? `${Math.round(value * 100)}%` : '';
+}
+
+function table(headings, rows) {
+    return rows.length === 0
+        ? '<p class="empty">None.</p>'
+        : `<table><thead><tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr></thead><tbody>${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n')}</tbody></table>`;
+}
+
+function rateTable(groups) {
+    return table(['', 'Tradies', 'Licensed', 'Needs review', 'Not found', 'Licence rate'], Object.entries(groups).map(([group, rates]) => [
+        escapeHtml(TRADE_LABELS[group] || group), rates.total, rates.licensed, rates.needsReview, rates.notFound, `${rates.rate}%`
+    ]));
+}
+
+function sinceText(since) {
+    return since
+        ? `Since ${escapeHtml(since.previousGeneratedAt.slice(0, 10))}: ${since.licensed >= 0 ? '+' : ''}${since.licensed} licensed, ${since.total >= 0 ? '+' : ''}${since.total} tradies, rate ${since.rate >= 0 ? '+' : ''}${since.rate} points.`
+        : 'No previous report to compare with.';
+}
+
+function htmlDocument(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2c3e50; max-width: 1100px; margin: 0 auto; padding: 20px; line-height: 1.5; }
+    h1 { margin-bottom: 0; }
+    h2 { margin-top: 40px; border-bottom: 2px solid #ecf0f1; padding-bottom: 5px; }
+    .meta, .empty { color: #7f8c8d; }
+    .summary { font-size: 1.2em; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+    th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #ecf0f1; vertical-align: top; }
+    th { background: #f8f9fa; }
+    .yes { color: #27ae60; font-weight: 600; }
+    .no { color: #c0392b; }
+    a { color: #2980b9; }
+</style>
+</head>
+<body>
+${body}
+
+<p class="meta">Always confirm a licence on the official WA Building and Energy register before hiring.</p>
+</body>
+</html>
+`;
+}
+
+// Everything a licence run found, kept as JSON (for tooling and the next
+// run's comparison) and a standalone HTML page (for people). Unlike the
+// console summary these outlive the Actions log.
+class LicenseVerificationReport {
+    constructor(tradies, options = {}) {
+        this.generatedAt = new Date().toISOString();
+        this.tradies = tradies;
+        this.changes = options.changes || [];
+        this.overrideIssues = options.overrideIssues || [];
+        this.stats = options.stats || {};
+        this.previous = options.previous || null;
+    }
+
+    describe(tradie) {
+        const tradeType = tradie.trade_type || tradie.category;
+        return {
+            name: tradie.business_name || tradie.name,
+            trade: tradeType,
+            suburb: suburbOf(tradie.address),
+            phone: tradie.phone || null
+        };
+    }
+
+    // The tradies update-website.js publishes: not permanently closed and not
+    // hidden by the regulatory publishing rule
+    listed() {
+        return this.tradies.filter(tradie => (tradie.business_status || tradie.businessStatus) !== 'CLOSED_PERMANENTLY' &&
+            publishingDecision(tradie.regulatory_actions).action !== 'hide');
+    }
+
+    // { total, licensed, needsReview, notFound, rate } per group
+    ratesBy(groupOf, tradies = this.tradies) {
+        const groups = {};
+        for (const tradie of tradies) {
+            const group = groupOf(tradie) || 'unknown';
+            const rates = groups[group] || (groups[group] = { total: 0, licensed: 0, needsReview: 0, notFound: 0 });
+            rates.total++;
+            if (tradie.licensed === true) rates.licensed++;
+            if (tradie.license_status === 'needs_review') rates.needsReview++;
+            if (tradie.license_status === 'not_found') rates.notFound++;
+        }
+
+        for (const rates of Object.values(groups)) {
+            rates.rate = percent(rates.licensed, rates.total);
+        }
+        return Object.fromEntries(Object.entries(groups).sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    licences() {
+        return this.tradies
+            .filter(tradie => tradie.license_number)
+            .map(tradie => ({
+                ...this.describe(tradie),
+                licensed: tradie.licensed === true,
+                license_number: tradie.license_number,
+                license_type: tradie.license_type || null,
+                holder_name: tradie.license_holder_name || null,
+                status: tradie.license_status,
+                expiry_date: tradie.license_expiry_date || null,
+                confidence: tradie.license_match_confidence === undefined ? null : tradie.license_match_confidence,
+                source: tradie.license_source || null,
+                // Only the register's own page for the licence - numbers without
+                // one are looked up on the register search
+                register_url: tradie.license_detail_url || undefined
+            }));
+    }
+
+    unmatched() {
+        return this.tradies
+            .filter(tradie => tradie.license_status === 'not_found')
+            .map(tradie => ({
+                ...this.describe(tradie),
+                reasons: tradie.license_match_reasons || []
+            }));
+    }
+
+    // Waiting for review, or accepted by the matcher with little to spare
+    lowConfidence() {
+        return this.tradies
+            .filter(tradie => tradie.license_status === 'needs_review' ||
+                (tradie.license_number && tradie.license_source !== 'manual_override' &&
+                    typeof tradie.license_match_confidence === 'number' && tradie.license_match_confidence < LOW_CONFIDENCE))
+            .map(tradie => ({
+                ...this.describe(tradie),
+                status: tradie.license_status,
+                confidence: tradie.license_match_confidence,
+                license_number: tradie.license_number || null,
+                candidates: (tradie.license_match_alternatives || []).map(candidate => ({
+                    ...candidate,
+                    register_url: candidate.detail_url || undefined
+                }))
+            }));
+    }
+
+    // Tradies with matched prosecution or disciplinary notices, and what the
+    // publishing rule will do with them
+    regulatoryActions() {
+        return this.tradies
+            .filter(tradie => (tradie.regulatory_actions || []).length > 0)
+            .map(tradie => {
+                const decision = publishingDecision(tradie.regulatory_actions);
+                return {
+                    ...this.describe(tradie),
+                    publish: decision.action,
+                    reasons: decision.reasons,
+                    actions: tradie.regulatory_actions
+                };
+            });
+    }
+
+    // Only the notices the site itself shows: tradies the publishing rule flags,
+    // with the notices inside its lookback window. Hidden tradies and notices
+    // the rule ignores stay in the full report.
+    publishedRegulatoryActions() {
+        return this.listed()
+            .map(tradie => ({ tradie, decision: publishingDecision(tradie.regulatory_actions) }))
+            .filter(({ decision }) => decision.action === 'flag')
+            .map(({ tradie, decision }) => ({
+                name: tradie.business_name || tradie.name,
+                trade: tradie.trade_type || tradie.category,
+                suburb: suburbOf(tradie.address),
+                actions: decision.actions.map(action => ({
+                    type: action.type,
+                    date: action.date || null,
+                    offence: action.offence || null,
+                    outcome: action.outcome || null,
+                    url: action.url || null
+                }))
+            }));
+    }
+
+    summary(tradies = this.tradies) {
+        const total = tradies.length;
+        const licensed = tradies.filter(tradie => tradie.licensed === true).length;
+        return { total, licensed, rate: percent(licensed, total) };
+    }
+
+    // Totals against the previous run's JSON report, when there is one - its
+    // `summary`, or `publicSummary` for the public report. Per-tradie changes
+    // come from LicenseHistory.
+    sincePrevious(summary = this.summary(), previousKey = 'summary') {
+        const previous = this.previous && this.previous[previousKey];
+        if (!previous) return null;
+
+        return {
+            previousGeneratedAt: this.previous.generatedAt,
+            licensed: summary.licensed - previous.licensed,
+            total: summary.total - previous.total,
+            rate: Math.round((summary.rate - previous.rate) * 10) / 10
+        };
+    }
+
+    toJSON() {
+        return {
+            generatedAt: this.generatedAt,
+            stats: this.stats,
+            summary: this.summary(),
+            publicSummary: this.summary(this.listed()),
+            byTrade: this.ratesBy(tradie => tradie.trade_type || tradie.category),
+            bySuburb: this.ratesBy(tradie => suburbOf(tradie.address)),
+            sincePrevious: this.sincePrevious(),
+            changes: this.changes,
+            overrideIssues: this.overrideIssues,
+            regulatoryActions: this.regulatoryActions(),
+            unmatched: this.unmatched(),
+            lowConfidence: this.lowConfidence(),
+            licences: this.licences()
+        };
+    }
+
+    // Totals over the listed tradies and the notices the site shows - no
+    // phones, licence holders, match candidates or tradies the site doesn't list
+    toPublicJSON() {
+        const listed = this.listed();
+        const summary = this.summary(listed);
+        return {
+            generatedAt: this.generatedAt,
+            summary,
+            byTrade: this.ratesBy(tradie => tradie.trade_type || tradie.category, listed),
+            bySuburb: this.ratesBy(tradie => suburbOf(tradie.address), listed),
+            sincePrevious: this.sincePrevious(summary, 'publicSummary'),
+            regulatoryActions: this.publishedRegulatoryActions()
+        };
+    }
+
+    toHTML() {
+        const report = this.toJSON();
+        return htmlDocument(`Licence verification report - ${report.generatedAt.slice(0, 10)}`, `<h1>Licence verification report</h1>
+<p class="meta">Generated ${escapeHtml(report.generatedAt)} &middot; ${report.stats.fresh || 0} fresh checks, ${report.stats.cached || 0} from cache, ${report.stats.overridden || 0} manual overrides</p>
+<p class="summary"><strong>${report.summary.licensed}</strong> of ${report.summary.total} tradies licensed to contract (${report.summary.rate}%)</p>
+<p>${sinceText(report.sincePrevious)}</p>
+
+<h2>By trade</h2>
+${rateTable(report.byTrade)}
+
+<h2>By suburb</h2>
+${rateTable(report.bySuburb)}
+
+<h2>Changes since the previous run</h2>
+${table(['Tradie', 'Trade', 'Change', 'Was', 'Now'], report.changes.map(change => [
+            escapeHtml(change.name), escapeHtml(change.trade), escapeHtml(change.type),
+            escapeHtml([change.previous.status, change.previous.license_number].filter(Boolean).join(' ')),
+            escapeHtml([change.current.status, change.current.license_number].filter(Boolean).join(' '))
+        ]))}
+
+<h2>Manual overrides to re-check</h2>
+${table(['Tradie', 'Override', 'Reviewer', 'Problem'], report.overrideIssues.map(issue => [
+            escapeHtml(issue.name),
+            escapeHtml([issue.override.licensed ? 'licensed' : 'not licensed', issue.override.license_number].filter(Boolean).join(' ')),
+            escapeHtml(`${issue.override.reviewer}, ${issue.override.reviewed_date}`),
+            escapeHtml(issue.reasons.join('; '))
+        ]))}
+
+<h2>Prosecutions and disciplinary actions</h2>
+${table(['Tradie', 'Trade', 'Notice', 'Matched by', 'On the site'], report.regulatoryActions.map(entry => [
+            escapeHtml(entry.name), escapeHtml(entry.trade),
+            entry.actions.map(action => `${link(action.url, `${action.type} ${action.date || ''}`)}: ${escapeHtml(action.outcome || action.offence || '')}`).join('<br>'),
+            entry.actions.map(action => escapeHtml(action.matched_by === 'name' ? `name (${confidence(action.match_confidence)})` : 'licence number')).join('<br>'),
+            escapeHtml(entry.publish)
+        ]))}
+
+<h2>Low-confidence matches</h2>
+<p>${link(REGISTER_SEARCH_PAGE, 'Search the register')} for candidates without a link.</p>
+${table(['Tradie', 'Trade', 'Suburb', 'Status', 'Confidence', 'Candidates'], report.lowConfidence.map(entry => [
+            escapeHtml(entry.name), escapeHtml(entry.trade), escapeHtml(entry.suburb), escapeHtml(entry.status), confidence(entry.confidence),
+            entry.candidates.map(candidate => `${link(candidate.register_url, candidate.license_number)} ${escapeHtml(candidate.holder_name)} (${confidence(candidate.confidence)})`).join('<br>')
+        ]))}
+
+<h2>Unmatched tradies</h2>
+${table(['Tradie', 'Trade', 'Suburb', 'Phone'], report.unmatched.map(entry => [
+            escapeHtml(entry.name), escapeHtml(entry.trade), escapeHtml(entry.suburb), escapeHtml(entry.phone)
+        ]))}
+
+<h2>Licences</h2>
+<p>Numbers are linked to the register's page for the licence where the source gave one. ${link(REGISTER_SEARCH_PAGE, 'Search the register')} for the others.</p>
+${table(['Tradie', 'Trade', 'Licence', 'Holder', 'Status', 'Expiry', 'Licensed', 'Match'], report.licences.map(entry => [
+            escapeHtml(entry.name), escapeHtml(entry.trade), link(entry.register_url, entry.license_number),
+            escapeHtml(entry.holder_name), escapeHtml(entry.status), escapeHtml(entry.expiry_date),
+            entry.licensed ? '<span class="yes">Yes</span>' : '<span class="no">No</span>',
+            entry.source === 'manual_override' ? 'manual' : confidence(entry.confidence)
+        ]))}`);
+    }
+
+    toPublicHTML() {
+        const report = this.toPublicJSON();
+        return htmlDocument(`Licence verification report - ${report.generatedAt.slice(0, 10)}`, `<h1>Licence verification report</h1>
+<p class="meta">Generated ${escapeHtml(report.generatedAt)}</p>
+<p class="summary"><strong>${report.summary.licensed}</strong> of ${report.summary.total} tradies licensed to contract (${report.summary.rate}%)</p>
+<p>${sinceText(report.sincePrevious)}</p>
+
+<h2>By trade</h2>
+${rateTable(report.byTrade)}
+
+<h2>By suburb</h2>
+${rateTable(report.bySuburb)}
+
+<h2>Regulator notices</h2>
+${table(['Tradie', 'Trade', 'Suburb', 'Notice'], report.regulatoryActions.map(entry => [
+            escapeHtml(entry.name), escapeHtml(entry.trade), escapeHtml(entry.suburb),
+            entry.actions.map(action => `${link(action.url, `${action.type} ${action.date || ''}`)}: ${escapeHtml(action.outcome || action.offence || '')}`).join('<br>')
+        ]))}`);
+    }
+
+    // Timestamped copies plus latest-license-report.{json,html} and the public
+    // copy; returns the timestamped paths
+    save(dir = DEFAULT_REPORT_DIR) {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const stamp = this.generatedAt.replace(/[:.]/g, '-');
+        const json = `${JSON.stringify(this.toJSON(), null, 2)}\n`;
+        const html = this.toHTML();
+        const jsonFile = path.join(dir, `license-report-${stamp}.json`);
+        const htmlFile = path.join(dir, `license-report-${stamp}.html`);
+
+        fs.writeFileSync(jsonFile, json);
+        fs.writeFileSync(htmlFile, html);
+        fs.writeFileSync(path.join(dir, LATEST_JSON), json);
+        fs.writeFileSync(path.join(dir, LATEST_HTML), html);
+        fs.writeFileSync(path.join(dir, PUBLIC_HTML), this.toPublicHTML());
+        return [jsonFile, htmlFile];
+    }
+
+    // The report saved by the previous run, if any
+    static loadLatest(dir = DEFAULT_REPORT_DIR) {
+        const file = path.join(dir, LATEST_JSON);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+}
+
+module.exports = { LicenseVerificationReport, LATEST_JSON, LATEST_HTML, PUBLIC_HTML };
@@ -0,0 +1,16 @@
+const FileImportProvider = require('./file-import-provider');
+const { parseCsv } = require('../csv');
+
+// Spreadsheets exported as CSV - the owner's own lists, association member lists.
+// Needs at least a name column; trade, address/suburb and phone are used when present.
+class CsvFileProvider extends FileImportProvider {
+    constructor(file) {
+        super('csv_import', file);
+    }
+
+    readRecords(text) {
+        return parseCsv(text);
+    }
+}
+
+module.exports = CsvFileProvider;
@@ -0,0 +1,21 @@
+// Common shape for every source of tradies. A provider turns whatever it reads
+// (API responses, spreadsheet rows, JSON submissions) into the flat place record
+// that LimitedTradieDiscovery.processPlace classifies and tags:
+//
+//   { google_place_id?, business_name, address, phone, website, rating,
+//     review_count, google_types, primary_type, business_status, location,
+//     opening_hours, google_maps_uri, declared_trade?, source_ref? }
+//
+// Search providers (Google Places) also implement fetchPage(); file providers
+// implement load().
+class DiscoveryProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    toPlaceData(raw) {
+        throw new Error(`${this.name} provider must implement toPlaceData()`);
+    }
+}
+
+module.exports = DiscoveryProvider;
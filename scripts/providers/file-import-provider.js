@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const DiscoveryProvider = require('./discovery-provider');
+
+// Column names people actually use in spreadsheets, mapped to our fields
+const FIELD_ALIASES = {
+    business_name: ['business_name', 'name', 'business', 'trading_name', 'company', 'company_name'],
+    address: ['address', 'full_address', 'street_address', 'formatted_address'],
+    suburb: ['suburb', 'locality', 'area'],
+    phone: ['phone', 'phone_number', 'mobile', 'contact_number', 'national_phone_number'],
+    website: ['website', 'url', 'web', 'website_uri'],
+    trade: ['trade', 'trade_type', 'category', 'type'],
+    google_place_id: ['google_place_id', 'place_id'],
+    rating: ['rating'],
+    review_count: ['review_count', 'reviews', 'user_rating_count'],
+    license_number: ['license_number', 'licence_number', 'licence', 'license'],
+    abn: ['abn', 'australian_business_number'],
+    notes: ['notes', 'comments', 'reason']
+};
+
+const TRADE_ALIASES = {
+    electrician: ['electrician', 'electrical', 'electrical_contractor', 'sparky'],
+    plumber: ['plumber', 'plumbing'],
+    gas_fitter: ['gas_fitter', 'gasfitter', 'gas_fitting', 'gas']
+};
+
+// Base for providers that read a list of tradies from a file. Subclasses only
+// have to turn the file into plain objects (readRecords); mapping is shared.
+class FileImportProvider extends DiscoveryProvider {
+    constructor(name, file) {
+        super(name);
+        this.file = file;
+        this.ref = path.basename(file);
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) {
+            throw new Error(`Import file not found: ${this.file}`);
+        }
+        return this.readRecords(fs.readFileSync(this.file, 'utf8'));
+    }
+
+    readRecords(text) {
+        throw new Error(`${this.name} provider must implement readRecords()`);
+    }
+
+    toPlaceData(record) {
+        const normalised = {};
+        for (const [key, value] of Object.entries(record)) {
+            normalised[normaliseKey(key)] = value;
+        }
+
+        const pick = field => {
+            const alias = FIELD_ALIASES[field].find(name => normalised[name] !== undefined && normalised[name] !== '');
+            return alias ? normalised[alias] : undefined;
+        };
+
+        const suburb = pick('suburb');
+        let address = pick('address');
+        if (!address && suburb) {
+            // A bare suburb is still enough for the region check
+            address = /\bWA\b/.test(suburb) ? suburb : `${suburb} WA`;
+        }
+
+        const rating = parseFloat(pick('rating'));
+        const reviewCount = parseInt(pick('review_count'), 10);
+
+        return {
+            google_place_id: pick('google_place_id'),
+            business_name: pick('business_name') || 'Unknown Business',
+            address,
+            phone: pick('phone'),
+            website: pick('website'),
+            rating: isNaN(rating) ? undefined : rating,
+            review_count: isNaN(reviewCount) ? undefined : reviewCount,
+            google_types: [],
+            business_status: 'OPERATIONAL',
+            declared_trade: normaliseTrade(pick('trade')),
+            declared_license_number: pick('license_number'),
+            declared_abn: pick('abn'),
+            source_notes: pick('notes'),
+            source_ref: this.ref
+        };
+    }
+}
+
+// "Business Name" / "businessName" / "business-name" -> business_name
+function normaliseKey(key) {
+    return key
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+}
+
+function normaliseTrade(value) {
+    if (!value) return undefined;
+    const key = normaliseKey(String(value));
+    return Object.keys(TRADE_ALIASES).find(trade => TRADE_ALIASES[trade].includes(key));
+}
+
+module.exports = FileImportProvider;
@@ -0,0 +1,76 @@
+const DiscoveryProvider = require('./discovery-provider');
+
+// Google Places Text Search (New). Knows the request format, the field mask and
+// how to read a place; paging, budgets and classification stay with the caller.
+class GooglePlacesProvider extends DiscoveryProvider {
+    constructor({ apiKey, http, fieldMask, pageSize, url = 'https://places.googleapis.com/v1/places:searchText' }) {
+        super('google_places');
+        this.apiKey = apiKey;
+        this.http = http;
+        this.fieldMask = fieldMask;
+        this.pageSize = pageSize;
+        this.url = url;
+    }
+
+    // One billable call. `cell` (grid mode) restricts the search to its rectangle.
+    async fetchPage({ textQuery, cell = null, pageToken = null }) {
+        const requestData = {
+            textQuery,
+            pageSize: this.pageSize,  // Limit results per call
+            languageCode: "en"
+        };
+        if (cell) {
+            requestData.locationRestriction = { rectangle: cell.rectangle };
+        }
+        if (pageToken) {
+            requestData.pageToken = pageToken;
+        }
+
+        const headers = {
+            'X-Goog-Api-Key': this.apiKey || '',
+            'X-Goog-FieldMask': this.fieldMask
+        };
+
+        const data = await this.http.postJSON(this.url, requestData, headers);
+        return {
+            places: Array.isArray(data.places) ? data.places : [],
+            nextPageToken: data.nextPageToken || null
+        };
+    }
+
+    toPlaceData(place) {
+        return {
+            google_place_id: place.id,
+            business_name: place.displayName?.text || 'Unknown Business',
+            address: place.formattedAddress,
+            phone: place.nationalPhoneNumber,
+            website: place.websiteUri,
+            rating: place.rating,
+            review_count: place.userRatingCount,
+            google_types: place.types || [],
+            primary_type: place.primaryType,
+            business_status: place.businessStatus || 'OPERATIONAL',
+            location: place.location ? {
+                latitude: place.location.latitude,
+                longitude: place.location.longitude
+            } : undefined,
+            opening_hours: this.extractOpeningHours(place.regularOpeningHours),
+            google_maps_uri: place.googleMapsUri
+        };
+    }
+
+    // Keep the human-readable week plus the raw periods (for after-hours filtering)
+    extractOpeningHours(hours) {
+        if (!hours) return undefined;
+
+        return {
+            weekday_descriptions: hours.weekdayDescriptions || [],
+            periods: (hours.periods || []).map(period => ({
+                open: period.open ? { day: period.open.day, hour: period.open.hour, minute: period.open.minute } : null,
+                close: period.close ? { day: period.close.day, hour: period.close.hour, minute: period.close.minute } : null
+            }))
+        };
+    }
+}
+
+module.exports = GooglePlacesProvider;
@@ -0,0 +1,25 @@
+const path = require('path');
+const GooglePlacesProvider = require('./google-places-provider');
+const CsvFileProvider = require('./csv-file-provider');
+const JsonFileProvider = require('./json-file-provider');
+
+const FILE_PROVIDERS = {
+    '.csv': CsvFileProvider,
+    '.json': JsonFileProvider
+};
+
+// Pick the file provider from the extension (--import <file>)
+function createFileProvider(file) {
+    const Provider = FILE_PROVIDERS[path.extname(file).toLowerCase()];
+    if (!Provider) {
+        throw new Error(`Don't know how to import ${path.basename(file)} (supported: ${Object.keys(FILE_PROVIDERS).join(', ')})`);
+    }
+    return new Provider(file);
+}
+
+module.exports = {
+    GooglePlacesProvider,
+    CsvFileProvider,
+    JsonFileProvider,
+    createFileProvider
+};
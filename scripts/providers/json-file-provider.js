@@ -0,0 +1,22 @@
+const FileImportProvider = require('./file-import-provider');
+
+// JSON lists of tradies, e.g. "Suggest a Tradie" emails transcribed into
+// data/imports/suggestions.json. Accepts a bare array or an object holding
+// one under `tradies` or `suggestions`.
+class JsonFileProvider extends FileImportProvider {
+    constructor(file) {
+        super('json_import', file);
+    }
+
+    readRecords(text) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : (data.tradies || data.suggestions);
+
+        if (!Array.isArray(records)) {
+            throw new Error(`${this.ref}: expected an array, or an object with a "tradies" or "suggestions" array`);
+        }
+        return records;
+    }
+}
+
+module.exports = JsonFileProvider;
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const DEFAULT_RULES = require('./regulatory-rules');
+const LicenseMatcher = require('./license-matcher');
+const { normaliseLicenseNumber } = require('./license-classes');
+
+const DEFAULT_ACTIONS_FILE = path.join(__dirname, '..', 'data', 'regulatory-actions.json');
+
+// Least to most severe
+const PUBLISH_ACTIONS = ['ignore', 'flag', 'hide'];
+
+// The regulator's wording varies between notice lists
+const ACTION_TYPES = [
+    ['prosecution', /prosecut|convict|court|magistrate/i],
+    ['disciplinary', /disciplin|tribunal|\bsat\b|reprimand|suspen|cancel/i],
+    ['infringement', /infringement|penalty notice|fine/i]
+];
+
+function actionType(text) {
+    const found = ACTION_TYPES.find(([, pattern]) => pattern.test(text || ''));
+    return found ? found[0] : 'other';
+}
+
+function noticeId(notice) {
+    const parts = [notice.type, notice.date, normaliseLicenseNumber(notice.license_number || ''), (notice.name || '').toLowerCase()];
+    return crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 10);
+}
+
+// Published disciplinary and prosecution notices (imported with
+// scripts/import-regulatory-actions.js), matched to tradies by licence number
+// or, failing that, by name:
+//
+//   { id, type, date, license_number, name, trading_name, offence, outcome,
+//     url, source_file }
+class RegulatoryActions {
+    constructor(file = DEFAULT_ACTIONS_FILE, options = {}) {
+        this.file = file;
+        this.rules = options.rules || DEFAULT_RULES;
+        this.matcher = options.matcher || new LicenseMatcher();
+        this.data = { sources: [], notices: [] };
+    }
+
+    exists() {
+        return fs.existsSync(this.file);
+    }
+
+    load() {
+        if (this.exists()) {
+            this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        }
+        return this;
+    }
+
+    get size() {
+        return this.data.notices.length;
+    }
+
+    // Add or replace notices by id (type, date, licence number and name)
+    upsert(notices, { sourceFile }) {
+        const byId = new Map(this.data.notices.map((notice, index) => [notice.id, index]));
+        let inserted = 0;
+        let updated = 0;
+
+        for (const notice of notices) {
+            const record = { id: noticeId(notice), ...notice, source_file: sourceFile };
+            const index = byId.get(record.id);
+            if (index === undefined) {
+                byId.set(record.id, this.data.notices.length);
+                this.data.notices.push(record);
+                inserted++;
+            } else {
+                this.data.notices[index] = record;
+                updated++;
+            }
+        }
+
+        this.data.sources = this.data.sources.filter(source => source.file !== sourceFile);
+        this.data.sources.push({ file: sourceFile, importedAt: new Date().toISOString(), count: notices.length });
+        return { inserted, updated };
+    }
+
+    // Notices for this tradie, newest first, each with how it was matched
+    forTradie(tradie) {
+        const numbers = [tradie.license_number, tradie.declared_license_number]
+            .filter(Boolean)
+            .map(number => normaliseLicenseNumber(number));
+        const names = [tradie.business_name || tradie.name, tradie.license_holder_name, tradie.abn_legal_name].filter(Boolean);
+
+        const matches = [];
+        for (const notice of this.data.notices) {
+            if (notice.license_number && numbers.includes(normaliseLicenseNumber(notice.license_number))) {
+                matches.push({ ...notice, matched_by: 'license_number', match_confidence: 1 });
+                continue;
+            }
+            // A notice for a different licence number isn't theirs, whatever the name
+            if (notice.license_number && numbers.length > 0) continue;
+
+            const noticeNames = [notice.name, notice.trading_name].filter(Boolean);
+            const best = Math.max(0, ...names.map(name => this.matcher.nameSimilarity(name, noticeNames).similarity));
+            if (best >= this.rules.NAME_MATCH_SIMILARITY) {
+                matches.push({ ...notice, matched_by: 'name', match_confidence: Math.round(best * 100) / 100 });
+            }
+        }
+
+        return matches.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    }
+
+    save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(this.file, JSON.stringify({
+            lastUpdated: new Date().toISOString(),
+            sources: this.data.sources,
+            notices: this.data.notices
+        }, null, 2));
+    }
+}
+
+// What the site should do with a tradie's matched notices under `rules`:
+// { action: 'hide' | 'flag' | 'ignore', reasons, actions } where `actions`
+// are the notices inside the lookback window
+function publishingDecision(actions, rules = DEFAULT_RULES, today = new Date()) {
+    const cutoff = new Date(today);
+    cutoff.setFullYear(cutoff.getFullYear() - rules.LOOKBACK_YEARS);
+    const since = cutoff.toISOString().slice(0, 10);
+
+    const recent = (actions || []).filter(action => !action.date || action.date >= since);
+
+    let decision = 'ignore';
+    const reasons = [];
+    for (const action of recent) {
+        let publish = rules.PUBLISH_BY_TYPE[action.type] || rules.PUBLISH_BY_TYPE.other || 'flag';
+        if (action.matched_by === 'name' && PUBLISH_ACTIONS.indexOf(publish) > PUBLISH_ACTIONS.indexOf(rules.NAME_MATCH_MAX_ACTION)) {
+            publish = rules.NAME_MATCH_MAX_ACTION;
+        }
+
+        reasons.push(`${action.type} ${action.date || 'undated'} (matched by ${action.matched_by.replace('_', ' ')}) -> ${publish}`);
+        if (PUBLISH_ACTIONS.indexOf(publish) > PUBLISH_ACTIONS.indexOf(decision)) {
+            decision = publish;
+        }
+    }
+
+    return { action: decision, reasons, actions: recent };
+}
+
+module.exports = { RegulatoryActions, publishingDecision, actionType };
@@ -0,0 +1,29 @@
+// Rules for published disciplinary and prosecution notices (see
+// regulatory-actions.js). Matching decides which notices belong to a tradie;
+// publishing decides what the site does about them. Tweak them here rather
+// than in the code.
+
+module.exports = {
+    // A notice naming the tradie's licence number is always theirs. Without a
+    // number, the notice's name has to be at least this similar to the
+    // business name, licence holder or ABN legal name.
+    NAME_MATCH_SIMILARITY: 0.85,
+
+    // Notices older than this no longer affect publishing (still reported)
+    LOOKBACK_YEARS: 5,
+
+    // What the site does with a tradie who has a notice of each type:
+    //   'hide' - not published
+    //   'flag' - published with a warning and a link to the notice
+    //   'ignore' - published as normal
+    PUBLISH_BY_TYPE: {
+        prosecution: 'hide',
+        disciplinary: 'flag',
+        infringement: 'flag',
+        other: 'flag'
+    },
+
+    // A name-only match may be someone else with the same name, so it can at
+    // most flag - never hide
+    NAME_MATCH_MAX_ACTION: 'flag'
+};
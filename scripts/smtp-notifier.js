@@ -0,0 +1,192 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+class SmtpError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+// One SMTP session: write a command, wait for its (possibly multi-line) reply
+class SmtpConnection {
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.replies = [];
+        this.waiting = null;
+        this.error = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        if (this.socket) this.socket.removeAllListeners('data');
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('error', error => this.fail(new SmtpError(`SMTP connection error: ${error.message}`)));
+        socket.on('close', () => this.fail(new SmtpError('SMTP connection closed')));
+    }
+
+    onData(chunk) {
+        this.buffer += chunk;
+        let end;
+        while ((end = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, end);
+            this.buffer = this.buffer.slice(end + 2);
+            this.lines.push(line);
+
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                this.replies.push({ code: Number(line.slice(0, 3)), lines: this.lines });
+                this.lines = [];
+                this.wake();
+            }
+        }
+    }
+
+    fail(error) {
+        if (!this.error) this.error = error;
+        this.wake();
+    }
+
+    wake() {
+        if (this.waiting) {
+            const waiting = this.waiting;
+            this.waiting = null;
+            waiting();
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                clearTimeout(timer);
+                if (this.replies.length > 0) return resolve(this.replies.shift());
+                if (this.error) return reject(this.error);
+                timer = setTimeout(() => reject(new SmtpError(`SMTP server did not reply within ${this.timeoutMs}ms`)), this.timeoutMs);
+                this.waiting = check;
+            };
+            let timer = null;
+            check();
+        });
+    }
+
+    async command(line, expected) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            const shown = /^AUTH /.test(line || '') ? 'AUTH' : line;
+            throw new SmtpError(`SMTP ${shown || 'greeting'} failed: ${reply.lines.join(' | ')}`, reply.code);
+        }
+        return reply;
+    }
+}
+
+// Sends plain-text mail over SMTP. Implicit TLS with `secure` (port 465),
+// otherwise STARTTLS when the server offers it; AUTH PLAIN when a user is set.
+// Point LICENSE_ALERT_SMTP_HOST/PORT at scripts/smtp-sink.js to test locally.
+class SmtpNotifier {
+    constructor({ host, port = 587, secure = false, startTls = true, user = null, pass = null, from, recipients, timeoutMs = 15000 }) {
+        this.host = host;
+        this.port = port;
+        this.secure = secure;
+        this.startTls = startTls;
+        this.user = user;
+        this.pass = pass;
+        this.from = from;
+        this.recipients = recipients;
+        this.timeoutMs = timeoutMs;
+    }
+
+    // null when alerts aren't configured
+    static fromEnv(env = process.env) {
+        const recipients = (env.LICENSE_ALERT_RECIPIENTS || '').split(',').map(address => address.trim()).filter(Boolean);
+        if (!env.LICENSE_ALERT_SMTP_HOST || recipients.length === 0) return null;
+
+        return new SmtpNotifier({
+            host: env.LICENSE_ALERT_SMTP_HOST,
+            port: parseInt(env.LICENSE_ALERT_SMTP_PORT || '587', 10),
+            secure: env.LICENSE_ALERT_SMTP_SECURE === 'true',
+            startTls: env.LICENSE_ALERT_SMTP_STARTTLS !== 'false',
+            user: env.LICENSE_ALERT_SMTP_USER || null,
+            pass: env.LICENSE_ALERT_SMTP_PASS || null,
+            from: env.LICENSE_ALERT_FROM || `alerts@${os.hostname()}`,
+            recipients
+        });
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = this.secure
+                ? tls.connect({ host: this.host, port: this.port, servername: this.host }, () => resolve(socket))
+                : net.connect({ host: this.host, port: this.port }, () => resolve(socket));
+            socket.once('error', error => reject(new SmtpError(`Cannot reach SMTP server ${this.host}:${this.port}: ${error.message}`)));
+            socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('connection timed out')));
+        });
+    }
+
+    upgradeToTls(connection) {
+        return new Promise((resolve, reject) => {
+            const socket = tls.connect({ socket: connection.socket, servername: this.host }, () => resolve(socket));
+            socket.once('error', error => reject(new SmtpError(`STARTTLS failed: ${error.message}`)));
+        });
+    }
+
+    buildMessage({ subject, text }) {
+        const body = text
+            .replace(/\r?\n/g, '\r\n')
+            // Dot-stuffing: a line starting with "." would otherwise end the message early
+            .replace(/^\./gm, '..');
+
+        return [
+            `From: ${this.from}`,
+            `To: ${this.recipients.join(', ')}`,
+            `Subject: ${subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit',
+            '',
+            body
+        ].join('\r\n');
+    }
+
+    async send(message) {
+        const socket = await this.connect();
+        const connection = new SmtpConnection(socket, this.timeoutMs);
+
+        try {
+            await connection.command(null, [220]);
+            let ehlo = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+            if (!this.secure && this.startTls && ehlo.lines.some(line => /STARTTLS/i.test(line))) {
+                await connection.command('STARTTLS', [220]);
+                connection.attach(await this.upgradeToTls(connection));
+                ehlo = await connection.command(`EHLO ${os.hostname()}`, [250]);
+            }
+
+            if (this.user) {
+                const token = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+                await connection.command(`AUTH PLAIN ${token}`, [235]);
+            }
+
+            await connection.command(`MAIL FROM:<${this.from}>`, [250]);
+            for (const recipient of this.recipients) {
+                await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await connection.command('DATA', [354]);
+            await connection.command(`${this.buildMessage(message)}\r\n.`, [250]);
+            await connection.command('QUIT', [221]).catch(() => {});
+        } finally {
+            connection.socket.destroy();
+        }
+    }
+}
+
+module.exports = { SmtpNotifier, SmtpError };
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Local SMTP server that accepts every message and writes it to a directory
+// as an .eml file - enough to test the licence change alerts end to end:
+//
+//   node scripts/smtp-sink.js 2525 /tmp/mail
+//   LICENSE_ALERT_SMTP_HOST=localhost LICENSE_ALERT_SMTP_PORT=2525 \
+//   LICENSE_ALERT_RECIPIENTS=owner@example.com node scripts/verify-licenses.js
+//
+// No TLS and any AUTH is accepted.
+
+const DEFAULT_OUT_DIR = path.join(os.tmpdir(), 'trustedtrades-smtp-sink');
+
+function createSmtpSink(outDir = DEFAULT_OUT_DIR, onMessage = () => {}) {
+    let count = 0;
+
+    return net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        let envelope = { from: null, to: [] };
+        const reply = line => socket.write(`${line}\r\n`);
+
+        reply('220 trustedtrades smtp sink');
+        socket.setEncoding('utf8');
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+
+            while (buffer.length > 0) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+
+                    const message = buffer.slice(0, end).replace(/^\.\./gm, '.');
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+
+                    if (!fs.existsSync(outDir)) {
+                        fs.mkdirSync(outDir, { recursive: true });
+                    }
+                    const file = path.join(outDir, `${Date.now()}-${++count}.eml`);
+                    fs.writeFileSync(file, message);
+                    onMessage({ ...envelope, file, message });
+                    console.log(`📨 ${envelope.from} → ${envelope.to.join(', ')}: ${path.basename(file)}`);
+
+                    envelope = { from: null, to: [] };
+                    reply('250 OK queued');
+                    continue;
+                }
+
+                const end = buffer.indexOf('\r\n');
+                if (end === -1) return;
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const verb = line.slice(0, 4).toUpperCase();
+
+                if (verb === 'EHLO' || verb === 'HELO') {
+                    reply('250-trustedtrades smtp sink');
+                    reply('250 AUTH PLAIN LOGIN');
+                } else if (verb === 'AUTH') {
+                    reply('235 Authentication accepted');
+                } else if (verb === 'MAIL') {
+                    envelope.from = (line.match(/<([^>]*)>/) || [])[1] || null;
+                    reply('250 OK');
+                } else if (verb === 'RCPT') {
+                    envelope.to.push((line.match(/<([^>]*)>/) || [])[1]);
+                    reply('250 OK');
+                } else if (verb === 'DATA') {
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (verb === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                    return;
+                } else if (verb === 'RSET' || verb === 'NOOP') {
+                    envelope = verb === 'RSET' ? { from: null, to: [] } : envelope;
+                    reply('250 OK');
+                } else {
+                    reply('502 Command not implemented');
+                }
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '2525', 10);
+    const outDir = process.argv[3] ? path.resolve(process.argv[3]) : DEFAULT_OUT_DIR;
+
+    createSmtpSink(outDir).listen(port, () => {
+        console.log(`🧪 SMTP sink on localhost:${port} (messages saved to ${outDir})`);
+    });
+}
+
+module.exports = { createSmtpSink };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// Template tags:
+//   {{name}}       slot value, HTML-escaped
+//   {{{name}}}     slot value as-is (markup the build generated itself)
+//   {{json name}}  slot value as JSON, safe inside a <script> block
+//   {{> name}}     partials/<name>.html, rendered with the same slots
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(>|json\s+)?\s*([\w.-]+)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// A `<` in the data can't close the script block early (e.g. a tradie
+// description containing "</script>")
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+class TemplateError extends Error {
+    constructor(template, problems) {
+        super(`${template}: ${problems.join('; ')}`);
+        this.name = this.constructor.name;
+        this.template = template;
+        this.problems = problems;
+    }
+}
+
+// Renders templates/pages/*.html, filling named slots and pulling in shared
+// templates/partials/*.html. Any tag without a slot value or partial fails
+// the render, so nothing is published with a tag left in it.
+class TemplateRenderer {
+    constructor(templatesDir) {
+        this.templatesDir = templatesDir;
+        this.partials = new Map();
+    }
+
+    renderPage(name, slots) {
+        const file = path.join(this.templatesDir, 'pages', name);
+        if (!fs.existsSync(file)) {
+            throw new TemplateError(name, ['template not found']);
+        }
+        const problems = [];
+        const html = this.render(fs.readFileSync(file, 'utf8'), slots, [], problems);
+        if (problems.length > 0) {
+            throw new TemplateError(name, problems);
+        }
+        return html;
+    }
+
+    // A partial on its own, for markup repeated per item (e.g. a card per tradie)
+    renderPartial(name, slots) {
+        const partial = this.loadPartial(name);
+        if (partial === null) {
+            throw new TemplateError(name, ['partial not found']);
+        }
+        const problems = [];
+        const html = this.render(partial, slots, [name], problems);
+        if (problems.length > 0) {
+            throw new TemplateError(name, problems);
+        }
+        return html;
+    }
+
+    render(template, slots, partialStack, problems) {
+        return template.replace(TAG, (tag, rawSlot, kind, slot) => {
+            if (kind === '>') {
+                if (partialStack.includes(slot)) {
+                    problems.push(`partial ${slot} includes itself`);
+                    return '';
+                }
+                const partial = this.loadPartial(slot);
+                if (partial === null) {
+                    problems.push(`partial ${slot} not found`);
+                    return '';
+                }
+                return this.render(partial, slots, [...partialStack, slot], problems);
+            }
+
+            const key = rawSlot || slot;
+            const value = key.split('.').reduce((object, part) => (object == null ? undefined : object[part]), slots);
+            if (value === undefined) {
+                problems.push(`no value for slot ${key}${partialStack.length > 0 ? ` (in partial ${partialStack.join(' > ')})` : ''}`);
+                return '';
+            }
+
+            if (rawSlot) return value === null ? '' : String(value);
+            if (kind) return scriptJson(value);
+            return value === null ? '' : escapeHtml(value);
+        });
+    }
+
+    // Trailing newline dropped so `    {{> header}}` keeps the page's layout
+    loadPartial(name) {
+        if (!this.partials.has(name)) {
+            const file = path.join(this.templatesDir, 'partials', `${name}.html`);
+            this.partials.set(name, fs.existsSync(file) ? fs.readFileSync(file, 'utf8').replace(/\s+$/, '') : null);
+        }
+        return this.partials.get(name);
+    }
+}
+
+module.exports = { TemplateRenderer, TemplateError, escapeHtml };
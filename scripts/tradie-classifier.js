@@ -0,0 +1,151 @@
+const DEFAULT_RULES = require('./classification-rules');
+
+// Scores a normalised place against every trade in the rules and explains the
+// outcome, so every accept/reject decision can be traced back to a rule.
+class TradieClassifier {
+    constructor(rules = DEFAULT_RULES) {
+        this.rules = rules;
+        this.keywordCache = new Map();
+    }
+
+    // place: output of a provider's toPlaceData (business_name, address, google_types,
+    // primary_type, declared_trade)
+    // searchedTrade: the trade type the query was for, if any
+    classify(place, searchedTrade = null) {
+        const name = place.business_name || '';
+        const types = place.google_types || [];
+        const reasons = [];
+
+        const hardReject = this.checkHardRejects(place, reasons);
+        if (hardReject) {
+            return { accepted: false, review: false, trade: null, confidence: 0, scores: {}, reasons };
+        }
+
+        const penalty = this.scorePenalties(name, types, place.address, reasons);
+
+        const scores = {};
+        const tradeReasons = {};
+        for (const [tradeType, tradeRules] of Object.entries(this.rules.TRADES)) {
+            const found = [];
+            let score = 0;
+
+            for (const [type, points] of Object.entries(tradeRules.googleTypes)) {
+                if (types.includes(type)) {
+                    score += points;
+                    found.push(`google type "${type}" +${points}`);
+                }
+            }
+            for (const [type, points] of Object.entries(tradeRules.primaryTypes)) {
+                if (place.primary_type === type) {
+                    score += points;
+                    found.push(`primary type "${type}" +${points}`);
+                }
+            }
+
+            if (place.declared_trade === tradeType) {
+                score += this.rules.DECLARED_TRADE_POINTS;
+                found.push(`declared trade "${tradeType}" +${this.rules.DECLARED_TRADE_POINTS}`);
+            }
+
+            // Only the strongest name keyword counts, so "Electric Electrical" isn't double-scored
+            let bestKeyword = null;
+            for (const [keyword, points] of Object.entries(tradeRules.nameKeywords)) {
+                if (this.matchesKeyword(name, keyword) && (!bestKeyword || points > bestKeyword.points)) {
+                    bestKeyword = { keyword, points };
+                }
+            }
+            if (bestKeyword) {
+                score += bestKeyword.points;
+                found.push(`name keyword "${bestKeyword.keyword}" +${bestKeyword.points}`);
+            }
+
+            if (tradeType === searchedTrade && score > 0) {
+                score += this.rules.SEARCHED_TRADE_BONUS;
+                found.push(`searched trade +${this.rules.SEARCHED_TRADE_BONUS}`);
+            }
+
+            scores[tradeType] = Math.max(0, Math.min(100, score - penalty));
+            tradeReasons[tradeType] = found;
+        }
+
+        const [bestTrade, bestScore] = Object.entries(scores)
+            .sort((a, b) => b[1] - a[1] || (b[0] === searchedTrade) - (a[0] === searchedTrade))[0] || [null, 0];
+
+        reasons.unshift(...(tradeReasons[bestTrade] || []));
+        if (bestTrade && searchedTrade && bestTrade !== searchedTrade && bestScore > 0) {
+            reasons.push(`reclassified from searched trade "${searchedTrade}"`);
+        }
+
+        const accepted = bestScore >= this.rules.ACCEPT_SCORE;
+        const review = !accepted && bestScore >= this.rules.REVIEW_SCORE;
+        reasons.push(accepted
+            ? `accepted: ${bestTrade} scored ${bestScore} (needs ${this.rules.ACCEPT_SCORE})`
+            : `rejected: best score ${bestScore} below ${this.rules.ACCEPT_SCORE}`);
+
+        return {
+            accepted,
+            review,
+            trade: bestScore > 0 ? bestTrade : null,
+            confidence: bestScore / 100,
+            scores,
+            reasons
+        };
+    }
+
+    checkHardRejects(place, reasons) {
+        const name = place.business_name || '';
+        const address = place.address || '';
+
+        const keyword = this.rules.REJECT_NAME_KEYWORDS.find(word => this.matchesKeyword(name, word));
+        if (keyword) {
+            reasons.push(`rejected: name contains excluded keyword "${keyword}"`);
+            return true;
+        }
+
+        const { required } = this.rules.REGION;
+        if (address && !required.some(region => new RegExp(`\\b${escapeRegExp(region)}\\b`).test(address))) {
+            reasons.push(`rejected: address outside region (${required.join(' / ')})`);
+            return true;
+        }
+
+        return false;
+    }
+
+    scorePenalties(name, types, address, reasons) {
+        let penalty = 0;
+
+        for (const [keyword, points] of Object.entries(this.rules.NEGATIVE_NAME_KEYWORDS)) {
+            if (this.matchesKeyword(name, keyword)) {
+                penalty += points;
+                reasons.push(`negative keyword "${keyword}" -${points}`);
+            }
+        }
+        for (const [type, points] of Object.entries(this.rules.NEGATIVE_GOOGLE_TYPES)) {
+            if (types.includes(type)) {
+                penalty += points;
+                reasons.push(`negative google type "${type}" -${points}`);
+            }
+        }
+        if (!address) {
+            penalty += this.rules.REGION.missingAddressPenalty;
+            reasons.push(`no address -${this.rules.REGION.missingAddressPenalty}`);
+        }
+
+        return penalty;
+    }
+
+    matchesKeyword(text, keyword) {
+        let pattern = this.keywordCache.get(keyword);
+        if (!pattern) {
+            pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword.toLowerCase())}`);
+            this.keywordCache.set(keyword, pattern);
+        }
+        return pattern.test(text.toLowerCase());
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = TradieClassifier;
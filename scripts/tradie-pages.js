@@ -0,0 +1,268 @@
+const { suburbOf } = require('./address');
+const { REGISTER_SEARCH_PAGE } = require('./license-sources/wa-ols-client');
+const { formatAbn } = require('./abn-sources/abn-register-store');
+const { distanceMetres } = require('./geo-grid');
+const { escapeHtml } = require('./template-renderer');
+const { slugify } = require('./tradie-slugs');
+
+const PROFILE_DIR = 'tradies';
+
+// Alternatives listed on each profile
+const NEARBY_ALTERNATIVES = 4;
+
+const TRADES = {
+    electrician: { name: 'Electrician', plural: 'Electricians', schemaType: 'Electrician' },
+    plumber: { name: 'Plumber', plural: 'Plumbers', schemaType: 'Plumber' },
+    gas_fitter: { name: 'Gas fitter', plural: 'Gas fitters', schemaType: 'HomeAndConstructionBusiness' }
+};
+
+function tradeOf(tradie) {
+    return TRADES[tradie.category] || { name: 'Tradie', plural: 'Tradies', schemaType: 'HomeAndConstructionBusiness' };
+}
+
+// "electrician" -> "electricians"; trade landing pages (area-pages.js) live
+// at <trade>/index.html and <trade>/<suburb>.html
+function tradePath(category) {
+    return TRADES[category] ? slugify(TRADES[category].plural) : slugify(category);
+}
+
+// Relative prefix from a page in dist/ back to the site root
+function pathToRoot(file) {
+    return '../'.repeat(file.split('/').length - 1);
+}
+
+function profilePath(tradie) {
+    return `${PROFILE_DIR}/${tradie.slug}.html`;
+}
+
+// Same fallback as the cards on the home page
+function tradieBadge(tradie) {
+    const badge = tradie.licenseBadge || (tradie.licensed
+        ? { text: '✓ Licensed', level: 'contractor' }
+        : { text: 'Unlicensed', level: 'none' });
+    const badgeClass = { contractor: '', limited: 'limited', lapsed: 'lapsed' }[badge.level];
+    return { text: badge.text, className: badgeClass === undefined ? 'unlicensed' : badgeClass };
+}
+
+function starRating(rating) {
+    const stars = Math.floor(rating || 0);
+    return '★'.repeat(stars) + '☆'.repeat(5 - stars);
+}
+
+function locationOf(tradie) {
+    const location = tradie.location;
+    return location && typeof location.latitude === 'number' && typeof location.longitude === 'number'
+        ? [location.latitude, location.longitude]
+        : null;
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-AU', { timeZone: 'Australia/Perth', day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Slots for templates/partials/tradie-summary.html, linking to the profile
+// from the page at `fromFile`
+function summarySlots(tradie, fromFile, distance = null) {
+    const badge = tradieBadge(tradie);
+    return {
+        href: `${pathToRoot(fromFile)}${profilePath(tradie)}`,
+        name: tradie.name,
+        badgeText: badge.text,
+        badgeClass: badge.className,
+        stars: starRating(tradie.rating),
+        reviewCount: tradie.reviewCount || 0,
+        suburb: suburbOf(tradie.address),
+        distance: distance === null ? '' : ` · ${(distance / 1000).toFixed(1)} km away`
+    };
+}
+
+// One static page per published tradie at tradies/<slug>.html, for linking,
+// bookmarking and search engines
+class TradieProfilePages {
+    constructor(templates, options = {}) {
+        this.templates = templates;
+        this.siteUrl = options.siteUrl || '';
+    }
+
+    pages(tradies) {
+        return tradies.map(tradie => {
+            const file = profilePath(tradie);
+            return { file, template: 'tradie.html', slots: this.slotsFor(tradie, tradies, file) };
+        });
+    }
+
+    slotsFor(tradie, tradies, file) {
+        const trade = tradeOf(tradie);
+        const suburb = suburbOf(tradie.address);
+        const badge = tradieBadge(tradie);
+        const canonicalUrl = this.siteUrl ? `${this.siteUrl}/${file}` : '';
+
+        return {
+            tradie: {
+                name: tradie.name,
+                address: tradie.address || 'Perth Metro',
+                phone: tradie.phone || 'Contact via website',
+                rating: tradie.rating || 0,
+                reviewCount: tradie.reviewCount || 0
+            },
+            trade: trade.name,
+            breadcrumb: this.breadcrumbHtml(tradie, trade, suburb, file),
+            suburb: suburb === 'Unknown' ? 'Perth' : suburb,
+            description: this.description(tradie, trade, suburb),
+            canonicalUrl,
+            structuredData: this.structuredData(tradie, trade, canonicalUrl),
+            badgeText: badge.text,
+            badgeClass: badge.className,
+            stars: starRating(tradie.rating),
+            ownerRecommended: tradie.ownerRecommended ? '<span class="owner-recommended">🏆 Owner Recommended</span>' : '',
+            regulatoryFlag: this.regulatoryFlagHtml(tradie),
+            licence: this.licence(tradie),
+            abn: this.abnSummary(tradie),
+            contactActions: this.contactActionsHtml(tradie),
+            alternatives: this.alternativesHtml(tradie, tradies, file)
+        };
+    }
+
+    // Home › trade › suburb, linking the landing pages for both
+    breadcrumbHtml(tradie, trade, suburb, file) {
+        const root = pathToRoot(file);
+        const trail = [
+            `<a href="${root}index.html">Home</a>`,
+            `<a href="${root}${tradePath(tradie.category)}/index.html">${escapeHtml(trade.plural)}</a>`
+        ];
+        if (suburb !== 'Unknown') {
+            trail.push(`<a href="${root}${tradePath(tradie.category)}/${slugify(suburb)}.html">${escapeHtml(suburb)}</a>`);
+        }
+        return [...trail, escapeHtml(tradie.name)].join(' › ');
+    }
+
+    description(tradie, trade, suburb) {
+        const where = suburb === 'Unknown' ? 'Perth' : `${suburb}, WA`;
+        const licensed = tradie.licensed ? `licensed ${trade.name.toLowerCase()}` : trade.name.toLowerCase();
+        const rating = tradie.reviewCount ? ` Rated ${tradie.rating} from ${tradie.reviewCount} reviews.` : '';
+        return `${tradie.name} is a ${licensed} in ${where}.${rating}`;
+    }
+
+    // schema.org listing for search engines
+    structuredData(tradie, trade, url) {
+        const location = locationOf(tradie);
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': trade.schemaType,
+            name: tradie.name,
+            url: url || undefined,
+            address: tradie.address || undefined,
+            telephone: /\d/.test(tradie.phone || '') ? tradie.phone : undefined,
+            sameAs: tradie.website || undefined,
+            geo: location ? { '@type': 'GeoCoordinates', latitude: location[0], longitude: location[1] } : undefined,
+            aggregateRating: tradie.reviewCount
+                ? { '@type': 'AggregateRating', ratingValue: tradie.rating, reviewCount: tradie.reviewCount }
+                : undefined
+        };
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    // The licence number and register link only for a tradie licensed to
+    // contract or flagged as lapsed - a worker licence or a weak match isn't
+    // shown as theirs. Links the register detail page when verification found
+    // one, otherwise the public register search.
+    licence(tradie) {
+        const showLicence = tradie.licensed || tradie.licenseFlag;
+
+        let summary;
+        if (tradie.licenseFlag) {
+            summary = `${tradie.licenseClass || 'Licence'} ${tradie.licenseNumber || ''} - ${tradie.licenseFlag.status} since ${tradie.licenseFlag.since}`;
+        } else if (tradie.licensed && tradie.licenseNumber) {
+            summary = `${tradie.licenseClass || 'Licence'} ${tradie.licenseNumber}`;
+        } else if (tradie.licensed) {
+            summary = 'Licensed - licence number not on file';
+        } else if (!tradie.licenseVerifiedDate) {
+            summary = 'Not yet checked against the WA register - check with WA Building and Energy before hiring';
+        } else if (tradie.licenseNumber) {
+            summary = 'Not licensed to contract for this trade on the WA register - check with WA Building and Energy before hiring';
+        } else {
+            summary = 'No licence found on the WA register - check with WA Building and Energy before hiring';
+        }
+
+        const registerUrl = tradie.licenseRegisterUrl || REGISTER_SEARCH_PAGE;
+        const linkText = tradie.licenseRegisterUrl ? 'Check on the WA licence register' : 'Search the WA licence register';
+        return {
+            summary: summary.replace(/\s+/g, ' '),
+            registerLink: showLicence ? ` · <a href="${escapeHtml(registerUrl)}" target="_blank" rel="noopener">${linkText}</a>` : '',
+            verified: tradie.licenseVerifiedDate ? formatDate(tradie.licenseVerifiedDate) : 'Not yet verified'
+        };
+    }
+
+    // ABN and its status on the Australian Business Register (verify-abn.js)
+    abnSummary(tradie) {
+        if (tradie.abnStatus === 'Not found') return 'No ABN found on the Australian Business Register';
+        if (!tradie.abn) return 'Not yet checked against the Australian Business Register';
+
+        const mismatch = tradie.abnHolderMismatch ? ' - registered to a different name from the licence holder' : '';
+        return `${formatAbn(tradie.abn)} (${(tradie.abnStatus || 'status unknown').toLowerCase()})${mismatch}`;
+    }
+
+    regulatoryFlagHtml(tradie) {
+        const flag = tradie.regulatoryFlag;
+        if (!flag) return '';
+
+        const text = flag.url
+            ? `<a href="${escapeHtml(flag.url)}" target="_blank" rel="noopener">${escapeHtml(flag.text)}</a>`
+            : escapeHtml(flag.text);
+        return `<div class="regulatory-flag">⚖️ ${text}${flag.detail ? ` - ${escapeHtml(flag.detail)}` : ''}</div>`;
+    }
+
+    contactActionsHtml(tradie) {
+        const actions = [];
+        if (/\d/.test(tradie.phone || '')) {
+            actions.push(`<a class="contact-btn" href="tel:${escapeHtml(tradie.phone.replace(/[^\d+]/g, ''))}">📞 Call ${escapeHtml(tradie.phone)}</a>`);
+        }
+        if (tradie.website) {
+            actions.push(`<a class="contact-btn" href="${escapeHtml(tradie.website)}" target="_blank" rel="noopener nofollow">🌐 Visit Website</a>`);
+        }
+        const directions = tradie.googleMapsUri ||
+            `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent([tradie.name, tradie.address].filter(Boolean).join(', '))}`;
+        actions.push(`<a class="contact-btn secondary" href="${escapeHtml(directions)}" target="_blank" rel="noopener">📍 Directions</a>`);
+
+        return actions.join('\n                    ');
+    }
+
+    // Same trade, nearest first when both have coordinates, then the same
+    // suburb, then the best rated
+    nearbyAlternatives(tradie, tradies) {
+        const here = locationOf(tradie);
+        const suburb = suburbOf(tradie.address);
+
+        return tradies
+            .filter(other => other !== tradie && other.category === tradie.category)
+            .map(other => {
+                const there = locationOf(other);
+                return {
+                    tradie: other,
+                    distance: here && there ? distanceMetres(here, there) : null,
+                    sameSuburb: suburb !== 'Unknown' && suburbOf(other.address) === suburb
+                };
+            })
+            .sort((a, b) => {
+                if ((a.distance === null) !== (b.distance === null)) return a.distance === null ? 1 : -1;
+                if (a.distance !== null) return a.distance - b.distance;
+                if (a.sameSuburb !== b.sameSuburb) return a.sameSuburb ? -1 : 1;
+                return (b.tradie.rating || 0) - (a.tradie.rating || 0) || (b.tradie.reviewCount || 0) - (a.tradie.reviewCount || 0);
+            })
+            .slice(0, NEARBY_ALTERNATIVES);
+    }
+
+    alternativesHtml(tradie, tradies, file) {
+        const alternatives = this.nearbyAlternatives(tradie, tradies);
+        if (alternatives.length === 0) return '';
+
+        return this.templates.renderPartial('nearby-alternatives', {
+            heading: `Other ${tradeOf(tradie).plural.toLowerCase()} nearby`,
+            cards: alternatives
+                .map(({ tradie: other, distance }) => this.templates.renderPartial('tradie-summary', summarySlots(other, file, distance)))
+                .join('\n                    ')
+        });
+    }
+}
+
+module.exports = { TradieProfilePages, TRADES, tradeOf, tradePath, tradieBadge, starRating, summarySlots, pathToRoot, profilePath, locationOf };
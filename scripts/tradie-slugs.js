@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { suburbOf } = require('./address');
+
+const MAX_SLUG_LENGTH = 80;
+
+// "Joe's Plumbing & Gas Pty Ltd" -> "joes-plumbing-and-gas-pty-ltd"
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['\u2019]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/-+$/, '');
+}
+
+// Name and suburb, so the URL reads as the business and survives the
+// published ids being renumbered on every update
+function baseSlug(tradie) {
+    const name = slugify(tradie.name || tradie.business_name);
+    const suburb = suburbOf(tradie.address) === 'Unknown' ? '' : slugify(suburbOf(tradie.address));
+    // "Westline Electricians Perth" in Perth doesn't need it twice
+    if (!suburb || name === suburb || name.endsWith(`-${suburb}`)) {
+        return name || suburb || 'tradie';
+    }
+    return name ? `${name}-${suburb}` : suburb;
+}
+
+// What a saved slug is kept under - the place id, or the listing's details
+// for records without one
+function slugKey(tradie) {
+    return tradie.google_place_id || [tradie.name || tradie.business_name, tradie.address, tradie.phone].join('|');
+}
+
+function shortHash(tradie) {
+    return crypto.createHash('sha1').update(slugKey(tradie)).digest('hex').slice(0, 6);
+}
+
+// Gives every tradie without a slug one: the slug `saved` (by slugKey) says
+// it was given before, otherwise a new one that no saved slug uses. New
+// businesses sharing a name and suburb all get a suffix from their place id,
+// so which of them is listed first doesn't decide who gets the plain slug.
+function assignSlugs(list, saved = {}) {
+    const tradies = list.map(tradie => (tradie.slug || !saved[slugKey(tradie)] ? tradie : { ...tradie, slug: saved[slugKey(tradie)] }));
+    const taken = new Set([...Object.values(saved), ...tradies.map(tradie => tradie.slug).filter(Boolean)]);
+    const bases = tradies.map(tradie => (tradie.slug ? null : baseSlug(tradie)));
+    const baseCounts = bases.reduce((counts, base) => ({ ...counts, [base]: (counts[base] || 0) + 1 }), {});
+
+    return tradies.map((tradie, index) => {
+        if (tradie.slug) return tradie;
+
+        const base = bases[index];
+        let slug = baseCounts[base] > 1 || taken.has(base) ? `${base}-${shortHash(tradie)}` : base;
+        for (let n = 2; taken.has(slug); n++) {
+            slug = `${base}-${shortHash(tradie)}-${n}`;
+        }
+        taken.add(slug);
+        return { ...tradie, slug };
+    });
+}
+
+module.exports = { slugify, slugKey, assignSlugs };
@@ -1,8 +1,20 @@
 const fs = require('fs');
 const path = require('path');
+const { LICENSE_CLASSES, isCurrent } = require('./license-classes');
+const { LicenseVerificationReport, PUBLIC_HTML } = require('./license-verification-report');
+const { publishingDecision } = require('./regulatory-actions');
+const { slugKey, assignSlugs } = require('./tradie-slugs');
+
+const REGULATORY_LABELS = {
+    prosecution: 'Prosecuted',
+    disciplinary: 'Disciplinary action',
+    infringement: 'Infringement notice',
+    other: 'Regulator action'
+};
 
 class WebsiteUpdater {
-    constructor() {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
         this.tradiesData = [];
     }
 
@@ -15,17 +27,16 @@ class WebsiteUpdater {
         // Process and clean data
         this.processData();
         
-        // Update the HTML file
-        this.updateHTML();
-        
-        // Generate JSON for dynamic loading
+        // Generate JSON for dynamic loading - the pages are rendered from it
+        // by scripts/build-site.js (npm run build)
         this.generateJSON();
         
         console.log('✅ Website updated successfully');
+        console.log('📱 Run: npm run build to render the site into dist/');
     }
 
    loadLatestData() {
-    const tradiesFile = path.join(__dirname, '..', 'data', 'tradies.json');
+    const tradiesFile = path.join(this.dataDir, 'tradies.json');
     
     if (!fs.existsSync(tradiesFile)) {
         console.log('No tradies.json found');
@@ -39,13 +50,44 @@ class WebsiteUpdater {
 }
 
     processData() {
+    // Permanently closed businesses are never published. They stay in
+    // data/tradies.json - only data/published-tradies.json is filtered - so a
+    // business Google reports open again comes back on the next update.
+    const closed = this.tradiesData.filter(tradie => this.getBusinessStatus(tradie) === 'CLOSED_PERMANENTLY');
+    if (closed.length > 0) {
+        console.log(`🚫 Hiding ${closed.length} permanently closed businesses`);
+    }
+    
+    // So are tradies the regulatory publishing rule hides (regulatory-rules.js).
+    // They stay in data/tradies.json too, so a notice ageing out of the
+    // lookback window brings them back.
+    const hidden = this.tradiesData.filter(tradie => this.getRegulatoryDecision(tradie).action === 'hide');
+    if (hidden.length > 0) {
+        console.log(`⚖️  Hiding ${hidden.length} tradies with prosecution/disciplinary notices: ${hidden.map(tradie => tradie.business_name || tradie.name).join(', ')}`);
+    }
+    
     // Clean and standardize data
-    this.tradiesData = this.tradiesData.map((tradie, index) => ({
+    this.tradiesData = this.tradiesData
+        .filter(tradie => this.getBusinessStatus(tradie) !== 'CLOSED_PERMANENTLY')
+        .filter(tradie => this.getRegulatoryDecision(tradie).action !== 'hide')
+        .map((tradie, index) => ({
         id: index + 1,
+        slug: tradie.slug,
+        google_place_id: tradie.google_place_id,
         name: tradie.business_name || tradie.name || 'Unknown Business',
         category: tradie.trade_type || tradie.category || 'general',
-        licensed: tradie.licensed || tradie.license_verified || false,
-        licenseNumber: tradie.license_number,
+        licensed: tradie.licensed === true,
+        licenseNumber: this.getLicenseNumber(tradie),
+        licenseClass: this.getLicenseClassLabel(tradie),
+        licenseRegisterUrl: this.getLicenseRegisterUrl(tradie),
+        licenseVerifiedDate: tradie.license_verified_date || tradie.licenseVerifiedDate,
+        licenseBadge: this.getLicenseBadge(tradie),
+        licenseFlag: this.getLicenseFlag(tradie),
+        regulatoryActions: this.getPublishedRegulatoryActions(tradie),
+        regulatoryFlag: this.getRegulatoryFlag(tradie),
+        abn: tradie.abn || undefined,
+        abnStatus: this.getAbnStatus(tradie),
+        abnHolderMismatch: tradie.abn_holder_mismatch === true,
         rating: tradie.rating || 4.0,
         reviewCount: tradie.review_count || tradie.userRatingCount || 0,
         phone: tradie.phone || tradie.nationalPhoneNumber || 'Contact via website',
@@ -55,15 +97,163 @@ class WebsiteUpdater {
         description: this.generateDescription(tradie),
         ownerRecommended: tradie.ownerRecommended || false,
         address: tradie.address || tradie.formattedAddress || 'Perth Metro', // Preserve full address
+        lastSeen: tradie.lastSeen,
+        businessStatus: this.getBusinessStatus(tradie),
+        temporarilyClosed: this.getBusinessStatus(tradie) === 'CLOSED_TEMPORARILY',
+        primaryType: tradie.primary_type || tradie.primaryType,
+        location: tradie.location,
+        openingHours: this.extractOpeningHours(tradie),
+        googleMapsUri: tradie.google_maps_uri || tradie.googleMapsUri,
         lastUpdated: new Date().toISOString()
     }));
 
     // Remove duplicates based on business name and phone
     this.tradiesData = this.removeDuplicates(this.tradiesData);
     
+    // Profile page URLs (scripts/build-site.js) - kept once published, even
+    // through a rename or a new business of the same name nearby
+    const slugs = this.loadSlugs();
+    this.tradiesData = assignSlugs(this.tradiesData, slugs);
+    this.saveSlugs(slugs);
+    
     console.log(`🧹 Processed data: ${this.tradiesData.length} unique tradies`);
 }
 
+    // Slugs handed out so far, by place id (tradie-slugs.js slugKey)
+    loadSlugs() {
+        const file = path.join(this.dataDir, 'tradie-slugs.json');
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).slugs : {};
+    }
+
+    // Adds this update's new slugs. Slugs of tradies no longer published stay
+    // reserved, so a business that comes back gets its old URL.
+    saveSlugs(saved) {
+        const added = this.tradiesData.filter(tradie => saved[slugKey(tradie)] !== tradie.slug);
+        if (added.length === 0) return;
+        
+        const slugs = { ...saved };
+        added.forEach(tradie => { slugs[slugKey(tradie)] = tradie.slug; });
+        fs.writeFileSync(path.join(this.dataDir, 'tradie-slugs.json'), JSON.stringify({ lastUpdated: new Date().toISOString(), slugs }, null, 2));
+        console.log(`🔗 ${added.length} new profile URLs saved to data/tradie-slugs.json`);
+    }
+
+    // Raw discovery records use snake_case, previously published ones camelCase
+    getBusinessStatus(tradie) {
+        return tradie.business_status || tradie.businessStatus || 'OPERATIONAL';
+    }
+
+    // Open flag from the licence history (set by verify-licenses.js); cleared
+    // once reviewed with scripts/license-history.js
+    getLicenseFlag(tradie) {
+        const flag = tradie.license_flag !== undefined ? tradie.license_flag : tradie.licenseFlag;
+        if (!flag) return undefined;
+        
+        return {
+            type: flag.type,
+            since: (flag.raised_date || flag.since || '').slice(0, 10),
+            status: flag.to_status || flag.status
+        };
+    }
+
+    // Matched notices from verify-licenses.js, or the ones already published
+    getRegulatoryDecision(tradie) {
+        const actions = tradie.regulatory_actions ||
+            (tradie.regulatoryActions || []).map(action => ({ ...action, matched_by: action.matchedBy }));
+        return publishingDecision(actions);
+    }
+
+    // Only what the rule says to flag, with the public notice details
+    getPublishedRegulatoryActions(tradie) {
+        const decision = this.getRegulatoryDecision(tradie);
+        if (decision.action !== 'flag') return undefined;
+        
+        return decision.actions.map(action => ({
+            type: action.type,
+            date: action.date,
+            offence: action.offence,
+            outcome: action.outcome,
+            url: action.url,
+            matchedBy: action.matched_by
+        }));
+    }
+
+    getRegulatoryFlag(tradie) {
+        const [latest] = this.getPublishedRegulatoryActions(tradie) || [];
+        if (!latest) return undefined;
+        
+        return {
+            text: `${REGULATORY_LABELS[latest.type] || REGULATORY_LABELS.other}${latest.date ? ` ${latest.date.slice(0, 4)}` : ''}`,
+            detail: [latest.offence, latest.outcome].filter(Boolean).join(' - '),
+            url: latest.url
+        };
+    }
+
+    // Once verified, license_number is the register's answer - null included,
+    // so a number from an old listing never outlives a failed match. Records
+    // no verifier has touched keep the published one.
+    getLicenseNumber(tradie) {
+        if (tradie.license_status !== undefined) return tradie.license_number;
+        return tradie.licenseNumber;
+    }
+
+    // Register detail page from the last verification - pages link the public
+    // register search when there isn't one
+    getLicenseRegisterUrl(tradie) {
+        if (tradie.license_status !== undefined) return tradie.license_detail_url || undefined;
+        return tradie.licenseRegisterUrl;
+    }
+
+    // From verify-abn.js: the entity status ("Active", "Cancelled") when an
+    // ABN was found, "Not found" when none was, undefined before it has run
+    getAbnStatus(tradie) {
+        if (tradie.abn_status === 'not_found') return 'Not found';
+        return tradie.abn_entity_status || undefined;
+    }
+
+    getLicenseClassLabel(tradie) {
+        const licenseClass = LICENSE_CLASSES[tradie.license_class_id];
+        return licenseClass ? licenseClass.label : tradie.licenseClass;
+    }
+
+    // Badge from the licence class model: only a class that can contract for
+    // the trade shows as licensed; a current worker licence or restricted
+    // permit is shown for what it is
+    getLicenseBadge(tradie) {
+        const flag = this.getLicenseFlag(tradie);
+        if (flag) {
+            return { text: '⚠️ Licence lapsed', level: 'lapsed' };
+        }
+        if (tradie.license_status === 'unverified') {
+            return { text: 'Licence not yet checked', level: 'none' };
+        }
+        
+        const licenseClass = LICENSE_CLASSES[tradie.license_class_id];
+        if (!licenseClass) {
+            // Already published (or verified before classes existed)
+            return tradie.licenseBadge || (tradie.licensed === true
+                ? { text: '✓ Licensed', level: 'contractor' }
+                : { text: 'Unlicensed', level: 'none' });
+        }
+        
+        if (tradie.licensed === true) {
+            return { text: `✓ ${licenseClass.label}`, level: 'contractor' };
+        }
+        if (isCurrent(tradie.license_status) && !licenseClass.canContract && tradie.license_number_valid !== false) {
+            return { text: licenseClass.label, level: 'limited' };
+        }
+        return { text: 'Unlicensed', level: 'none' };
+    }
+
+    extractOpeningHours(tradie) {
+        if (tradie.openingHours) return tradie.openingHours;
+        if (!tradie.opening_hours) return undefined;
+        
+        return {
+            weekdayDescriptions: tradie.opening_hours.weekday_descriptions,
+            periods: tradie.opening_hours.periods
+        };
+    }
+
     extractAreas(address) {
         if (!address) return ['Perth Metro'];
         
@@ -88,7 +278,7 @@ class WebsiteUpdater {
 
     generateDescription(tradie) {
     const type = (tradie.trade_type || 'service provider').replace('_', ' ');
-    const licensed = tradie.license_verified ? 'Licensed' : 'General';
+    const licensed = tradie.licensed === true ? 'Licensed' : 'General';
     
     return `${licensed} ${type} providing professional services in Perth.`;
     }
@@ -107,44 +297,38 @@ class WebsiteUpdater {
     });
 }
 
-    updateHTML() {
-        // Update the main HTML file with new data
-        const htmlPath = path.join(__dirname, '..', 'index.html');
-        let htmlContent = fs.readFileSync(htmlPath, 'utf8');
-        
-        // Replace the tradiesData array in the HTML
-        const dataStart = htmlContent.indexOf('const tradiesData = [');
-        const dataEnd = htmlContent.indexOf('];', dataStart) + 2;
-        
-        if (dataStart !== -1 && dataEnd !== -1) {
-            const newDataString = `const tradiesData = ${JSON.stringify(this.tradiesData, null, 12)};`;
-            htmlContent = htmlContent.substring(0, dataStart) + newDataString + htmlContent.substring(dataEnd);
-            
-            // Add last updated timestamp
-            const timestamp = new Date().toLocaleString('en-AU', { timeZone: 'Australia/Perth' });
-            htmlContent = htmlContent.replace(
-                /<p>&copy; 2025 Perth Trades Hub\./,
-                `<p>Last updated: ${timestamp} | &copy; 2025 Perth Trades Hub.`
-            );
-            
-            fs.writeFileSync(htmlPath, htmlContent);
-            console.log('📝 HTML file updated');
-        }
+    // Latest report written by verify-licenses.js, for the site to link to -
+    // its public copy, since the full one stays in data/reports/
+    getLatestLicenseReport() {
+        const reportDir = path.join(this.dataDir, 'reports');
+        const report = LicenseVerificationReport.loadLatest(reportDir);
+        if (!report || !fs.existsSync(path.join(reportDir, PUBLIC_HTML))) return null;
+        
+        return {
+            generatedAt: report.generatedAt,
+            url: `data/reports/${PUBLIC_HTML}`,
+            licensed: report.summary.licensed,
+            total: report.summary.total,
+            rate: report.summary.rate
+        };
     }
 
+    // The published shape goes to its own file (what scripts/build-site.js
+    // renders and copies) - data/tradies.json stays the raw store every
+    // pipeline step reads and adds its fields to
     generateJSON() {
-        // Create separate JSON file for API access
-        const jsonPath = path.join(__dirname, '..', 'data', 'tradies.json');
+        const jsonPath = path.join(this.dataDir, 'published-tradies.json');
         
         const exportData = {
             lastUpdated: new Date().toISOString(),
             totalTradies: this.tradiesData.length,
             licensedCount: this.tradiesData.filter(t => t.licensed).length,
+            licenseReport: this.getLatestLicenseReport(),
             tradies: this.tradiesData
         };
         
         fs.writeFileSync(jsonPath, JSON.stringify(exportData, null, 2));
-        console.log('📋 JSON API file generated');
+        console.log(`📋 ${this.tradiesData.length} published tradies written to data/published-tradies.json`);
     }
 }
 
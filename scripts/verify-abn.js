@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { AbnRegisterStore, isValidAbn, formatAbn } = require('./abn-sources/abn-register-store');
+const LocalAbnSource = require('./abn-sources/local-abn-source');
+const LicenseMatcher = require('./license-matcher');
+
+// An ABN entity scores points out of 100: name similarity (0-1) scaled to
+// NAME_WEIGHT, plus POSTCODE_WEIGHT when its postcode is in the tradie's
+// address. It's taken as the tradie's ABN at ACCEPT_SCORE.
+const ABN_RULES = {
+    ACCEPT_SCORE: 60,
+    NAME_WEIGHT: 85,
+    POSTCODE_WEIGHT: 15,
+    // Licence holder vs ABN legal name below this is flagged as a mismatch
+    HOLDER_MATCH_SIMILARITY: 0.7
+};
+
+const DEFAULT_STUB_FILE = path.join(__dirname, '..', 'fixtures', 'abn', 'abn-stub.json');
+
+// Checks each tradie against the Australian Business Register: finds their
+// ABN by business name (or the ABN they gave us) and records whether the
+// entity is active, GST registered, its legal and trading names - and whether
+// the legal name agrees with the licence holder found by verify-licenses.js.
+class AbnVerifier {
+    constructor(options = {}) {
+        this.tradiesFile = options.tradiesFile || path.join(__dirname, '..', 'data', 'tradies.json');
+        this.reviewFile = options.reviewFile || path.join(path.dirname(this.tradiesFile), 'abn-review.json');
+        this.matcher = options.matcher || new LicenseMatcher();
+        this.rules = options.rules || ABN_RULES;
+        this.checkedCount = 0;
+        this.foundCount = 0;
+        this.activeCount = 0;
+        this.gstCount = 0;
+        this.mismatchCount = 0;
+        this.reviews = [];
+
+        // Imported ABR bulk extract (scripts/import-abn-extract.js), or with
+        // ABN_SOURCE=stub the hand-written entities in fixtures/abn/
+        this.registerFile = options.registerFile || process.env.ABN_REGISTER_FILE ||
+            path.join(__dirname, '..', 'data', 'abn-register.json');
+        this.abnSource = options.abnSource !== undefined ? options.abnSource : this.createAbnSource();
+    }
+
+    createAbnSource() {
+        if (process.env.ABN_SOURCE === 'stub') {
+            const store = new AbnRegisterStore(process.env.ABN_STUB_FILE || DEFAULT_STUB_FILE).load();
+            console.log(`🧪 Using ABN stub: ${store.size} entities`);
+            return new LocalAbnSource({ store, name: 'abn_stub' });
+        }
+
+        const store = new AbnRegisterStore(this.registerFile);
+        if (!store.exists()) return null;
+
+        store.load();
+        console.log(`🏢 Matching against ABN bulk extract: ${store.size} entities (extract ${store.extractDate})`);
+        return new LocalAbnSource({ store });
+    }
+
+    async verifyAll() {
+        console.log('🔍 Starting ABN verification...');
+
+        if (!this.abnSource) {
+            console.log(`⏭️  No ABN register at ${path.relative(process.cwd(), this.registerFile)} - import one with scripts/import-abn-extract.js (or set ABN_SOURCE=stub)`);
+            return;
+        }
+        if (!fs.existsSync(this.tradiesFile)) {
+            console.log('❌ No tradies.json found. Run discovery script first.');
+            return;
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.tradiesFile, 'utf8'));
+        const tradies = data.tradies || [];
+
+        console.log(`📋 Checking ABNs for ${tradies.length} tradies...`);
+
+        for (let i = 0; i < tradies.length; i++) {
+            const tradie = tradies[i];
+            console.log(`\n${i + 1}/${tradies.length}: ${tradie.business_name || tradie.name}`);
+            await this.verifyTradie(tradie);
+        }
+
+        console.log(`\n✅ ABN verification complete!`);
+        console.log(`   Checked: ${this.checkedCount} tradies`);
+        console.log(`   ABN found: ${this.foundCount} (${this.activeCount} active, ${this.foundCount - this.activeCount} cancelled)`);
+        console.log(`   GST registered: ${this.gstCount}`);
+        console.log(`   Legal name ≠ licence holder: ${this.mismatchCount}`);
+        console.log(`   No ABN found: ${this.checkedCount - this.foundCount}`);
+
+        this.saveUpdatedTradies(data, tradies);
+        this.saveReviews();
+    }
+
+    async verifyTradie(tradie) {
+        this.checkedCount++;
+
+        // An ABN the tradie gave us (import column) is looked up directly.
+        // Our own earlier match isn't - the name search is cheap and may improve.
+        const declared = tradie.declared_abn;
+        if (declared && !isValidAbn(declared)) {
+            console.log(`  ⚠️  ABN ${declared} fails the ABN checksum - searching by name`);
+        } else if (declared) {
+            const entity = await this.abnSource.lookup(declared);
+            if (entity) {
+                this.recordFound(tradie, entity, { score: 100, reasons: [`declared ABN ${declared} is on the register`] });
+                return;
+            }
+            console.log(`  ⚠️  Declared ABN ${declared} isn't in the register - searching by name`);
+        }
+
+        const best = await this.findBestEntity(tradie);
+        if (best && best.score >= this.rules.ACCEPT_SCORE) {
+            this.recordFound(tradie, best.entity, best);
+        } else {
+            this.recordNotFound(tradie, best);
+        }
+    }
+
+    // Search by business name and by licence holder (often the legal entity
+    // itself), score everything found and keep the best
+    async findBestEntity(tradie) {
+        const businessName = tradie.business_name || tradie.name;
+        const searchNames = [businessName, tradie.license_holder_name].filter(Boolean);
+
+        const candidates = new Map();
+        for (const name of searchNames) {
+            for (const entity of await this.abnSource.searchByName(name)) {
+                candidates.set(entity.abn, entity);
+            }
+        }
+
+        return [...candidates.values()]
+            .map(entity => this.score(tradie, entity))
+            .sort((a, b) => b.score - a.score || activeFirst(a.entity, b.entity))[0] || null;
+    }
+
+    score(tradie, entity) {
+        const reasons = [];
+
+        const byBusiness = this.matcher.nameSimilarity(tradie.business_name || tradie.name, [entity.legal_name, ...entity.trading_names]);
+        const byHolder = tradie.license_holder_name
+            ? this.matcher.nameSimilarity(tradie.license_holder_name, [entity.legal_name])
+            : { similarity: 0, pair: null };
+        const { similarity, pair } = byHolder.similarity > byBusiness.similarity ? byHolder : byBusiness;
+
+        let score = Math.round(this.rules.NAME_WEIGHT * similarity);
+        reasons.push(pair
+            ? `name "${pair[0]}" ~ "${pair[1]}" ${Math.round(similarity * 100)}% +${score}`
+            : 'no comparable name +0');
+
+        if (entity.postcode && new RegExp(`\\b${entity.postcode}\\b`).test(tradie.address || '')) {
+            score += this.rules.POSTCODE_WEIGHT;
+            reasons.push(`postcode ${entity.postcode} +${this.rules.POSTCODE_WEIGHT}`);
+        }
+
+        return { entity, score, reasons };
+    }
+
+    // Does the ABN's legal name agree with the licence holder? null when
+    // there's no licence holder to compare with.
+    holderMismatch(tradie, entity) {
+        if (!tradie.license_holder_name || !entity.legal_name) return null;
+        const { similarity } = this.matcher.nameSimilarity(tradie.license_holder_name, [entity.legal_name]);
+        return similarity < this.rules.HOLDER_MATCH_SIMILARITY;
+    }
+
+    recordFound(tradie, entity, match) {
+        this.foundCount++;
+        if (entity.entity_status === 'Active') this.activeCount++;
+        if (entity.gst_registered) this.gstCount++;
+
+        // ONLY update abn fields - preserve original business data
+        tradie.abn_verified = true;
+        tradie.abn = entity.abn;
+        tradie.abn_status = 'found';
+        tradie.abn_entity_status = entity.entity_status;
+        tradie.abn_entity_status_from = entity.entity_status_from;
+        tradie.abn_entity_type = entity.entity_type;
+        tradie.abn_legal_name = entity.legal_name;
+        tradie.abn_trading_names = entity.trading_names;
+        tradie.abn_gst_registered = entity.gst_registered;
+        tradie.abn_gst_from = entity.gst_from;
+        tradie.abn_holder_mismatch = this.holderMismatch(tradie, entity);
+        this.recordMatchDetails(tradie, entity.source, match);
+
+        console.log(`  ✅ ABN ${formatAbn(entity.abn)}: ${entity.legal_name} (${entity.entity_status}${entity.gst_registered ? ', GST' : ''}) - ${match.score}% match`);
+
+        if (entity.entity_status !== 'Active') {
+            console.log(`  ⚠️  ABN CANCELLED since ${entity.entity_status_from || 'unknown date'}`);
+            this.queueForReview(tradie, 'abn_cancelled');
+        }
+        if (tradie.abn_holder_mismatch) {
+            this.mismatchCount++;
+            console.log(`  ⚠️  LEGAL NAME MISMATCH: licence holder is "${tradie.license_holder_name}"`);
+            this.queueForReview(tradie, 'holder_mismatch');
+        }
+    }
+
+    recordNotFound(tradie, best) {
+        tradie.abn_verified = true;
+        tradie.abn = null;
+        tradie.abn_status = 'not_found';
+        tradie.abn_entity_status = null;
+        tradie.abn_entity_status_from = null;
+        tradie.abn_entity_type = null;
+        tradie.abn_legal_name = null;
+        tradie.abn_trading_names = [];
+        tradie.abn_gst_registered = null;
+        tradie.abn_gst_from = null;
+        tradie.abn_holder_mismatch = null;
+        this.recordMatchDetails(tradie, this.abnSource.name, best || { score: null, reasons: [] });
+
+        if (best) {
+            console.log(`  ❌ NO ABN: closest was ${best.entity.legal_name} at ${best.score}%`);
+        } else {
+            console.log(`  ❌ NO ABN: nothing on the register shares a name word`);
+        }
+    }
+
+    recordMatchDetails(tradie, source, match) {
+        tradie.abn_match_confidence = match.score === null ? null : match.score / 100;
+        tradie.abn_match_reasons = match.reasons;
+        tradie.abn_source = source;
+        tradie.abn_extract_date = this.abnSource.extractDate || null;
+        tradie.abn_verified_date = new Date().toISOString();
+    }
+
+    queueForReview(tradie, reason) {
+        this.reviews.push({
+            business_name: tradie.business_name || tradie.name,
+            reason,
+            abn: tradie.abn,
+            legal_name: tradie.abn_legal_name,
+            entity_status: tradie.abn_entity_status,
+            license_number: tradie.license_number || null,
+            license_holder_name: tradie.license_holder_name || null,
+            queued_date: tradie.abn_verified_date
+        });
+    }
+
+    // Rewritten each run - it's a list of what's wrong now, not a history
+    saveReviews() {
+        fs.writeFileSync(this.reviewFile, JSON.stringify({
+            lastUpdated: new Date().toISOString(),
+            totalTradies: this.reviews.length,
+            tradies: this.reviews
+        }, null, 2));
+        console.log(`🧐 ABN review list: ${this.reviews.length} tradies in data/${path.basename(this.reviewFile)}`);
+    }
+
+    saveUpdatedTradies(originalData, tradies) {
+        const updatedData = {
+            ...originalData,
+            lastUpdated: new Date().toISOString(),
+            lastAbnCheck: new Date().toISOString(),
+            abnVerificationStats: {
+                totalChecked: this.checkedCount,
+                found: this.foundCount,
+                active: this.activeCount,
+                gstRegistered: this.gstCount,
+                holderMismatch: this.mismatchCount,
+                notFound: this.checkedCount - this.foundCount
+            },
+            tradies: tradies
+        };
+
+        fs.writeFileSync(this.tradiesFile, JSON.stringify(updatedData, null, 2));
+        console.log(`\n💾 Updated data saved to data/tradies.json`);
+    }
+}
+
+function activeFirst(a, b) {
+    return (b.entity_status === 'Active') - (a.entity_status === 'Active');
+}
+
+async function main() {
+    console.log('🏢 ABN Verification');
+    console.log('===================');
+
+    const verifier = new AbnVerifier();
+    await verifier.verifyAll();
+
+    console.log('\n✅ ABN verification completed!');
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ ABN verification failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = AbnVerifier;
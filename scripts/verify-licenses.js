@@ -1,15 +1,101 @@
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { HttpClient, HttpError } = require('./http-client');
+const { RegisterSearchClient, REGISTER_SEARCH_PAGE } = require('./license-sources/wa-ols-client');
+const { LicenseRegisterStore } = require('./license-sources/license-register-store');
+const LocalRegisterSource = require('./license-sources/local-register-source');
+const LicenseMatcher = require('./license-matcher');
+const { isValidNumberForTrade, licenseStanding } = require('./license-classes');
+const LicenseVerificationCache = require('./license-verification-cache');
+const LicenseHistory = require('./license-history');
+const LicenseChangeReport = require('./license-change-report');
+const LicenseOverrides = require('./license-overrides');
+const { LicenseVerificationReport } = require('./license-verification-report');
+const { RegulatoryActions } = require('./regulatory-actions');
+const { SmtpNotifier } = require('./smtp-notifier');
+
+// Register results considered per search term - a one-word term like a
+// surname can return hundreds
+const MAX_CANDIDATES_PER_TERM = 25;
 
 class WALicenseVerifier {
-    constructor() {
-        this.tradiesFile = path.join(__dirname, '..', 'data', 'tradies.json');
+    constructor(options = {}) {
+        this.tradiesFile = options.tradiesFile || path.join(__dirname, '..', 'data', 'tradies.json');
         this.verifiedCount = 0;
         this.licensedCount = 0;
+        this.errorCount = 0;
+        this.reviewCount = 0;
+        this.cacheHitCount = 0;
+        this.licenseReviews = [];
+        this.matcher = options.matcher || new LicenseMatcher();
+        this.reviewFile = options.reviewFile || path.join(path.dirname(this.tradiesFile), 'license-review.json');
+        
+        // Register search to query when there's no local extract. There's no
+        // client for the live WA search (see wa-ols-client.js), so no default -
+        // scripts/wa-license-stub-server.js for tests
+        this.licenseSearchUrl = options.licenseSearchUrl || process.env.WA_LICENSE_SEARCH_URL || null;
+        
+        // Be respectful to the government server - one lookup every 2 seconds
+        this.http = options.http || new HttpClient({
+            requestsPerSecond: 0.5,
+            burst: 1,
+            concurrency: 1,
+            timeoutMs: 20000,
+            maxRetries: 3
+        });
+        
+        // Imported register extract (scripts/import-license-register.js). When it
+        // exists we match against it locally; WA_LICENSE_SOURCE=online forces
+        // the network search instead.
+        this.registerFile = options.registerFile || process.env.WA_LICENSE_REGISTER_FILE ||
+            path.join(__dirname, '..', 'data', 'license-register.json');
+        
+        this.licenseSource = options.licenseSource || this.createLicenseSource();
+        
+        // Results are reused for LICENSE_CACHE_TTL_DAYS unless the record changes;
+        // `force` re-checks matching tradies regardless ({ all, names, categories })
+        this.cache = new LicenseVerificationCache(
+            options.cacheFile || path.join(path.dirname(this.tradiesFile), 'license-cache.json'),
+            { ttlDays: options.cacheTtlDays || Number(process.env.LICENSE_CACHE_TTL_DAYS) || 30 }
+        );
+        this.force = options.force || {};
+        
+        // Status snapshots across runs, the per-run change report and who gets
+        // it (LICENSE_ALERT_* env vars - see smtp-notifier.js)
+        this.history = new LicenseHistory(options.historyFile || path.join(path.dirname(this.tradiesFile), 'license-history.json'));
+        this.reportDir = options.reportDir || path.join(path.dirname(this.tradiesFile), 'reports');
+        this.notifier = options.notifier !== undefined ? options.notifier : SmtpNotifier.fromEnv();
+        this.changes = [];
+        
+        // Results a person has confirmed win over the register until they expire
+        // (scripts/license-overrides.js)
+        this.overrides = new LicenseOverrides(options.overridesFile || path.join(path.dirname(this.tradiesFile), 'license-overrides.json'));
+        this.overrideCount = 0;
+        this.overrideIssues = [];
         
-        // WA Online Licence Search base URL
-        this.licenseSearchUrl = 'https://ols.demirs.wa.gov.au';
+        // Published prosecution and disciplinary notices
+        // (scripts/import-regulatory-actions.js)
+        this.regulatoryActions = options.regulatoryActions ||
+            new RegulatoryActions(options.regulatoryActionsFile || path.join(path.dirname(this.tradiesFile), 'regulatory-actions.json')).load();
+        this.regulatoryCount = 0;
+    }
+
+    createLicenseSource() {
+        const store = new LicenseRegisterStore(this.registerFile);
+        if (process.env.WA_LICENSE_SOURCE !== 'online' && store.exists()) {
+            store.load();
+            console.log(`📚 Matching against local register extract: ${store.size} licences (extract ${store.oldestExtractDate})`);
+            return new LocalRegisterSource({ store });
+        }
+        if (!this.licenseSearchUrl) {
+            throw new Error(`No licence register to verify against - import an extract into ${path.relative(process.cwd(), this.registerFile)} (scripts/import-license-register.js) or set WA_LICENSE_SEARCH_URL`);
+        }
+        
+        return new RegisterSearchClient({
+            http: this.http,
+            baseUrl: this.licenseSearchUrl,
+            recordDir: process.env.WA_LICENSE_RECORD_DIR || null
+        });
     }
 
     async verifyAllLicenses() {
@@ -29,62 +115,422 @@ class WALicenseVerifier {
             const tradie = tradies[i];
             console.log(`\n${i + 1}/${tradies.length}: ${tradie.business_name || tradie.name}`);
             
-            await this.verifyLicense(tradie);
+            this.resetUnverified(tradie);
+            const key = tradieKey(tradie);
+            const extractDate = this.licenseSource.extractDate;
+            const staleReason = this.isForced(tradie) ? 'forced' : this.cache.staleReason(key, tradie, extractDate);
             
-            // Rate limiting - be respectful to the government server
-            await this.delay(2000);
+            if (!staleReason) {
+                this.useCachedResult(tradie, this.cache.get(key));
+            } else {
+                console.log(`  Re-verifying (${staleReason})`);
+                if (await this.verifyLicense(tradie)) {
+                    this.cache.set(key, tradie, extractDate);
+                }
+            }
+            
+            this.applyOverride(key, tradie);
+            this.checkRegulatoryActions(tradie);
+            this.trackHistory(key, tradie);
         }
 
         console.log(`\n✅ License verification complete!`);
         console.log(`   Verified: ${this.verifiedCount} tradies`);
+        console.log(`     Fresh checks: ${this.verifiedCount - this.cacheHitCount}`);
+        console.log(`     Cache hits: ${this.cacheHitCount} (checked within ${this.cache.ttlDays} days)`);
         console.log(`   Licensed: ${this.licensedCount} tradies`);
-        console.log(`   Unlicensed: ${this.verifiedCount - this.licensedCount} tradies`);
+        console.log(`   Needs review: ${this.reviewCount} tradies (not shown as licensed until reviewed)`);
+        console.log(`   Unlicensed: ${this.verifiedCount - this.licensedCount - this.reviewCount} tradies`);
+        console.log(`   Lookup errors: ${this.errorCount} tradies (previous result kept)`);
+        console.log(`   Manual overrides: ${this.overrideCount} applied, ${this.overrideIssues.length} expired or disagreeing with the register`);
+        console.log(`   Regulatory notices: ${this.regulatoryCount} tradies (of ${this.regulatoryActions.size} notices on file)`);
 
         // Save updated data
         this.saveUpdatedTradies(data, tradies);
+        this.saveLicenseReviews();
+        this.cache.save();
+        this.history.save();
+        this.saveVerificationReport(tradies);
+        await this.reportChanges();
     }
 
-    async verifyLicense(tradie) {
+    // JSON + HTML report of the whole run under data/reports/ - the console
+    // summary is gone once the Actions log expires
+    saveVerificationReport(tradies) {
+        const report = new LicenseVerificationReport(tradies, {
+            changes: this.changes,
+            overrideIssues: this.overrideIssues,
+            stats: {
+                checked: this.verifiedCount,
+                fresh: this.verifiedCount - this.cacheHitCount,
+                cached: this.cacheHitCount,
+                overridden: this.overrideCount
+            },
+            previous: LicenseVerificationReport.loadLatest(this.reportDir)
+        });
+        const [jsonFile, htmlFile] = report.save(this.reportDir);
+        
+        console.log(`\n📄 Verification report: ${path.relative(process.cwd(), htmlFile)} (+ ${path.basename(jsonFile)})`);
+    }
+
+    // Applied after the register result is cached, so the cache always holds
+    // what the register said and disagreements show up on every run
+    applyOverride(key, tradie) {
+        const override = this.overrides.find(key, tradie);
+        if (!override) return;
+        
+        const name = tradie.business_name || tradie.name;
+        const trade = tradie.trade_type || tradie.category;
+        
+        if (this.overrides.isExpired(override)) {
+            this.overrideIssues.push({ type: 'expired', key, name, trade, override, reasons: [`expired ${override.expires}`] });
+            if (tradie.license_source === 'manual_override') {
+                // The lookup failed and left last run's overridden fields -
+                // there is no register result to fall back on
+                this.clearExpiredOverride(key, tradie);
+                console.log(`  ⌛ OVERRIDE EXPIRED on ${override.expires} - no register result to fall back on, needs review`);
+            } else {
+                console.log(`  ⌛ OVERRIDE EXPIRED on ${override.expires} - using the register result`);
+            }
+            return;
+        }
+        
+        const reasons = this.overrides.disagreements(override, tradie);
+        if (reasons.length > 0) {
+            this.overrideIssues.push({ type: 'disagrees', key, name, trade, override, reasons });
+            console.log(`  ⚠️  OVERRIDE DISAGREES WITH REGISTER: ${reasons.join('; ')}`);
+        }
+        
+        // Keep the run's counts about what gets published
+        if (tradie.licensed) this.licensedCount--;
+        if (tradie.license_status === 'needs_review') {
+            this.reviewCount--;
+            this.licenseReviews = this.licenseReviews.filter(entry => entry.key !== key);
+        }
+        
+        Object.assign(tradie, this.overrides.fieldsFor(override));
+        if (tradie.licensed) this.licensedCount++;
+        this.overrideCount++;
+        
+        console.log(`  📝 OVERRIDE: ${[override.licensed ? 'licensed' : 'not licensed', override.license_number].filter(Boolean).join(' ')} (${override.reviewer}, ${override.reviewed_date}: ${override.evidence})`);
+    }
+
+    // Not shown as licensed on an expired override's say-so; queued for a
+    // person to renew the override or for the next successful lookup
+    clearExpiredOverride(key, tradie) {
+        this.reviewCount++;
+        Object.assign(tradie, {
+            licensed: false,
+            license_number: null,
+            license_type: null,
+            license_class_id: null,
+            license_can_contract: false,
+            license_number_valid: null,
+            license_holder_name: null,
+            license_status: 'needs_review',
+            license_expiry_date: null,
+            license_detail_url: null,
+            license_source: null,
+            license_override: null
+        });
+        this.licenseReviews.push({
+            key,
+            business_name: tradie.business_name || tradie.name,
+            trade: tradie.trade_type || tradie.category,
+            phone: tradie.phone,
+            address: tradie.address,
+            candidates: [],
+            reason: 'override_expired',
+            queued_date: new Date().toISOString()
+        });
+    }
+
+    // Matched on every run, cached licence or not, so a newly imported notice
+    // shows up straight away. What the site does about them is decided at
+    // publish time (regulatory-rules.js).
+    checkRegulatoryActions(tradie) {
+        tradie.regulatory_actions = this.regulatoryActions.forTradie(tradie);
+        if (tradie.regulatory_actions.length === 0) return;
+        
+        this.regulatoryCount++;
+        tradie.regulatory_actions.forEach(action => {
+            console.log(`  ⚖️  ${action.type.toUpperCase()} ${action.date || ''}: ${action.outcome || action.offence || 'see notice'} (matched by ${action.matched_by.replace('_', ' ')})`);
+        });
+    }
+
+    trackHistory(key, tradie) {
+        if (tradie.license_verified_date) {
+            const change = this.history.record(key, tradie);
+            if (change) {
+                this.changes.push(change);
+                console.log(`  🔔 CHANGE: ${change.type} (${change.previous.status} → ${change.current.status})`);
+            }
+        }
+        
+        // Lapsed tradies stay flagged (and published as such) until reviewed
+        tradie.license_flag = this.history.openFlag(key);
+    }
+
+    async reportChanges() {
+        const report = new LicenseChangeReport(this.changes, {
+            checked: this.verifiedCount,
+            fresh: this.verifiedCount - this.cacheHitCount,
+            cached: this.cacheHitCount,
+            overridden: this.overrideCount
+        }, this.overrideIssues);
+        const [jsonFile] = report.save(this.reportDir);
+        
+        console.log(`\n🔔 Licence changes: ${report.lapsed.length} lapsed, ${report.licensed.length} newly licensed, ${report.changed.length} changed`);
+        if (report.overrideIssues.length > 0) {
+            console.log(`   ${report.overrideIssues.length} licence override(s) expired or disagreeing with the register`);
+        }
+        console.log(`   Report: ${path.relative(process.cwd(), jsonFile)}`);
+        
+        if (!report.hasChanges && report.overrideIssues.length === 0) return;
+        if (!this.notifier) {
+            console.log('   (set LICENSE_ALERT_SMTP_HOST and LICENSE_ALERT_RECIPIENTS to email it)');
+            return;
+        }
+        
+        try {
+            await this.notifier.send({ subject: report.subject, text: report.toText() });
+            console.log(`   📧 Emailed to ${this.notifier.recipients.join(', ')}`);
+        } catch (error) {
+            // The report is on disk either way - a mail problem shouldn't fail the run
+            console.log(`   ⚠️  Could not email report: ${error.message}`);
+        }
+    }
+
+    isForced(tradie) {
+        const { all, names = [], categories = [] } = this.force;
+        const name = (tradie.business_name || tradie.name || '').toLowerCase();
+        const ids = [tradie.id, tradie.google_place_id].filter(id => id !== undefined).map(String);
+        
+        return Boolean(all) ||
+            names.some(wanted => wanted.toLowerCase() === name || ids.includes(wanted)) ||
+            categories.includes(tradie.trade_type || tradie.category);
+    }
+
+    // Copy the cached fields back - license_verified_date stays the date of
+    // the check that produced them
+    useCachedResult(tradie, result) {
+        Object.assign(tradie, result);
         this.verifiedCount++;
+        this.cacheHitCount++;
+        if (tradie.licensed) this.licensedCount++;
+        if (tradie.license_status === 'needs_review') this.reviewCount++;
         
+        console.log(`  ♻️  CACHED: ${tradie.licensed ? 'licensed' : `not licensed (${tradie.license_status})`} (verified ${tradie.license_verified_date.slice(0, 10)})`);
+    }
+
+    saveLicenseReviews() {
+        let existing = [];
+        if (fs.existsSync(this.reviewFile)) {
+            existing = JSON.parse(fs.readFileSync(this.reviewFile, 'utf8')).tradies || [];
+        }
+        
+        // Latest candidates win, but keep when it was first queued
+        const byKey = new Map(existing.map(entry => [entry.key, entry]));
+        for (const entry of this.licenseReviews) {
+            const previous = byKey.get(entry.key);
+            byKey.set(entry.key, {
+                ...entry,
+                queued_date: previous ? previous.queued_date : entry.queued_date,
+                last_seen: entry.queued_date
+            });
+        }
+        
+        const tradies = [...byKey.values()];
+        fs.writeFileSync(this.reviewFile, JSON.stringify({
+            lastUpdated: new Date().toISOString(),
+            totalTradies: tradies.length,
+            tradies
+        }, null, 2));
+        console.log(`🧐 Licence review list: ${this.licenseReviews.length} added this run, ${tradies.length} waiting in data/${path.basename(this.reviewFile)}`);
+    }
+
+    // Licence fields on a record the verifier has never touched came from the
+    // old simulated search and mean nothing - it starts out unverified, so a
+    // failed lookup can't keep them
+    resetUnverified(tradie) {
+        if (tradie.license_source || tradie.license_status !== undefined) return;
+        if (tradie.licensed === undefined && tradie.licenseNumber === undefined && tradie.license_number === undefined) return;
+        
+        tradie.licensed = false;
+        tradie.license_verified = false;
+        tradie.license_status = 'unverified';
+        tradie.license_number = null;
+        delete tradie.licenseNumber;
+        console.log('  ↺ Licence fields were never verified - reset to unverified');
+    }
+
+    // Resolves false when the register couldn't be checked (record untouched)
+    async verifyLicense(tradie) {
         const businessName = tradie.business_name || tradie.name;
         const tradeType = tradie.trade_type || tradie.category;
         
+        // A licence number the tradie gave us (an import's licence column) is
+        // checked directly when the source can look numbers up. Numbers from an
+        // earlier name match or a published listing are not - they'd turn a
+        // fuzzy match into a certain one.
+        const knownNumber = tradie.declared_license_number;
+        if (knownNumber && !isValidNumberForTrade(tradeType, knownNumber)) {
+            console.log(`  ⚠️  Licence number ${knownNumber} isn't a ${tradeType} licence number - searching by name`);
+        } else if (knownNumber && this.licenseSource.lookup) {
+            const entry = await this.licenseSource.lookup(knownNumber);
+            if (entry && this.matcher.tradeMatches(entry, tradeType)) {
+                console.log(`  Licence number: ${knownNumber}`);
+                this.recordLicense(tradie, this.toLicenseInfo(entry, tradeType), {
+                    confidence: this.matcher.rules.LICENSE_NUMBER_SCORE / 100,
+                    reasons: [`licence number ${knownNumber} confirmed by register`],
+                    alternatives: []
+                });
+                return true;
+            }
+        }
+        
         // Generate search terms from business name
         const searchTerms = this.generateSearchTerms(businessName);
         
         console.log(`  Searching: ${searchTerms.join(', ')}`);
         
-        for (const searchTerm of searchTerms) {
-            const licenseInfo = await this.searchWALicense(searchTerm, tradeType);
+        let match;
+        try {
+            match = await this.findBestMatch(tradie, tradeType, searchTerms);
+        } catch (error) {
+            if (!(error instanceof HttpError)) throw error;
             
-            if (licenseInfo && licenseInfo.found) {
-                // ONLY update license fields - preserve original business data
-                tradie.license_verified = true;
-                tradie.licensed = true;
-                tradie.license_number = licenseInfo.license_number;
-                tradie.license_type = licenseInfo.license_type;
-                tradie.license_holder_name = licenseInfo.holder_name;
-                tradie.license_status = licenseInfo.status;
-                tradie.license_verified_date = new Date().toISOString();
-                this.licensedCount++;
-                
-                console.log(`  ✅ LICENSED: ${licenseInfo.license_number} (${licenseInfo.license_type})`);
-                console.log(`     Holder: ${licenseInfo.holder_name}`);
-                return;
+            // A failed lookup says nothing about the licence - leave the record as it was
+            this.errorCount++;
+            console.log(`  ⚠️  LOOKUP FAILED (${error.name}): ${error.message} - keeping previous result`);
+            return false;
+        }
+        
+        const details = {
+            confidence: match.best ? match.best.score / 100 : null,
+            reasons: match.best ? match.best.reasons : [],
+            alternatives: match.alternatives.map(result => this.matcher.summarise(result))
+        };
+        
+        if (match.outcome === 'matched') {
+            this.recordLicense(tradie, this.toLicenseInfo(match.best.candidate, tradeType), details);
+        } else if (match.outcome === 'review') {
+            this.recordForReview(tradie, tradeType, match, details);
+        } else {
+            this.recordNotFound(tradie, details);
+        }
+        return true;
+    }
+
+    // Search every term, pooling the results, and let the matcher pick.
+    // Stops early once a candidate is good enough to accept.
+    async findBestMatch(tradie, tradeType, searchTerms) {
+        const candidates = new Map();
+        let match = this.matcher.match(tradie, [], tradeType);
+        
+        for (const searchTerm of searchTerms) {
+            const entries = await this.searchWALicense(searchTerm, tradeType);
+            for (const entry of entries) {
+                if (!candidates.has(entry.license_number)) {
+                    candidates.set(entry.license_number, entry);
+                }
             }
+            
+            match = this.matcher.match(tradie, [...candidates.values()], tradeType);
+            if (match.outcome === 'matched') break;
         }
+        return match;
+    }
+
+    recordLicense(tradie, licenseInfo, details) {
+        this.verifiedCount++;
         
+        // ONLY update license fields - preserve original business data
+        tradie.license_verified = true;
+        tradie.licensed = licenseInfo.licensed;
+        tradie.license_number = licenseInfo.license_number;
+        tradie.license_type = licenseInfo.license_type;
+        tradie.license_class_id = licenseInfo.class_id;
+        tradie.license_can_contract = licenseInfo.can_contract;
+        tradie.license_number_valid = licenseInfo.number_valid;
+        tradie.license_holder_name = licenseInfo.holder_name;
+        tradie.license_status = licenseInfo.status;
+        tradie.license_expiry_date = licenseInfo.expiry_date;
+        tradie.license_detail_url = licenseInfo.detail_url;
+        tradie.license_source = licenseInfo.source;
+        tradie.license_extract_date = licenseInfo.extract_date;
+        this.recordMatchDetails(tradie, details);
+        
+        if (licenseInfo.licensed) {
+            this.licensedCount++;
+            console.log(`  ✅ LICENSED: ${licenseInfo.license_number} (${licenseInfo.license_type}) - ${Math.round(details.confidence * 100)}% match`);
+        } else {
+            console.log(`  ⚠️  NOT LICENSED TO CONTRACT: ${licenseInfo.license_number} - ${licenseInfo.standing_reason}`);
+        }
+        console.log(`     Holder: ${licenseInfo.holder_name}`);
+    }
+
+    // Plausible but not certain - a human decides, and until then the tradie
+    // is not shown as licensed
+    recordForReview(tradie, tradeType, match, details) {
+        this.verifiedCount++;
+        this.reviewCount++;
+        
+        const candidate = this.matcher.summarise(match.best);
+        tradie.license_verified = true;
+        tradie.licensed = false;
+        tradie.license_number = null;
+        tradie.license_status = 'needs_review';
+        tradie.license_class_id = null;
+        tradie.license_can_contract = false;
+        tradie.license_number_valid = null;
+        tradie.license_expiry_date = null;
+        tradie.license_detail_url = null;
+        tradie.license_source = match.best.candidate.source;
+        tradie.license_extract_date = match.best.candidate.extract_date || null;
+        this.recordMatchDetails(tradie, { ...details, alternatives: [candidate, ...details.alternatives] });
+        
+        this.licenseReviews.push({
+            key: tradieKey(tradie),
+            business_name: tradie.business_name || tradie.name,
+            trade: tradeType,
+            phone: tradie.phone,
+            address: tradie.address,
+            candidates: tradie.license_match_alternatives,
+            queued_date: new Date().toISOString()
+        });
+        
+        console.log(`  🧐 NEEDS REVIEW: best match ${candidate.license_number} (${candidate.holder_name}) at ${Math.round(candidate.confidence * 100)}%`);
+    }
+
+    recordNotFound(tradie, details) {
         // No license found - ONLY update license fields
+        this.verifiedCount++;
         tradie.license_verified = true;
         tradie.licensed = false;
         tradie.license_number = null;
         tradie.license_status = 'not_found';
-        tradie.license_verified_date = new Date().toISOString();
+        tradie.license_class_id = null;
+        tradie.license_can_contract = false;
+        tradie.license_number_valid = null;
+        tradie.license_expiry_date = null;
+        tradie.license_detail_url = null;
+        tradie.license_source = this.licenseSource.name;
+        tradie.license_extract_date = this.licenseSource.extractDate || null;
+        this.recordMatchDetails(tradie, details);
         
         console.log(`  ❌ NOT LICENSED: No valid license found`);
     }
 
+    recordMatchDetails(tradie, details) {
+        tradie.license_match_confidence = details.confidence;
+        tradie.license_match_reasons = details.reasons;
+        tradie.license_match_alternatives = details.alternatives;
+        tradie.license_verified_date = new Date().toISOString();
+        // Set again by applyOverride when one applies
+        tradie.license_override = null;
+    }
+
     generateSearchTerms(businessName) {
         const terms = [];
         
@@ -118,86 +564,40 @@ class WALicenseVerifier {
         return [...new Set(terms)]; // Remove duplicates
     }
 
+    // Ask the register for `searchTerm`. HttpErrors propagate so verifyLicense
+    // can tell "not found" apart from "couldn't check".
     async searchWALicense(searchTerm, tradeType) {
-        try {
-            // Note: This is a simplified simulation since the actual WA license search
-            // requires form submissions and may have CAPTCHA protection
-            
-            console.log(`    Checking: "${searchTerm}"`);
-            
-            // For demonstration, we'll use a pattern-based approach
-            // In production, you'd need to implement proper form submission to the WA site
-            const result = await this.simulateWALicenseSearch(searchTerm, tradeType);
-            
-            return result;
-            
-        } catch (error) {
-            console.log(`    Error checking "${searchTerm}": ${error.message}`);
-            return null;
+        console.log(`    Checking: "${searchTerm}"`);
+        
+        const entries = await this.licenseSource.search(searchTerm, tradeType);
+        if (entries.length > MAX_CANDIDATES_PER_TERM) {
+            console.log(`    ${entries.length} results, considering the first ${MAX_CANDIDATES_PER_TERM}`);
         }
+        return entries.slice(0, MAX_CANDIDATES_PER_TERM);
     }
 
-    // Simulation of WA license search - replace with actual implementation
-    async simulateWALicenseSearch(searchTerm, tradeType) {
-        await this.delay(500); // Simulate network delay
-        
-        // Realistic simulation based on common Perth electricians
-        const knownLicensedElectricians = [
-            { name: 'Response Electricians', license: 'EC17045', holder: 'Response Electrical Services Pty Ltd' },
-            { name: 'Westline Electricians', license: 'EC15892', holder: 'Westline Electrical Pty Ltd' },
-            { name: 'Brillare', license: 'EC16334', holder: 'Brillare Electrical Pty Ltd' },
-            { name: 'Mactec', license: 'EC14567', holder: 'Mactec Electrical Pty Ltd' },
-            { name: 'Dr Sparky', license: 'EC18901', holder: 'Dr Sparky Electrical Services' }
-        ];
-        
-        const knownLicensedPlumbers = [
-            { name: 'Perth Plumbing', license: 'PL8934', holder: 'Perth Plumbing Services Pty Ltd' },
-            { name: 'Metro Plumbing', license: 'PL7621', holder: 'Metro Plumbing Solutions' },
-            { name: 'Express Plumbing', license: 'PL9876', holder: 'Express Plumbing & Gas' }
-        ];
-        
-        let knownLicenses = [];
-        if (tradeType === 'electrician') {
-            knownLicenses = knownLicensedElectricians;
-        } else if (tradeType === 'plumber') {
-            knownLicenses = knownLicensedPlumbers;
-        }
-        
-        // Check if search term matches any known licensed business
-        const match = knownLicenses.find(licensed => 
-            searchTerm.toLowerCase().includes(licensed.name.toLowerCase()) ||
-            licensed.name.toLowerCase().includes(searchTerm.toLowerCase())
-        );
-        
-        if (match) {
-            return {
-                found: true,
-                license_number: match.license,
-                license_type: tradeType === 'electrician' ? 'Electrical Contractor' : 'Plumber',
-                holder_name: match.holder,
-                status: 'Current',
-                verified_via: 'WA Building and Energy'
-            };
-        }
-        
-        // Simulate ~30% of unknown businesses being licensed
-        const isLicensed = Math.random() > 0.7;
-        
-        if (isLicensed) {
-            const licensePrefix = tradeType === 'electrician' ? 'EC' : 'PL';
-            const licenseNumber = licensePrefix + Math.floor(Math.random() * 90000 + 10000);
-            
-            return {
-                found: true,
-                license_number: licenseNumber,
-                license_type: tradeType === 'electrician' ? 'Electrical Contractor' : 'Plumber',
-                holder_name: searchTerm + ' Pty Ltd',
-                status: 'Current',
-                verified_via: 'WA Building and Energy'
-            };
-        }
-        
-        return { found: false };
+    // `licensed` means licensed to contract for this trade - see license-classes.js
+    toLicenseInfo(best, tradeType) {
+        const standing = licenseStanding(tradeType, best);
+        return {
+            found: true,
+            current: standing.current,
+            licensed: standing.licensedToContract,
+            standing_reason: standing.reason,
+            class_id: standing.classId,
+            can_contract: standing.canContract,
+            number_valid: standing.numberValid,
+            license_number: best.license_number,
+            license_type: best.license_class,
+            holder_name: best.holder_name,
+            status: best.status,
+            expiry_date: best.expiry_date,
+            detail_url: best.detail_url,
+            source: best.source,
+            // Live searches are as fresh as the verification itself
+            extract_date: best.extract_date || null,
+            verified_via: 'WA Building and Energy'
+        };
     }
 
     saveUpdatedTradies(originalData, tradies) {
@@ -208,7 +608,8 @@ class WALicenseVerifier {
             licenseVerificationStats: {
                 totalChecked: this.verifiedCount,
                 licensed: this.licensedCount,
-                unlicensed: this.verifiedCount - this.licensedCount,
+                needsReview: this.reviewCount,
+                unlicensed: this.verifiedCount - this.licensedCount - this.reviewCount,
                 verificationRate: `${((this.licensedCount / this.verifiedCount) * 100).toFixed(1)}%`
             },
             tradies: tradies
@@ -223,12 +624,14 @@ class WALicenseVerifier {
 
     generateLicenseReport(data) {
         const licensed = data.tradies.filter(t => t.licensed === true);
-        const unlicensed = data.tradies.filter(t => t.licensed === false);
+        const needsReview = data.tradies.filter(t => t.license_status === 'needs_review');
+        const unlicensed = data.tradies.filter(t => t.licensed === false && t.license_status !== 'needs_review');
         
         console.log(`\n📊 LICENSE VERIFICATION REPORT`);
         console.log(`===============================`);
         console.log(`Total Tradies: ${data.tradies.length}`);
         console.log(`Licensed: ${licensed.length}`);
+        console.log(`Needs review: ${needsReview.length}`);
         console.log(`Unlicensed: ${unlicensed.length}`);
         console.log(`Verification Rate: ${data.licenseVerificationStats.verificationRate}`);
         
@@ -241,6 +644,17 @@ class WALicenseVerifier {
             });
         }
         
+        if (needsReview.length > 0) {
+            console.log(`\n🧐 NEEDS REVIEW (data/${path.basename(this.reviewFile)}):`);
+            needsReview.forEach(tradie => {
+                const [candidate] = tradie.license_match_alternatives || [];
+                console.log(`   ${tradie.business_name || tradie.name}`);
+                if (candidate) {
+                    console.log(`     Best candidate: ${candidate.license_number} ${candidate.holder_name} (${Math.round(candidate.confidence * 100)}%)`);
+                }
+            });
+        }
+        
         if (unlicensed.length > 0) {
             console.log(`\n❌ UNLICENSED TRADIES:`);
             unlicensed.forEach(tradie => {
@@ -250,22 +664,57 @@ class WALicenseVerifier {
         }
         
         console.log(`\n⚠️  IMPORTANT: Always verify license status directly with WA Building and Energy before hiring.`);
-        console.log(`🔗 Official verification: https://ols.demirs.wa.gov.au/`);
+        console.log(`🔗 Official verification: ${REGISTER_SEARCH_PAGE}`);
     }
+}
+
+// Stable across runs: published records keep their place id, raw ones may
+// only have a name and phone
+function tradieKey(tradie) {
+    if (tradie.google_place_id) return tradie.google_place_id;
+    const name = (tradie.business_name || tradie.name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return `${name}|${(tradie.phone || '').replace(/\D/g, '')}`;
+}
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+// --force <name or place id> and --force-category <trade> (both repeatable)
+// re-check those tradies even when cached; --force-all ignores the cache;
+// --ttl <days> overrides LICENSE_CACHE_TTL_DAYS.
+function parseArgs(argv) {
+    const options = { force: { names: [], categories: [] } };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--force') {
+            options.force.names.push(argv[++i]);
+        } else if (arg === '--force-category') {
+            options.force.categories.push(argv[++i]);
+        } else if (arg === '--force-all') {
+            options.force.all = true;
+        } else if (arg === '--ttl') {
+            options.cacheTtlDays = Number(argv[++i]);
+            if (!(options.cacheTtlDays > 0)) {
+                throw new Error('--ttl must be a number of days');
+            }
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
     }
+    return options;
 }
 
 // Run license verification
 async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    
     console.log('🚀 WA License Verification System');
     console.log('=================================');
     console.log('⚠️  This verification cross-references with WA Building and Energy records');
-    console.log('⏳ This process takes 2-3 seconds per tradie to avoid overloading government servers');
     
-    const verifier = new WALicenseVerifier();
+    const verifier = new WALicenseVerifier(options);
+    if (verifier.licenseSource instanceof RegisterSearchClient) {
+        console.log(`🔗 Register search: ${verifier.licenseSearchUrl} (not the live WA register - see wa-ols-client.js)`);
+        console.log('⏳ Each uncached tradie takes 2-3 seconds - searches are rate limited');
+        console.log('💡 Import a register extract (scripts/import-license-register.js) to skip network searches');
+    }
     await verifier.verifyAllLicenses();
     
     console.log('\n✅ License verification completed!');
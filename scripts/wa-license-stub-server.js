@@ -0,0 +1,51 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { URL } = require('url');
+const { pageFileName } = require('./license-sources/wa-ols-client');
+
+// Offline register for testing the search client (wa-ols-client.js). Serves
+// results pages from fixtures/wa-license/ - hand-written in the client's query
+// format, not recorded from the live register - or pages saved with
+// WA_LICENSE_RECORD_DIR from another register that answers that format:
+//
+//   GET /search?name=Response%20Electricians  ->  search-response-electricians.html
+//
+// Unknown names get no-results.html. Run it, then point the verifier at it:
+//
+//   node scripts/wa-license-stub-server.js 4010
+//   WA_LICENSE_SEARCH_URL=http://localhost:4010 node scripts/verify-licenses.js
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'wa-license');
+
+function createStubServer(fixtureDir = DEFAULT_FIXTURE_DIR) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname !== '/search') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+
+        const name = url.searchParams.get('name') || '';
+        let file = path.join(fixtureDir, pageFileName(name));
+        if (!fs.existsSync(file)) {
+            file = path.join(fixtureDir, 'no-results.html');
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(fs.readFileSync(file, 'utf8'));
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '4010', 10);
+    const fixtureDir = process.argv[3] ? path.resolve(process.argv[3]) : DEFAULT_FIXTURE_DIR;
+
+    createStubServer(fixtureDir).listen(port, () => {
+        console.log(`🧪 WA licence search stub on http://localhost:${port} (pages from ${path.relative(process.cwd(), fixtureDir) || '.'})`);
+    });
+}
+
+module.exports = { createStubServer };
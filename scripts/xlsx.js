@@ -0,0 +1,159 @@
+const zlib = require('zlib');
+
+// Just enough of the XLSX format to read the first worksheet of a register
+// extract as rows of strings: unzip with zlib, then pull cells out of the
+// sheet XML. Formulas, styles and number formats are ignored - dates come
+// back as Excel serial numbers (see excelSerialToDate).
+
+function readZipEntries(buffer) {
+    // End of central directory record sits in the last 64KB (max comment size)
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('Not an XLSX file (no zip directory found)');
+    }
+
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    const entries = {};
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Corrupt XLSX file (bad zip directory entry)');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries[name] = { method, compressedSize, localOffset };
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return {
+        names: Object.keys(entries),
+        read(name) {
+            const entry = entries[name];
+            if (!entry) return null;
+
+            // Sizes come from the central directory; the local header's may be zero
+            const start = entry.localOffset + 30 +
+                buffer.readUInt16LE(entry.localOffset + 26) +
+                buffer.readUInt16LE(entry.localOffset + 28);
+            const data = buffer.subarray(start, start + entry.compressedSize);
+
+            if (entry.method === 0) return data.toString('utf8');
+            if (entry.method === 8) return zlib.inflateRawSync(data).toString('utf8');
+            throw new Error(`Unsupported zip compression method ${entry.method} for ${name}`);
+        }
+    };
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&amp;/g, '&');
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+// Text of every <t> inside a fragment (rich text splits a string into runs)
+function textRuns(xml) {
+    const runs = xml.match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>/g) || [];
+    return runs.map(run => decodeXml(run.replace(/<[^>]+>/g, ''))).join('');
+}
+
+function readSharedStrings(zip) {
+    const xml = zip.read('xl/sharedStrings.xml');
+    if (!xml) return [];
+    return (xml.match(/<si>[\s\S]*?<\/si>/g) || []).map(textRuns);
+}
+
+// Path of the first sheet in workbook order, via the workbook relationships
+function firstSheetPath(zip) {
+    const workbook = zip.read('xl/workbook.xml') || '';
+    const rels = zip.read('xl/_rels/workbook.xml.rels') || '';
+    const sheet = workbook.match(/<sheet\s[^>]*>/);
+
+    if (sheet) {
+        const relId = attribute(sheet[0], 'r:id');
+        const rel = (rels.match(/<Relationship\s[^>]*>/g) || []).find(tag => attribute(tag, 'Id') === relId);
+        if (rel) {
+            const target = attribute(rel, 'Target').replace(/^\/?xl\//, '').replace(/^\//, '');
+            return `xl/${target}`;
+        }
+    }
+
+    return zip.names.find(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name)) || null;
+}
+
+// "C12" -> 2
+function columnIndex(ref) {
+    const letters = (ref || '').match(/^[A-Z]+/);
+    if (!letters) return null;
+    return letters[0].split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Rows of the first worksheet as arrays of strings (blank cells are '')
+function parseXlsx(buffer) {
+    const zip = readZipEntries(buffer);
+    const sharedStrings = readSharedStrings(zip);
+    const sheetPath = firstSheetPath(zip);
+    const xml = sheetPath && zip.read(sheetPath);
+    if (!xml) {
+        throw new Error('XLSX file has no worksheet');
+    }
+
+    const rows = [];
+    const rowPattern = /<row[^>]*>([\s\S]*?)<\/row>/g;
+    let rowMatch;
+
+    while ((rowMatch = rowPattern.exec(xml)) !== null) {
+        const cells = [];
+        const cellPattern = /<c(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let cellMatch;
+
+        while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+            const tag = cellMatch[1] || '';
+            const body = cellMatch[2] || '';
+            const type = attribute(tag, 't');
+            const valueMatch = body.match(/<v>([\s\S]*?)<\/v>/);
+            const raw = valueMatch ? decodeXml(valueMatch[1]) : '';
+
+            let value;
+            if (type === 's') value = sharedStrings[parseInt(raw, 10)] || '';
+            else if (type === 'inlineStr') value = textRuns(body);
+            else value = raw;
+
+            const index = columnIndex(attribute(tag, 'r'));
+            cells[index === null ? cells.length : index] = value;
+        }
+
+        rows.push(Array.from(cells, cell => cell || ''));
+    }
+
+    return rows.filter(row => row.some(cell => cell !== ''));
+}
+
+// Excel stores dates as days since 30/12/1899 (1900 leap-year bug included)
+function excelSerialToDate(serial) {
+    return new Date(Date.UTC(1899, 11, 30) + Math.round(Number(serial) * 86400000));
+}
+
+module.exports = { parseXlsx, excelSerialToDate };
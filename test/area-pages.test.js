@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const AreaLandingPages = require('../scripts/area-pages');
+const { TemplateRenderer } = require('../scripts/template-renderer');
+const { assignSlugs } = require('../scripts/tradie-slugs');
+
+const TRADIES = assignSlugs([
+    { id: 1, name: 'Hay St Electrical', category: 'electrician', address: '1 Hay St, Perth WA 6000', licensed: false, rating: 4.9, reviewCount: 40, location: { latitude: -31.9523, longitude: 115.8613 } },
+    { id: 2, name: 'Murray St Electrical', category: 'electrician', address: '2 Murray St, Perth WA 6000', licensed: true, rating: 4.1, reviewCount: 10, location: { latitude: -31.9530, longitude: 115.8590 } },
+    { id: 3, name: 'City Plumbing', category: 'plumber', address: '3 Hay St, Perth WA 6000', licensed: true, rating: 4.5, reviewCount: 0 },
+    { id: 4, name: 'Subi Sparks', category: 'electrician', address: '4 Rokeby Rd, Subiaco WA 6008', licensed: true, rating: 4.7, reviewCount: 12, location: { latitude: -31.9486, longitude: 115.8260 } },
+    { id: 5, name: 'Freo Plumbing', category: 'plumber', address: '5 High St, Fremantle WA 6160', licensed: false, rating: 3.9, reviewCount: 8, location: { latitude: -32.0569, longitude: 115.7439 } },
+    { id: 6, name: 'Morley Electrical', category: 'electrician', address: '6 Walter Rd, Morley WA 6062', licensed: true, rating: 4.2, reviewCount: 5 },
+    { id: 7, name: 'Somewhere Plumbing', category: 'plumber', address: 'Perth Metro', licensed: false, rating: 4, reviewCount: 2 }
+]);
+
+function landingPages() {
+    return new AreaLandingPages(new TemplateRenderer(path.join(__dirname, '..', 'templates')));
+}
+
+function pageFor(file) {
+    return landingPages().pages(TRADIES).find(page => page.file === file);
+}
+
+test('generates suburb and trade pages only where there are tradies', () => {
+    const files = landingPages().pages(TRADIES).map(page => page.file).sort();
+
+    assert.deepStrictEqual(files, [
+        'electricians/index.html',
+        'electricians/morley.html',
+        'electricians/perth.html',
+        'electricians/subiaco.html',
+        'plumbers/fremantle.html',
+        'plumbers/index.html',
+        'plumbers/perth.html',
+        'suburbs/fremantle.html',
+        'suburbs/morley.html',
+        'suburbs/perth.html',
+        'suburbs/subiaco.html'
+    ]);
+});
+
+test('neighbours are nearest first, with suburbs that have no coordinates last', () => {
+    const pages = landingPages();
+    const suburbs = pages.groupBySuburb(TRADIES);
+    const perth = suburbs.find(suburb => suburb.slug === 'perth');
+
+    assert.deepStrictEqual(pages.neighbours(perth, suburbs).map(suburb => suburb.name), ['Subiaco', 'Fremantle', 'Morley']);
+    assert.deepStrictEqual(pages.neighbours(perth, suburbs, 'plumber').map(suburb => suburb.name), ['Fremantle']);
+});
+
+test('a suburb without a trade points to the nearest suburbs that have it', () => {
+    const { slots } = pageFor('suburbs/subiaco.html');
+
+    assert.match(slots.sections, /No plumbers listed in Subiaco yet - try nearby/);
+    assert.match(slots.sections, /href="\.\.\/plumbers\/perth\.html">Plumbers in Perth<\/a> <span class="link-count">\(1\)<\/span>/);
+});
+
+test('counts, licence stats and listing order cover the tradies on the page', () => {
+    const { slots } = pageFor('electricians/perth.html');
+
+    assert.deepStrictEqual(slots.stats, { total: 2, totalLabel: 'tradies listed', licensed: 1, licensedRate: 50, averageRating: '4.5' });
+    // Licensed first, then best rated
+    assert.ok(slots.cards.indexOf('Murray St Electrical') < slots.cards.indexOf('Hay St Electrical'));
+
+    const trade = pageFor('plumbers/index.html').slots;
+    assert.strictEqual(trade.stats.total, 3);
+    assert.strictEqual(trade.stats.licensedRate, 33);
+    assert.match(trade.sections, /plumbers\/fremantle\.html">Fremantle<\/a> <span class="link-count">\(1\)<\/span>/);
+    // Unrated tradies don't pull the average down
+    assert.strictEqual(pageFor('plumbers/perth.html').slots.stats.averageRating, '-');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SiteBuilder, BuildError } = require('../scripts/build-site');
+
+const TRADIES = [
+    { id: 1, name: 'Sparky Bros', category: 'electrician', address: '1 Hay St, Perth WA 6000', licensed: true, rating: 4.5, reviewCount: 10 },
+    { id: 2, name: 'Drain Kings', category: 'plumber', address: '2 Hay St, Perth WA 6000', licensed: false, rating: 4, reviewCount: 3 }
+];
+
+// A site root in a temp dir with `files` written into it; built into <root>/dist
+function siteWith(t, files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-site-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    for (const [file, content] of Object.entries({ CNAME: 'example.com\n', ...files })) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    const builder = new SiteBuilder({ root, distDir: path.join(root, 'dist'), dataFile: path.join(root, 'data', 'published-tradies.json') });
+    return { root, builder, page: file => fs.readFileSync(path.join(root, 'dist', file), 'utf8') };
+}
+
+// Builds print every page - kept out of the test runner's output
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('no licence report link until a report is published', t => {
+    const { builder, page } = siteWith(t, { 'data/published-tradies.json': { licenseReport: null, tradies: TRADIES } });
+    builder.build();
+
+    assert.doesNotMatch(page('index.html'), /licence verification report/i);
+    assert.doesNotMatch(page('tradies/sparky-bros-perth.html'), /licence verification report/i);
+});
+
+test('links the published report from every page, relative to the page', t => {
+    const { builder, page } = siteWith(t, {
+        'data/published-tradies.json': { licenseReport: { url: 'data/reports/public-license-report.html' }, tradies: TRADIES },
+        'data/reports/public-license-report.html': '<!DOCTYPE html><html></html>',
+        'data/reports/latest-license-report.html': '<!DOCTYPE html><html></html>',
+        'data/reports/license-changes-2026-01-01.txt': 'Lapsed: ...'
+    });
+    builder.build();
+
+    assert.match(page('index.html'), /href="data\/reports\/public-license-report\.html">Latest licence verification report/);
+    assert.match(page('tradies/sparky-bros-perth.html'), /href="\.\.\/data\/reports\/public-license-report\.html"/);
+    assert.deepStrictEqual(fs.readdirSync(path.join(builder.distDir, 'data', 'reports')), ['public-license-report.html']);
+});
+
+test('fails the build when a link points at a public file that does not exist', t => {
+    const { builder } = siteWith(t, {
+        'data/published-tradies.json': { licenseReport: { url: 'data/reports/public-license-report.html' }, tradies: TRADIES }
+    });
+
+    assert.throws(() => builder.build(), error => error instanceof BuildError &&
+        error.problems.some(problem => /index\.html: links to data\/reports\/public-license-report\.html/.test(problem)));
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CoveragePlanner = require('../scripts/coverage-planner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ITEMS = ['a', 'b', 'c', 'd'].map(key => ({ key }));
+
+function planner(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-planner-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new CoveragePlanner(path.join(dir, 'coverage-plan.json'), { cycleDays: 28, runIntervalDays: 7, ...options });
+}
+
+// A search last run `days` ago that kept `kept` tradies over `pages` pages
+function searched(days, kept = 0, pages = 1) {
+    return { lastQueried: new Date(Date.now() - days * DAY_MS).toISOString(), lastYield: kept, lastPages: pages, runs: 1, totalYield: kept };
+}
+
+function keys(plan) {
+    return plan.items.map(item => item.key);
+}
+
+test('never-searched items come first, in config order, within the call budget', t => {
+    const coverage = planner(t);
+    coverage.state.cells.a = searched(1);
+
+    const plan = coverage.plan(ITEMS, 2);
+    assert.deepStrictEqual(keys(plan), ['b', 'c']);
+    assert.strictEqual(plan.estimatedCalls, 2);
+});
+
+test('weekly runs rotate through every item before repeating one', t => {
+    const coverage = planner(t);
+    const runs = [];
+    for (let run = 0; run < 3; run++) {
+        const plan = coverage.plan(ITEMS, 2);
+        runs.push(keys(plan));
+        plan.items.forEach(item => coverage.record(item, { kept: 1, pages: 1 }));
+        // A week passes
+        for (const cell of Object.values(coverage.state.cells)) {
+            cell.lastQueried = new Date(new Date(cell.lastQueried).getTime() - 7 * DAY_MS).toISOString();
+        }
+    }
+
+    assert.deepStrictEqual(runs, [['a', 'b'], ['c', 'd'], ['a', 'b']]);
+});
+
+test('overdue items outrank productive ones, which outrank equally stale quiet ones', t => {
+    const coverage = planner(t);
+    Object.assign(coverage.state.cells, { a: searched(10, 0), b: searched(10, 20), c: searched(30, 0), d: searched(2, 0) });
+
+    const plan = coverage.plan(ITEMS, 4);
+    assert.deepStrictEqual(keys(plan), ['c', 'b', 'a', 'd']);
+    assert.strictEqual(plan.overdue, 1);
+});
+
+test('items that needed several pages cost that many calls', t => {
+    const coverage = planner(t);
+    Object.assign(coverage.state.cells, { a: searched(30, 5, 3), b: searched(20, 0, 1) });
+
+    assert.strictEqual(coverage.estimateCalls(ITEMS[0]), 3);
+    // a doesn't fit after c and d, and nothing after it is planned either
+    assert.deepStrictEqual(keys(coverage.plan(ITEMS, 4)), ['c', 'd']);
+    assert.deepStrictEqual(keys(coverage.plan(ITEMS, 5)), ['c', 'd', 'a']);
+});
+
+test('says when the budget cannot keep every item inside the cycle', t => {
+    const coverage = planner(t);
+    const items = Array.from({ length: 8 }, (_, index) => ({ key: `item-${index}` }));
+
+    assert.deepStrictEqual([coverage.plan(items, 1).neededPerRun, coverage.plan(items, 1).keepsUp], [2, false]);
+    assert.strictEqual(coverage.plan(items, 2).keepsUp, true);
+});
+
+test('history survives a save and reload', t => {
+    const coverage = planner(t);
+    coverage.record(ITEMS[0], { kept: 4, pages: 2 });
+    coverage.record(ITEMS[0], { kept: 1, pages: 1 });
+    coverage.save();
+
+    const reloaded = new CoveragePlanner(coverage.file);
+    assert.deepStrictEqual(
+        { ...reloaded.state.cells.a, lastQueried: undefined },
+        { lastQueried: undefined, lastYield: 1, lastPages: 1, runs: 2, totalYield: 5 }
+    );
+});
@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+const LimitedTradieDiscovery = require('../scripts/discover-tradies');
+const { HttpStatusError } = require('../scripts/http-client');
+const { PERTH_METRO_POLYGON, tilePolygon } = require('../scripts/geo-grid');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPT = path.join(ROOT, 'scripts', 'discover-tradies.js');
+const TRADIES_FILE = path.join(ROOT, 'data', 'tradies.json');
+
+// The committed fixtures/places set covers the first four calls of a fresh plan:
+// electrician (two pages), plumber and gas fitter in Perth
+function replay(outputFile, ...args) {
+    const env = { ...process.env };
+    delete env.GOOGLE_PLACES_API_KEY;
+    delete env.PLACES_FIXTURE_MODE;
+    return execFileSync('node', [SCRIPT, '--replay', '--max-calls', '4', '--out', outputFile, ...args], { cwd: ROOT, env, encoding: 'utf8' });
+}
+
+// Runs print their progress - kept out of the test runner's output
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+test('replays the recorded Places fixtures into --out without a key', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discover-replay-'));
+    const before = fs.readFileSync(TRADIES_FILE, 'utf8');
+    try {
+        const output = replay(path.join(dir, 'tradies.json'));
+        assert.match(output, /Estimated cost: \$0 \(replayed from fixtures\)/);
+        assert.doesNotMatch(output, /FixtureMissingError/);
+
+        const { tradies } = JSON.parse(fs.readFileSync(path.join(dir, 'tradies.json'), 'utf8'));
+        assert.deepStrictEqual(tradies.map(tradie => tradie.business_name).sort(), [
+            'CBD Plumbing & Drains',
+            'East Perth Electrics',
+            'Highgate Electrical Contractors',
+            'Leederville Plumber',
+            'Metro Gas Fitting',
+            'Northbridge Electrical Services',
+            'Swan River Sparkies'
+        ]);
+        const gasFitter = tradies.find(tradie => tradie.google_place_id === 'ChIJfx-gas-0001');
+        assert.strictEqual(gasFitter.trade_type, 'gas_fitter');
+        // Closed places are never added, wholesalers are rejected outright
+        assert.ok(!tradies.some(tradie => tradie.business_name === 'Old Town Electric'));
+        assert.ok(!tradies.some(tradie => tradie.business_name === 'Perth Electrical Wholesale'));
+
+        // Stopped at the call limit - the checkpoint goes next to --out, not into data/
+        assert.ok(fs.existsSync(path.join(dir, 'discovery-checkpoint.json')));
+        assert.ok(fs.existsSync(path.join(dir, 'review-queue.json')));
+        assert.strictEqual(fs.readFileSync(TRADIES_FILE, 'utf8'), before);
+
+        // A second replay updates the same records instead of adding them again
+        replay(path.join(dir, 'tradies.json'), '--restart');
+        const again = JSON.parse(fs.readFileSync(path.join(dir, 'tradies.json'), 'utf8'));
+        assert.strictEqual(again.tradies.length, 7);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('--resume carries on from the checkpoint in its saved order', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discover-resume-'));
+    const out = path.join(dir, 'tradies.json');
+    const checkpointFile = path.join(dir, 'discovery-checkpoint.json');
+    const searches = output => [...output.matchAll(/^Searching: (.+)$/gm)].map(match => match[1]);
+    try {
+        assert.deepStrictEqual(searches(replay(out, '--max-calls', '2')), ['electrician in Perth WA']);
+        const checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+        assert.strictEqual(checkpoint.nextIndex, 1);
+        assert.deepStrictEqual(checkpoint.keys, ['Perth WA|electrician', 'Perth WA|plumber']);
+
+        // The saved plan and its order win over a fresh plan
+        checkpoint.keys = ['Perth WA|electrician', 'Perth WA|gas_fitter', 'Perth WA|plumber'];
+        checkpoint.totalItems = 3;
+        fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint));
+        assert.deepStrictEqual(searches(replay(out, '--resume', '--max-calls', '2')), ['gas fitter in Perth WA', 'plumber in Perth WA']);
+        assert.strictEqual(JSON.parse(fs.readFileSync(out, 'utf8')).tradies.length, 7);
+        // Finished plans leave no checkpoint behind
+        assert.strictEqual(fs.existsSync(checkpointFile), false);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('stops at a search that fails after retries so --resume redoes it', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discover-failed-'));
+    try {
+        const discovery = new LimitedTradieDiscovery({ fixtureMode: 'replay', maxCalls: 4, outputFile: path.join(dir, 'tradies.json') });
+        const fetchPage = discovery.places.fetchPage.bind(discovery.places);
+        discovery.places.fetchPage = request => (request.textQuery === 'plumber in Perth WA'
+            ? Promise.reject(new HttpStatusError(503, '{"error":{"message":"Backend unavailable"}}', discovery.places.url))
+            : fetchPage(request));
+
+        await discovery.searchTradies();
+
+        const checkpoint = JSON.parse(fs.readFileSync(path.join(dir, 'discovery-checkpoint.json'), 'utf8'));
+        assert.strictEqual(checkpoint.keys[checkpoint.nextIndex], 'Perth WA|plumber');
+        assert.ok(discovery.planner.state.cells['Perth WA|electrician']);
+        assert.strictEqual(discovery.planner.state.cells['Perth WA|plumber'], undefined);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('counts every retried attempt against the call limit and the ledger', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discover-retries-'));
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+        hits++;
+        res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+        res.end('{"error":{"message":"Backend unavailable"}}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const discovery = new LimitedTradieDiscovery({ maxCalls: 3, outputFile: path.join(dir, 'tradies.json'), ledgerFile: path.join(dir, 'api-ledger.json') });
+        discovery.places.url = `http://127.0.0.1:${server.address().port}/v1/places:searchText`;
+        discovery.http.baseDelayMs = 1;
+        discovery.ledger.startRun({ mode: 'test', sku: discovery.sku });
+
+        const stats = await discovery.searchInLocation('Perth WA', { type: 'plumber', query: 'plumber' });
+
+        assert.strictEqual(stats.limited, true);
+        assert.strictEqual(hits, 3);
+        assert.strictEqual(discovery.apiCallCount, 3);
+        assert.strictEqual(discovery.ledger.monthUsage().skus[discovery.sku], 3);
+        assert.strictEqual(discovery.ledger.currentRun.skus[discovery.sku], 3);
+    } finally {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('grid mode restricts each query to its cell and splits a cell that runs out of pages', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discover-grid-'));
+    try {
+        const discovery = new LimitedTradieDiscovery({ fixtureMode: 'replay', searchMode: 'grid', maxCalls: 50, outputFile: path.join(dir, 'tradies.json') });
+        const cell = tilePolygon(PERTH_METRO_POLYGON, 6000).find(candidate => candidate.id === 'r10c3');
+        const requests = [];
+        discovery.http.send = async ({ body }) => {
+            const request = JSON.parse(body);
+            requests.push(request);
+            // Only the starting cell has more results than its pages hold
+            const dense = JSON.stringify(request.locationRestriction.rectangle) === JSON.stringify(cell.rectangle);
+            return { status: 200, headers: {}, body: JSON.stringify({ places: [], nextPageToken: dense ? 'more' : undefined }) };
+        };
+
+        const stats = await discovery.searchCell(cell, { type: 'electrician', query: 'electrician' });
+
+        assert.ok(requests.every(request => request.textQuery === 'electrician'));
+        // Three pages of the dense cell, then one for each quarter
+        assert.strictEqual(requests.length, 7);
+        assert.deepStrictEqual(requests.slice(0, 3).map(request => request.pageToken), [undefined, 'more', 'more']);
+        assert.deepStrictEqual(Object.keys(discovery.coverage).sort(), [cell.id, `${cell.id}.0`, `${cell.id}.1`, `${cell.id}.2`, `${cell.id}.3`]);
+        assert.strictEqual(discovery.coverage[cell.id].trades.electrician.subdivided, true);
+        assert.strictEqual(discovery.coverage[`${cell.id}.0`].depth, 1);
+        assert.deepStrictEqual(stats, { found: 0, kept: 0, pages: 7, limited: false, failed: false });
+        assert.strictEqual(discovery.apiCallCount, 7);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('refuses to replay without --out', () => {
+    const result = spawnSync('node', [SCRIPT, '--replay'], { cwd: ROOT, encoding: 'utf8' });
+    assert.notStrictEqual(result.status, 0);
+    assert.match(result.stderr, /Replay needs --out/);
+});
+
+test('refuses a monthly budget that is not a dollar amount', () => {
+    const previous = process.env.PLACES_MONTHLY_BUDGET_USD;
+    try {
+        for (const value of ['abc', '$20', '-5', 'NaN']) {
+            process.env.PLACES_MONTHLY_BUDGET_USD = value;
+            assert.throws(() => new LimitedTradieDiscovery(), /PLACES_MONTHLY_BUDGET_USD must be/);
+        }
+
+        process.env.PLACES_MONTHLY_BUDGET_USD = '';
+        assert.strictEqual(new LimitedTradieDiscovery().monthlyBudget, 0);
+        process.env.PLACES_MONTHLY_BUDGET_USD = '12.50';
+        assert.strictEqual(new LimitedTradieDiscovery().monthlyBudget, 12.5);
+    } finally {
+        if (previous === undefined) {
+            delete process.env.PLACES_MONTHLY_BUDGET_USD;
+        } else {
+            process.env.PLACES_MONTHLY_BUDGET_USD = previous;
+        }
+    }
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PERTH_METRO_POLYGON, pointInPolygon, distanceMetres, tilePolygon, subdivideCell } = require('../scripts/geo-grid');
+
+const SQUARE = [[-32, 115], [-32, 116], [-31, 116], [-31, 115]];
+
+test('point in polygon', () => {
+    assert.strictEqual(pointInPolygon([-31.5, 115.5], SQUARE), true);
+    assert.strictEqual(pointInPolygon([-30.5, 115.5], SQUARE), false);
+    // Perth CBD is in the metro outline, Rottnest isn't
+    assert.strictEqual(pointInPolygon([-31.9523, 115.8613], PERTH_METRO_POLYGON), true);
+    assert.strictEqual(pointInPolygon([-32.0, 115.52], PERTH_METRO_POLYGON), false);
+});
+
+test('tiles cover the polygon with cells of the requested radius that do not overlap', () => {
+    const cells = tilePolygon(PERTH_METRO_POLYGON, 6000);
+
+    assert.ok(cells.length > 50 && cells.length < 120, `${cells.length} cells`);
+    assert.ok(cells.every(cell => Math.abs(cell.radius_m - 6000) < 100 && cell.depth === 0));
+    assert.strictEqual(new Set(cells.map(cell => cell.id)).size, cells.length);
+
+    // Every corner of the outline falls in a cell
+    for (const corner of PERTH_METRO_POLYGON) {
+        assert.ok(cells.some(({ rectangle: { low, high } }) =>
+            corner[0] >= low.latitude && corner[0] <= high.latitude && corner[1] >= low.longitude && corner[1] <= high.longitude), `${corner} not covered`);
+    }
+
+    // Neighbouring cells share an edge rather than overlapping
+    const [first, second] = cells.filter(cell => cell.id.startsWith(`${cells[0].id.split('c')[0]}c`));
+    assert.ok(Math.abs(first.rectangle.high.longitude - second.rectangle.low.longitude) < 1e-5);
+});
+
+test('a cell splits into four quarters that tile it exactly', () => {
+    const [cell] = tilePolygon(SQUARE, 6000);
+    const quarters = subdivideCell(cell);
+
+    assert.deepStrictEqual(quarters.map(quarter => quarter.id), ['.0', '.1', '.2', '.3'].map(suffix => `${cell.id}${suffix}`));
+    assert.ok(quarters.every(quarter => quarter.depth === 1 && Math.abs(quarter.radius_m - cell.radius_m / 2) <= 1));
+
+    const lows = quarters.map(quarter => quarter.rectangle.low);
+    const highs = quarters.map(quarter => quarter.rectangle.high);
+    const close = (a, b) => Math.abs(a - b) < 1e-5;
+    assert.ok(close(Math.min(...lows.map(low => low.latitude)), cell.rectangle.low.latitude));
+    assert.ok(close(Math.max(...highs.map(high => high.latitude)), cell.rectangle.high.latitude));
+    assert.ok(close(Math.min(...lows.map(low => low.longitude)), cell.rectangle.low.longitude));
+    assert.ok(close(Math.max(...highs.map(high => high.longitude)), cell.rectangle.high.longitude));
+    const area = ({ low, high }) => (high.latitude - low.latitude) * (high.longitude - low.longitude);
+    assert.ok(close(quarters.reduce((sum, quarter) => sum + area(quarter.rectangle), 0), area(cell.rectangle)));
+});
+
+test('distance between two points', () => {
+    // Perth CBD to Fremantle, about 15km
+    const distance = distanceMetres([-31.9523, 115.8613], [-32.0569, 115.7439]);
+    assert.ok(distance > 14500 && distance < 16500, `${distance}m`);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { HttpClient, TokenBucket, HttpStatusError, HttpTimeoutError, HttpParseError } = require('../scripts/http-client');
+
+// Local server answering each request with the next of `responses`
+// ({ status, body, headers, delayMs }); the last one repeats
+async function serve(t, responses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const response = responses[Math.min(requests.length, responses.length - 1)];
+        requests.push(req.url);
+        setTimeout(() => {
+            res.writeHead(response.status, { 'Content-Type': 'application/json', ...response.headers });
+            res.end(response.body || '{}');
+        }, response.delayMs || 0);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    return { url: `http://127.0.0.1:${server.address().port}/search`, requests };
+}
+
+function client(options = {}) {
+    return new HttpClient({ requestsPerSecond: 1000, burst: 10, baseDelayMs: 1, maxDelayMs: 5, ...options });
+}
+
+// Retries are logged - kept out of the test runner's output
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('retries 429 and 5xx responses until one succeeds', async t => {
+    const server = await serve(t, [{ status: 503 }, { status: 429 }, { status: 200, body: '{"ok":true}' }]);
+    const attempts = [];
+    const httpClient = client({ maxRetries: 3, onAttempt: ({ attempt }) => attempts.push(attempt) });
+
+    assert.deepStrictEqual(await httpClient.getJSON(server.url), { ok: true });
+    assert.strictEqual(server.requests.length, 3);
+    assert.deepStrictEqual(attempts, [0, 1, 2]);
+    assert.deepStrictEqual(httpClient.stats, { requests: 3, retries: 2, failures: 0 });
+});
+
+test('gives up after maxRetries with the last error', async t => {
+    const server = await serve(t, [{ status: 500, body: '{"error":{"message":"Backend error"}}' }]);
+    const httpClient = client({ maxRetries: 2 });
+
+    await assert.rejects(httpClient.getJSON(server.url), error => error instanceof HttpStatusError &&
+        error.status === 500 && error.message === 'HTTP 500: Backend error');
+    assert.strictEqual(server.requests.length, 3);
+    assert.strictEqual(httpClient.stats.failures, 1);
+});
+
+test('does not retry other client errors or unparseable bodies', async t => {
+    const badRequest = await serve(t, [{ status: 400 }]);
+    await assert.rejects(client().getJSON(badRequest.url), { name: 'HttpStatusError', status: 400 });
+    assert.strictEqual(badRequest.requests.length, 1);
+
+    const notJson = await serve(t, [{ status: 200, body: '<html>' }]);
+    await assert.rejects(client().getJSON(notJson.url), error => error instanceof HttpParseError && error.body === '<html>');
+    assert.strictEqual(notJson.requests.length, 1);
+});
+
+test('times out slow responses and retries them', async t => {
+    const server = await serve(t, [{ status: 200, delayMs: 500 }]);
+    const httpClient = client({ timeoutMs: 50, maxRetries: 1 });
+
+    await assert.rejects(httpClient.getJSON(server.url), error => error instanceof HttpTimeoutError && error.timeoutMs === 50);
+    assert.strictEqual(server.requests.length, 2);
+});
+
+test('an onAttempt hook that throws stops the request before it is sent', async t => {
+    const server = await serve(t, [{ status: 503 }]);
+    let allowed = 2;
+    const httpClient = client({
+        maxRetries: 5,
+        onAttempt: () => {
+            if (allowed-- === 0) throw new Error('out of calls');
+        }
+    });
+
+    await assert.rejects(httpClient.getJSON(server.url), /out of calls/);
+    assert.strictEqual(server.requests.length, 2);
+});
+
+test('backs off exponentially with jitter, honouring Retry-After up to maxDelayMs', t => {
+    const httpClient = new HttpClient({ baseDelayMs: 100, maxDelayMs: 1000 });
+    t.mock.method(Math, 'random', () => 0.999);
+
+    assert.deepStrictEqual([0, 1, 2, 3, 4].map(attempt => httpClient.backoffDelay(attempt, {})), [100, 200, 400, 800, 1000]);
+    assert.strictEqual(httpClient.backoffDelay(0, { retryAfterMs: 300 }), 300);
+    assert.strictEqual(httpClient.backoffDelay(0, { retryAfterMs: 60000 }), 1000);
+});
+
+test('reads Retry-After from the response', async t => {
+    const server = await serve(t, [{ status: 429, headers: { 'Retry-After': '7' } }]);
+
+    await assert.rejects(client({ maxRetries: 0 }).getJSON(server.url), error => error.retryAfterMs === 7000 && error.retryable);
+});
+
+test('the token bucket spaces calls out once the burst is used', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 20, burst: 1 });
+    const started = Date.now();
+    await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+
+    // The first token is there already, the other two take 50ms each
+    assert.ok(Date.now() - started >= 90, `took ${Date.now() - started}ms`);
+});
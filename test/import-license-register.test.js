@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LicenseRegisterImporter = require('../scripts/import-license-register');
+const { parseCsv } = require('../scripts/csv');
+
+// Runs print their progress - kept out of the test runner's output
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+test('header punctuation is dropped from column names', () => {
+    const [record] = parseCsv('Licence No.,Licence #,Holder Name,Trading/Business Name, Expiry-Date \nEC1,EC2,A,B,C\n');
+    assert.deepStrictEqual(Object.keys(record), ['licence_no', 'licence_number', 'holder_name', 'trading_business_name', 'expiry_date']);
+});
+
+test('imports extracts whose headers carry punctuation', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-license-register-'));
+    try {
+        const storeFile = path.join(dir, 'license-register.json');
+        fs.writeFileSync(path.join(dir, 'extract-2026-09-30.csv'), [
+            'Licence No.,Licensee,Licence Type,Status,Expiry Date',
+            'EC12345,Sparky Bros Pty Ltd,Electrical Contractor,Current,30/06/2027'
+        ].join('\n'));
+        fs.writeFileSync(path.join(dir, 'extract-2026-10-01.csv'), [
+            'Licence #,Licensee,Licence Type,Status,Expiry Date',
+            'PL6789,Drain Kings,Plumbing Contractor,Current,31/12/2027'
+        ].join('\n'));
+
+        new LicenseRegisterImporter({ storeFile }).importFiles([
+            path.join(dir, 'extract-2026-09-30.csv'),
+            path.join(dir, 'extract-2026-10-01.csv')
+        ]);
+
+        const { entries } = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+        assert.deepStrictEqual(entries.map(entry => [entry.license_number, entry.holder_name]).sort(), [
+            ['EC12345', 'Sparky Bros Pty Ltd'],
+            ['PL6789', 'Drain Kings']
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LicenseVerificationCache = require('../scripts/license-verification-cache');
+const WALicenseVerifier = require('../scripts/verify-licenses');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SPARKY = { google_place_id: 'place-1', business_name: 'Sparky Bros', trade_type: 'electrician', phone: '08 9000 0000', address: '1 Hay St, Perth WA 6000' };
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'license-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+// A register holding one current licence for Sparky Bros; counts searches
+function register() {
+    const source = {
+        name: 'test_register',
+        searches: 0,
+        search: async () => {
+            source.searches++;
+            return [{ license_number: 'EC12345', license_class: 'Electrical Contractor', holder_name: 'SPARKY BROS PTY LTD', status: 'Current', expiry_date: '30/06/2030', source: 'test_register' }];
+        }
+    };
+    return source;
+}
+
+// One verification run over `tradie` in `dir`, sharing the cache between runs
+async function run(dir, tradie, licenseSource, options = {}) {
+    const tradiesFile = path.join(dir, 'tradies.json');
+    fs.writeFileSync(tradiesFile, JSON.stringify({ tradies: [tradie] }, null, 2));
+    const verifier = new WALicenseVerifier({ tradiesFile, licenseSource, notifier: null, ...options });
+    await verifier.verifyAllLicenses();
+    return JSON.parse(fs.readFileSync(tradiesFile, 'utf8')).tradies[0];
+}
+
+function backdateCache(dir, days) {
+    const file = path.join(dir, 'license-cache.json');
+    const cache = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const entry of Object.values(cache.entries)) {
+        entry.result.license_verified_date = daysAgo(days);
+    }
+    fs.writeFileSync(file, JSON.stringify(cache, null, 2));
+}
+
+// The verifier logs every lookup - kept out of the test runner's output
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('an entry is reused until it expires, the record changes or a newer extract arrives', t => {
+    const cache = new LicenseVerificationCache(path.join(tempDir(t), 'license-cache.json'), { ttlDays: 30 });
+    assert.strictEqual(cache.staleReason('place-1', SPARKY, null), 'new');
+
+    cache.set('place-1', { ...SPARKY, licensed: true, license_number: 'EC12345', license_verified_date: daysAgo(29) }, '2026-09-01');
+    assert.strictEqual(cache.staleReason('place-1', SPARKY, '2026-09-01'), null);
+    assert.strictEqual(cache.staleReason('place-1', { ...SPARKY, phone: '08 9999 9999' }, '2026-09-01'), 'changed');
+    assert.strictEqual(cache.staleReason('place-1', { ...SPARKY, business_name: ' SPARKY BROS ' }, '2026-09-01'), null);
+    assert.strictEqual(cache.staleReason('place-1', SPARKY, '2026-10-01'), 'newer extract');
+
+    cache.entries['place-1'].result.license_verified_date = daysAgo(31);
+    assert.strictEqual(cache.staleReason('place-1', SPARKY, '2026-09-01'), 'expired');
+});
+
+test('only the licence fields are cached, and they survive a save', t => {
+    const file = path.join(tempDir(t), 'license-cache.json');
+    const cache = new LicenseVerificationCache(file);
+    cache.set('place-1', { ...SPARKY, licensed: true, license_number: 'EC12345', license_verified_date: daysAgo(0) });
+    cache.save();
+
+    const reloaded = new LicenseVerificationCache(file);
+    assert.deepStrictEqual(Object.keys(reloaded.get('place-1')).sort(), ['license_number', 'license_verified_date', 'licensed']);
+    assert.strictEqual(reloaded.staleReason('place-1', SPARKY, null), null);
+});
+
+test('the verifier re-checks the register only once a cached result goes stale', async t => {
+    const dir = tempDir(t);
+    const source = register();
+
+    const first = await run(dir, SPARKY, source);
+    assert.strictEqual(first.license_number, 'EC12345');
+    assert.strictEqual(source.searches, 1);
+
+    // Discovery re-created the record without its licence fields
+    const cached = await run(dir, SPARKY, source);
+    assert.strictEqual(source.searches, 1);
+    assert.strictEqual(cached.licensed, true);
+    assert.strictEqual(cached.license_verified_date, first.license_verified_date);
+
+    backdateCache(dir, 31);
+    await run(dir, SPARKY, source);
+    assert.strictEqual(source.searches, 2);
+
+    await run(dir, { ...SPARKY, address: '9 Hay St, Perth WA 6000' }, source);
+    assert.strictEqual(source.searches, 3);
+
+    await run(dir, { ...SPARKY, address: '9 Hay St, Perth WA 6000' }, source, { cacheTtlDays: 60 });
+    assert.strictEqual(source.searches, 3);
+});
+
+test('forced tradies are re-checked however fresh their cached result', async t => {
+    const dir = tempDir(t);
+    const source = register();
+    await run(dir, SPARKY, source);
+
+    for (const force of [{ all: true }, { names: ['sparky bros'] }, { names: ['place-1'] }, { categories: ['electrician'] }]) {
+        await run(dir, SPARKY, source, { force });
+    }
+    await run(dir, SPARKY, source, { force: { names: ['Someone Else'], categories: ['plumber'] } });
+
+    assert.strictEqual(source.searches, 5);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LicenseVerificationReport, LATEST_HTML, PUBLIC_HTML } = require('../scripts/license-verification-report');
+
+const RECENT = new Date().toISOString().slice(0, 10);
+
+const TRADIES = [
+    {
+        business_name: 'Flagged Electrical', trade_type: 'electrician', address: '1 Hay St, Perth WA 6000', phone: '08 9000 0001',
+        licensed: true, license_status: 'Current', license_number: 'EC11111', license_holder_name: 'Jane Citizen',
+        regulatory_actions: [{ type: 'disciplinary', date: RECENT, outcome: 'Reprimand', url: 'https://example.com/notice-1', matched_by: 'license_number' }]
+    },
+    {
+        business_name: 'Prosecuted Plumbing', trade_type: 'plumber', address: '2 Hay St, Perth WA 6000', phone: '08 9000 0002',
+        licensed: false, license_status: 'Current', license_number: 'PL22222',
+        regulatory_actions: [{ type: 'prosecution', date: RECENT, outcome: 'Fined $20,000', url: 'https://example.com/notice-2', matched_by: 'license_number' }]
+    },
+    {
+        business_name: 'Maybe Gas', trade_type: 'gas_fitter', address: '3 Hay St, Perth WA 6000', phone: '08 9000 0003',
+        licensed: false, license_status: 'needs_review', license_match_confidence: 0.6,
+        license_match_alternatives: [{ license_number: 'GF33333', holder_name: 'John Candidate', confidence: 0.6 }]
+    },
+    {
+        business_name: 'Closed Electrical', trade_type: 'electrician', address: '4 Hay St, Perth WA 6000', business_status: 'CLOSED_PERMANENTLY',
+        licensed: true, license_status: 'Current', license_number: 'EC44444',
+        regulatory_actions: [{ type: 'infringement', date: RECENT, outcome: 'Fined $500', matched_by: 'license_number' }]
+    }
+];
+
+test('the public report only counts and lists what the site publishes', () => {
+    const report = new LicenseVerificationReport(TRADIES).toPublicJSON();
+
+    assert.deepStrictEqual(report.regulatoryActions, [{
+        name: 'Flagged Electrical',
+        trade: 'electrician',
+        suburb: 'Perth',
+        actions: [{ type: 'disciplinary', date: RECENT, offence: null, outcome: 'Reprimand', url: 'https://example.com/notice-1' }]
+    }]);
+    assert.deepStrictEqual(report.summary, { total: 2, licensed: 1, rate: 50 });
+    assert.deepStrictEqual(Object.keys(report.byTrade), ['electrician', 'gas_fitter']);
+    assert.deepStrictEqual(Object.keys(report).sort(), ['bySuburb', 'byTrade', 'generatedAt', 'regulatoryActions', 'sincePrevious', 'summary']);
+});
+
+test('saves the public copy next to the full report without the private details', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'license-report-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    new LicenseVerificationReport(TRADIES).save(dir);
+
+    const full = fs.readFileSync(path.join(dir, LATEST_HTML), 'utf8');
+    assert.match(full, /Prosecuted Plumbing/);
+    assert.match(full, /John Candidate/);
+
+    const published = fs.readFileSync(path.join(dir, PUBLIC_HTML), 'utf8');
+    assert.match(published, /Flagged Electrical/);
+    for (const secret of ['Prosecuted Plumbing', 'Closed Electrical', 'Maybe Gas', 'John Candidate', 'Jane Citizen', '08 9000']) {
+        assert.ok(!published.includes(secret), `public report mentions ${secret}`);
+    }
+});
+
+test('links a licence or candidate only to its own register page', () => {
+    const report = new LicenseVerificationReport([
+        { business_name: 'Linked Electrical', trade_type: 'electrician', licensed: true, license_status: 'Current', license_number: 'EC11111', license_detail_url: 'https://example.com/EC11111' },
+        { business_name: 'Unlinked Electrical', trade_type: 'electrician', licensed: true, license_status: 'Current', license_number: 'EC22222', license_detail_url: null },
+        {
+            business_name: 'Maybe Gas', trade_type: 'gas_fitter', licensed: false, license_status: 'needs_review',
+            license_match_alternatives: [
+                { license_number: 'GF33333', holder_name: 'Candidate One', confidence: 0.6, detail_url: 'https://example.com/GF33333' },
+                { license_number: 'GF44444', holder_name: 'Candidate Two', confidence: 0.5, detail_url: null }
+            ]
+        }
+    ]).toJSON();
+
+    assert.deepStrictEqual(report.licences.map(entry => entry.register_url), ['https://example.com/EC11111', undefined]);
+    assert.deepStrictEqual(report.lowConfidence[0].candidates.map(candidate => candidate.register_url), ['https://example.com/GF33333', undefined]);
+    assert.ok(!('register_url' in JSON.parse(JSON.stringify(report)).licences[1]));
+});
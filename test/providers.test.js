@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DiscoveryProvider = require('../scripts/providers/discovery-provider');
+const FileImportProvider = require('../scripts/providers/file-import-provider');
+const { GooglePlacesProvider, CsvFileProvider, JsonFileProvider, createFileProvider } = require('../scripts/providers');
+
+function tempFile(t, name, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+test('providers that skip a required method fail loudly', () => {
+    assert.throws(() => new DiscoveryProvider('bare').toPlaceData({}), /bare provider must implement toPlaceData\(\)/);
+    assert.throws(() => new FileImportProvider('half', 'list.txt').readRecords(''), /half provider must implement readRecords\(\)/);
+});
+
+test('Google Places requests carry the key, field mask, cell and page token', async () => {
+    const calls = [];
+    const http = {
+        async postJSON(url, body, headers) {
+            calls.push({ url, body, headers });
+            return { places: [{ id: 'p1' }], nextPageToken: 'next' };
+        }
+    };
+    const provider = new GooglePlacesProvider({ apiKey: 'key', http, fieldMask: 'places.id', pageSize: 20 });
+    const rectangle = { low: { latitude: -32, longitude: 115.8 }, high: { latitude: -31.9, longitude: 115.9 } };
+
+    const page = await provider.fetchPage({ textQuery: 'electrician in Perth', cell: { rectangle }, pageToken: 'first' });
+
+    assert.deepStrictEqual(page, { places: [{ id: 'p1' }], nextPageToken: 'next' });
+    assert.deepStrictEqual(calls[0].body, {
+        textQuery: 'electrician in Perth',
+        pageSize: 20,
+        languageCode: 'en',
+        locationRestriction: { rectangle },
+        pageToken: 'first'
+    });
+    assert.deepStrictEqual(calls[0].headers, { 'X-Goog-Api-Key': 'key', 'X-Goog-FieldMask': 'places.id' });
+});
+
+test('Google Places results map onto the flat place record', () => {
+    const provider = new GooglePlacesProvider({ http: null });
+    const place = provider.toPlaceData({
+        id: 'p1',
+        displayName: { text: 'Bright Sparks' },
+        formattedAddress: '1 Hay St, Perth WA 6000, Australia',
+        nationalPhoneNumber: '08 9000 0000',
+        rating: 4.8,
+        userRatingCount: 12,
+        types: ['electrician'],
+        location: { latitude: -31.95, longitude: 115.86 },
+        regularOpeningHours: {
+            weekdayDescriptions: ['Monday: 7:00 AM – 5:00 PM'],
+            periods: [{ open: { day: 1, hour: 7, minute: 0 }, close: { day: 1, hour: 17, minute: 0 } }]
+        }
+    });
+
+    assert.strictEqual(place.google_place_id, 'p1');
+    assert.strictEqual(place.business_name, 'Bright Sparks');
+    assert.strictEqual(place.business_status, 'OPERATIONAL');
+    assert.deepStrictEqual(place.location, { latitude: -31.95, longitude: 115.86 });
+    assert.deepStrictEqual(place.opening_hours.periods[0].close, { day: 1, hour: 17, minute: 0 });
+    assert.strictEqual(provider.toPlaceData({ id: 'p2' }).business_name, 'Unknown Business');
+});
+
+test('CSV imports accept the column names people actually use', t => {
+    const file = tempFile(t, 'members.csv', [
+        'Business Name,Suburb,Phone Number,Trade Type,Licence Number',
+        'Fremantle Plumbing,Fremantle,08 9111 1111,Plumbing,PL1234',
+        'Gas Co,,,gasfitter,'
+    ].join('\n'));
+
+    const provider = createFileProvider(file);
+    assert.ok(provider instanceof CsvFileProvider);
+
+    const places = provider.load().map(record => provider.toPlaceData(record));
+    assert.strictEqual(places.length, 2);
+    assert.deepStrictEqual(
+        [places[0].business_name, places[0].address, places[0].phone, places[0].declared_trade, places[0].declared_license_number, places[0].source_ref],
+        ['Fremantle Plumbing', 'Fremantle WA', '08 9111 1111', 'plumber', 'PL1234', 'members.csv']
+    );
+    assert.strictEqual(places[1].declared_trade, 'gas_fitter');
+    assert.strictEqual(places[1].address, undefined);
+});
+
+test('JSON imports read a bare array or a suggestions list', t => {
+    const list = [{ name: 'Sparky Steve', address: '2 Rokeby Rd, Subiaco WA 6008', trade: 'sparky', reviews: '7' }];
+    const bare = createFileProvider(tempFile(t, 'list.JSON', JSON.stringify(list)));
+    const wrapped = createFileProvider(tempFile(t, 'suggestions.json', JSON.stringify({ suggestions: list })));
+
+    assert.ok(bare instanceof JsonFileProvider);
+    for (const provider of [bare, wrapped]) {
+        const [place] = provider.load().map(record => provider.toPlaceData(record));
+        assert.strictEqual(place.business_name, 'Sparky Steve');
+        assert.strictEqual(place.declared_trade, 'electrician');
+        assert.strictEqual(place.review_count, 7);
+    }
+
+    const odd = createFileProvider(tempFile(t, 'odd.json', JSON.stringify({ people: list })));
+    assert.throws(() => odd.load(), /odd\.json: expected an array/);
+});
+
+test('unknown file types and missing files are reported', t => {
+    assert.throws(() => createFileProvider('tradies.xlsx'), /Don't know how to import tradies\.xlsx \(supported: \.csv, \.json\)/);
+    assert.throws(() => createFileProvider(path.join(os.tmpdir(), 'no-such-list.csv')).load(), /Import file not found/);
+});
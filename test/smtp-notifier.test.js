@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SmtpNotifier } = require('../scripts/smtp-notifier');
+const { createSmtpSink } = require('../scripts/smtp-sink');
+const WALicenseVerifier = require('../scripts/verify-licenses');
+
+// Starts a sink in a temp dir; resolves { port, messages, close }
+function startSink(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smtp-sink-'));
+    const messages = [];
+    const sink = createSmtpSink(dir, message => messages.push(message));
+    t.after(() => {
+        sink.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return new Promise(resolve => sink.listen(0, '127.0.0.1', () => resolve({ port: sink.address().port, messages })));
+}
+
+function notifierFor(port) {
+    return SmtpNotifier.fromEnv({
+        LICENSE_ALERT_SMTP_HOST: '127.0.0.1',
+        LICENSE_ALERT_SMTP_PORT: String(port),
+        LICENSE_ALERT_SMTP_USER: 'alerts',
+        LICENSE_ALERT_SMTP_PASS: 'secret',
+        LICENSE_ALERT_FROM: 'alerts@trustedtrades.example',
+        LICENSE_ALERT_RECIPIENTS: 'owner@example.com, ops@example.com'
+    });
+}
+
+// Runs print their progress - kept out of the test runner's output
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('delivers a message to the sink with headers and a dot-stuffed body intact', async t => {
+    const { port, messages } = await startSink(t);
+
+    await notifierFor(port).send({ subject: 'Licence changes', text: 'First line\n.starts with a dot\nLast line' });
+
+    assert.strictEqual(messages.length, 1);
+    const [message] = messages;
+    assert.strictEqual(message.from, 'alerts@trustedtrades.example');
+    assert.deepStrictEqual(message.to, ['owner@example.com', 'ops@example.com']);
+    assert.match(message.message, /^Subject: Licence changes\r$/m);
+    assert.match(message.message, /\r\n\r\nFirst line\r\n\.starts with a dot\r\nLast line$/);
+    assert.strictEqual(fs.readFileSync(message.file, 'utf8'), message.message);
+});
+
+test('emails the change report when a licence lapses between runs', async t => {
+    const { port, messages } = await startSink(t);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'license-alerts-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const tradiesFile = path.join(dir, 'tradies.json');
+    fs.writeFileSync(tradiesFile, JSON.stringify({
+        tradies: [{ google_place_id: 'place-1', business_name: 'Sparky Bros', trade_type: 'electrician' }]
+    }, null, 2));
+
+    let status = 'Current';
+    const licenseSource = {
+        name: 'test_register',
+        search: async () => [{ license_number: 'EC12345', license_class: 'Electrical Contractor', holder_name: 'SPARKY BROS PTY LTD', status, expiry_date: '30/06/2027', source: 'test_register' }]
+    };
+    const run = () => new WALicenseVerifier({ tradiesFile, licenseSource, notifier: notifierFor(port), force: { all: true } }).verifyAllLicenses();
+
+    await run();
+    assert.strictEqual(messages.length, 0);
+
+    status = 'Cancelled';
+    await run();
+
+    assert.strictEqual(messages.length, 1);
+    assert.match(messages[0].message, /^Subject: .*lapsed/im);
+    assert.match(messages[0].message, /Sparky Bros/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateRenderer, TemplateError } = require('../scripts/template-renderer');
+
+// A templates dir with `pages` and `partials` ({ name: html }) written into it
+function renderer(t, { pages = {}, partials = {} }) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const [kind, files] of Object.entries({ pages, partials })) {
+        fs.mkdirSync(path.join(dir, kind));
+        for (const [name, html] of Object.entries(files)) {
+            fs.writeFileSync(path.join(dir, kind, kind === 'partials' ? `${name}.html` : name), html);
+        }
+    }
+    return new TemplateRenderer(dir);
+}
+
+test('escapes slot values, but not raw ones', t => {
+    const templates = renderer(t, { pages: { 'page.html': '<h1>{{title}}</h1>{{{markup}}}<p>{{tradie.name}}</p>' } });
+    const html = templates.renderPage('page.html', {
+        title: '<script>alert("x")</script> & \'more\'',
+        markup: '<em>built</em>',
+        tradie: { name: 'Joe\'s Plumbing & Gas' }
+    });
+
+    assert.strictEqual(html, '<h1>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;more&#39;</h1><em>built</em><p>Joe&#39;s Plumbing &amp; Gas</p>');
+});
+
+test('json slots cannot close the script block they sit in', t => {
+    const templates = renderer(t, { pages: { 'page.html': '<script>const data = {{json data}};</script>' } });
+    const html = templates.renderPage('page.html', { data: { description: '</script><script>alert(1)</script>' } });
+
+    assert.strictEqual(html.match(/<\/script>/g).length, 1);
+    const json = html.slice('<script>const data = '.length, -';</script>'.length);
+    assert.deepStrictEqual(JSON.parse(json), { description: '</script><script>alert(1)</script>' });
+});
+
+test('null renders as empty, a missing slot fails the render', t => {
+    const templates = renderer(t, { pages: { 'page.html': '<p>{{present}}{{absent}}{{{alsoAbsent}}}</p>' } });
+
+    assert.strictEqual(renderer(t, { pages: { 'page.html': '<p>{{value}}</p>' } }).renderPage('page.html', { value: null }), '<p></p>');
+    assert.throws(() => templates.renderPage('page.html', { present: 'here' }), {
+        name: 'TemplateError',
+        template: 'page.html',
+        problems: ['no value for slot absent', 'no value for slot alsoAbsent']
+    });
+});
+
+test('partials share the page slots and report problems by partial', t => {
+    const templates = renderer(t, {
+        pages: { 'page.html': '<body>\n    {{> header}}\n</body>', 'broken.html': '{{> header}}{{> nowhere}}' },
+        partials: { header: '<header>{{title}}</header>\n\n' }
+    });
+
+    assert.strictEqual(templates.renderPage('page.html', { title: 'Home' }), '<body>\n    <header>Home</header>\n</body>');
+    assert.throws(() => templates.renderPage('broken.html', {}), error =>
+        error.problems.includes('no value for slot title (in partial header)') && error.problems.includes('partial nowhere not found'));
+});
+
+test('a partial that includes itself fails instead of recursing forever', t => {
+    const templates = renderer(t, {
+        pages: { 'page.html': '{{> outer}}' },
+        partials: { outer: '<div>{{> inner}}</div>', inner: '<span>{{> outer}}</span>' }
+    });
+
+    assert.throws(() => templates.renderPage('page.html', {}), error =>
+        error instanceof TemplateError && error.problems.includes('partial outer includes itself'));
+});
+
+test('a missing page template fails', t => {
+    assert.throws(() => renderer(t, {}).renderPage('nope.html', {}), /nope\.html: template not found/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TradieClassifier = require('../scripts/tradie-classifier');
+const DEFAULT_RULES = require('../scripts/classification-rules');
+
+const classifier = new TradieClassifier();
+const PERTH = '1 Hay St, Perth WA 6000, Australia';
+
+test('accepts a place whose types and name agree with the search', () => {
+    const result = classifier.classify({ business_name: 'Sparky Bros Electrical', google_types: ['electrician'], primary_type: 'electrician', address: PERTH }, 'electrician');
+
+    assert.strictEqual(result.accepted, true);
+    assert.strictEqual(result.trade, 'electrician');
+    assert.strictEqual(result.confidence, 1);
+    // Only the strongest name keyword counts
+    assert.deepStrictEqual(result.reasons.filter(reason => reason.startsWith('name keyword')), ['name keyword "electrical" +30']);
+});
+
+test('rejects excluded names and addresses outside WA outright', () => {
+    const wholesaler = classifier.classify({ business_name: 'Perth Electrical Wholesale', google_types: ['electrician'], address: PERTH }, 'electrician');
+    assert.deepStrictEqual([wholesaler.accepted, wholesaler.review, wholesaler.trade], [false, false, null]);
+    assert.deepStrictEqual(wholesaler.reasons, ['rejected: name contains excluded keyword "wholesale"']);
+
+    const sydney = classifier.classify({ business_name: 'Sydney Plumbing', google_types: ['plumber'], address: '1 George St, Sydney NSW 2000' }, 'plumber');
+    assert.strictEqual(sydney.accepted, false);
+    assert.match(sydney.reasons[0], /address outside region/);
+});
+
+test('sends weak matches to review and drops the rest', () => {
+    const hotWater = classifier.classify({ business_name: 'Hot Water Now', google_types: [], address: PERTH }, 'plumber');
+    assert.deepStrictEqual([hotWater.accepted, hotWater.review, hotWater.trade, hotWater.scores.plumber], [false, true, 'plumber', 30]);
+
+    const cafe = classifier.classify({ business_name: 'Corner Cafe', google_types: ['cafe'], address: PERTH }, 'plumber');
+    assert.deepStrictEqual([cafe.accepted, cafe.review, cafe.trade], [false, false, null]);
+});
+
+test('store names and types cost points', () => {
+    const result = classifier.classify({ business_name: 'Sparky Supplies', google_types: ['electrician', 'store'], address: PERTH }, 'electrician');
+
+    assert.strictEqual(result.scores.electrician, 25);
+    assert.strictEqual(result.review, true);
+    assert.ok(result.reasons.includes('negative keyword "supplies" -40'));
+    assert.ok(result.reasons.includes('negative google type "store" -25'));
+});
+
+test('reclassifies a place that fits another trade better than the one searched', () => {
+    const result = classifier.classify({ business_name: 'Metro Gas Fitting', google_types: ['plumber'], address: PERTH }, 'plumber');
+
+    assert.strictEqual(result.trade, 'gas_fitter');
+    assert.strictEqual(result.accepted, true);
+    assert.deepStrictEqual([result.scores.gas_fitter, result.scores.plumber], [70, 60]);
+    assert.ok(result.reasons.includes('reclassified from searched trade "plumber"'));
+});
+
+test('a declared trade from an import counts without a search', () => {
+    const result = classifier.classify({ business_name: 'J Smith', declared_trade: 'plumber', address: PERTH });
+
+    assert.deepStrictEqual([result.trade, result.scores.plumber, result.review], ['plumber', 40, true]);
+});
+
+test('keywords match at the start of a word', () => {
+    assert.strictEqual(classifier.matchesKeyword('Gasfitting Co', 'gas'), true);
+    assert.strictEqual(classifier.matchesKeyword('Vegas Motors', 'gas'), false);
+    assert.strictEqual(classifier.matchesKeyword('Joe\'s Plumbing', 'plumb'), true);
+});
+
+test('uses the rules it is given', () => {
+    const strict = new TradieClassifier({ ...DEFAULT_RULES, ACCEPT_SCORE: 101 });
+    const result = strict.classify({ business_name: 'Sparky Bros Electrical', google_types: ['electrician'], address: PERTH }, 'electrician');
+
+    assert.strictEqual(result.accepted, false);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TradieProfilePages } = require('../scripts/tradie-pages');
+
+const pages = new TradieProfilePages(null);
+const VERIFIED = '2026-01-01T00:00:00.000Z';
+
+test('shows the licence number and register link for a licensed or lapsed tradie', () => {
+    const licensed = pages.licence({ licensed: true, licenseNumber: 'EC12345', licenseClass: 'Electrical contractor', licenseRegisterUrl: 'https://example.com/EC12345', licenseVerifiedDate: VERIFIED });
+    assert.strictEqual(licensed.summary, 'Electrical contractor EC12345');
+    assert.match(licensed.registerLink, /href="https:\/\/example\.com\/EC12345"/);
+
+    const lapsed = pages.licence({ licensed: false, licenseNumber: 'EC12345', licenseFlag: { status: 'Expired', since: '2026-01-01' }, licenseVerifiedDate: VERIFIED });
+    assert.match(lapsed.summary, /EC12345 - Expired since 2026-01-01/);
+    assert.match(lapsed.registerLink, /Search the WA licence register/);
+});
+
+test('keeps the licence number and register link off other profiles', () => {
+    const worker = pages.licence({ licensed: false, licenseNumber: 'EW54321', licenseClass: 'Electrical worker', licenseRegisterUrl: 'https://example.com/EW54321', licenseVerifiedDate: VERIFIED });
+    assert.doesNotMatch(worker.summary, /EW54321/);
+    assert.strictEqual(worker.registerLink, '');
+
+    const unchecked = pages.licence({ licensed: false, licenseNumber: null });
+    assert.match(unchecked.summary, /^Not yet checked/);
+    assert.strictEqual(unchecked.registerLink, '');
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebsiteUpdater = require('../scripts/update-website');
+const AbnVerifier = require('../scripts/verify-abn');
+const { AbnRegisterStore } = require('../scripts/abn-sources/abn-register-store');
+const LocalAbnSource = require('../scripts/abn-sources/local-abn-source');
+
+function withDataDir(tradies, run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'update-website-'));
+    fs.writeFileSync(path.join(dir, 'tradies.json'), JSON.stringify({ tradies }, null, 2));
+    const read = file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    return Promise.resolve(run(dir, read)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+// Runs print their progress - kept out of the test runner's output
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('permanently closed businesses stay in the raw store but are not published', () => withDataDir([
+    { google_place_id: 'open-1', business_name: 'Open Electrical', trade_type: 'electrician', address: '1 Hay St, Perth WA 6000', phone: '08 9000 0001', business_status: 'OPERATIONAL' },
+    { google_place_id: 'closed-1', business_name: 'Closed Plumbing', trade_type: 'plumber', address: '2 Hay St, Perth WA 6000', phone: '08 9000 0002', business_status: 'CLOSED_PERMANENTLY' }
+], async (dir, read) => {
+    const raw = fs.readFileSync(path.join(dir, 'tradies.json'), 'utf8');
+    await new WebsiteUpdater({ dataDir: dir }).updateWebsite();
+
+    assert.deepStrictEqual(read('published-tradies.json').tradies.map(tradie => tradie.name), ['Open Electrical']);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'tradies.json'), 'utf8'), raw);
+}));
+
+test('tradies the regulatory rule hides stay in the raw store but are not published', () => withDataDir([
+    { google_place_id: 'p-1', business_name: 'Clean Electrical', trade_type: 'electrician', address: '1 Hay St, Perth WA 6000', phone: '08 9000 0001' },
+    { google_place_id: 'p-2', business_name: 'Prosecuted Plumbing', trade_type: 'plumber', address: '2 Hay St, Perth WA 6000', phone: '08 9000 0002',
+        regulatory_actions: [{ type: 'prosecution', date: new Date().toISOString().slice(0, 10), matched_by: 'license_number' }] }
+], async (dir, read) => {
+    const raw = fs.readFileSync(path.join(dir, 'tradies.json'), 'utf8');
+    await new WebsiteUpdater({ dataDir: dir }).updateWebsite();
+
+    assert.deepStrictEqual(read('published-tradies.json').tradies.map(tradie => tradie.name), ['Clean Electrical']);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'tradies.json'), 'utf8'), raw);
+}));
+
+test('a verified record publishes license_number as the register left it', () => withDataDir([
+    { google_place_id: 'p-1', business_name: 'Matched Electrical', trade_type: 'electrician', license_status: 'Current', licensed: true, license_number: 'EC12345', licenseNumber: 'EC99999' },
+    { google_place_id: 'p-2', business_name: 'Unmatched Electrical', trade_type: 'electrician', license_status: 'not_found', licensed: false, license_number: null, licenseNumber: 'EC88888', licenseRegisterUrl: 'https://example.com/old' },
+    { google_place_id: 'p-3', business_name: 'Legacy Electrical', trade_type: 'electrician', licensed: false, licenseNumber: 'EC77777' }
+], async (dir, read) => {
+    await new WebsiteUpdater({ dataDir: dir }).updateWebsite();
+
+    const byName = Object.fromEntries(read('published-tradies.json').tradies.map(tradie => [tradie.name, tradie]));
+    assert.strictEqual(byName['Matched Electrical'].licenseNumber, 'EC12345');
+    assert.strictEqual(byName['Unmatched Electrical'].licenseNumber, null);
+    assert.strictEqual(byName['Unmatched Electrical'].licenseRegisterUrl, undefined);
+    assert.strictEqual(byName['Legacy Electrical'].licenseNumber, 'EC77777');
+}));
+
+test('ABN results stay in the raw store and their status and mismatch flag are published', () => withDataDir([
+    { google_place_id: 'p-1', business_name: 'Response Electricians', trade_type: 'electrician', address: '45 St Georges Terrace, Perth WA 6000', license_holder_name: 'Response Electrical Services Pty Ltd' },
+    { google_place_id: 'p-2', business_name: 'Westline Electricians Perth', trade_type: 'electrician', address: '1 Hay St, Perth WA 6000', license_holder_name: 'Somebody Else Entirely Pty Ltd' }
+], async (dir, read) => {
+    const store = new AbnRegisterStore(path.join(__dirname, '..', 'fixtures', 'abn', 'abn-stub.json')).load();
+    await new AbnVerifier({ tradiesFile: path.join(dir, 'tradies.json'), abnSource: new LocalAbnSource({ store, name: 'abn_stub' }) }).verifyAll();
+    await new WebsiteUpdater({ dataDir: dir }).updateWebsite();
+
+    const [raw] = read('tradies.json').tradies;
+    assert.strictEqual(raw.abn, '51824753556');
+    assert.strictEqual(raw.abn_legal_name, 'Response Electrical Services Pty Ltd');
+
+    const [matching, mismatched] = read('published-tradies.json').tradies;
+    assert.strictEqual(matching.abnStatus, 'Active');
+    assert.strictEqual(matching.abnHolderMismatch, false);
+    assert.strictEqual(mismatched.abnHolderMismatch, true);
+}));
+
+test('a published slug survives a rename and a new business of the same name in the suburb', () => withDataDir([
+    { google_place_id: 'first', business_name: 'Sparky Bros', trade_type: 'electrician', address: '1 Hay St, Perth WA 6000', phone: '08 9000 0001' }
+], async (dir, read) => {
+    await new WebsiteUpdater({ dataDir: dir }).updateWebsite();
+    assert.deepStrictEqual(read('published-tradies.json').tradies.map(tradie => tradie.slug), ['sparky-bros-perth']);
+
+    fs.writeFileSync(path.join(dir, 'tradies.json'), JSON.stringify({ tradies: [
+        { google_place_id: 'second', business_name: 'Sparky Bros', trade_type: 'electrician', address: '9 Murray St, Perth WA 6000', phone: '08 9000 0009' },
+        { google_place_id: 'first', business_name: 'Sparky Brothers Electrical', trade_type: 'electrician', address: '1 Hay St, Perth WA 6000', phone: '08 9000 0001' }
+    ] }));
+    await new WebsiteUpdater({ dataDir: dir }).updateWebsite();
+
+    const bySlug = Object.fromEntries(read('published-tradies.json').tradies.map(tradie => [tradie.google_place_id, tradie.slug]));
+    assert.strictEqual(bySlug.first, 'sparky-bros-perth');
+    assert.match(bySlug.second, /^sparky-bros-perth-[0-9a-f]{6}$/);
+    assert.deepStrictEqual(read('tradie-slugs.json').slugs, bySlug);
+}));
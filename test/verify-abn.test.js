@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AbnVerifier = require('../scripts/verify-abn');
+const { AbnRegisterStore } = require('../scripts/abn-sources/abn-register-store');
+const LocalAbnSource = require('../scripts/abn-sources/local-abn-source');
+
+const STUB_FILE = path.join(__dirname, '..', 'fixtures', 'abn', 'abn-stub.json');
+
+// Runs the verifier over `tradies` against the ABN stub in a temp data dir
+async function verify(t, tradies) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-abn-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const tradiesFile = path.join(dir, 'tradies.json');
+    fs.writeFileSync(tradiesFile, JSON.stringify({ tradies }, null, 2));
+    const store = new AbnRegisterStore(STUB_FILE).load();
+    const verifier = new AbnVerifier({ tradiesFile, abnSource: new LocalAbnSource({ store, name: 'abn_stub' }) });
+    await verifier.verifyAll();
+
+    return {
+        tradies: JSON.parse(fs.readFileSync(tradiesFile, 'utf8')).tradies,
+        reviews: JSON.parse(fs.readFileSync(path.join(dir, 'abn-review.json'), 'utf8')).tradies
+    };
+}
+
+// The verifier logs every lookup - kept out of the test runner's output
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('finds a tradie\'s ABN by trading name and postcode', async t => {
+    const { tradies: [tradie] } = await verify(t, [
+        { business_name: 'Response Electricians', address: '12 Murray St, Perth WA 6000' }
+    ]);
+
+    assert.strictEqual(tradie.abn_status, 'found');
+    assert.strictEqual(tradie.abn, '51824753556');
+    assert.strictEqual(tradie.abn_legal_name, 'Response Electrical Services Pty Ltd');
+    assert.strictEqual(tradie.abn_gst_registered, true);
+    assert.strictEqual(tradie.abn_source, 'abn_stub');
+    assert.strictEqual(tradie.abn_match_confidence, 1);
+    assert.strictEqual(tradie.abn_holder_mismatch, null);
+});
+
+test('records not_found when no entity scores high enough', async t => {
+    const { tradies: [tradie], reviews } = await verify(t, [
+        { business_name: 'Nobody Sparks Here', address: '2 Hay St, Perth WA 6000' }
+    ]);
+
+    assert.strictEqual(tradie.abn_status, 'not_found');
+    assert.strictEqual(tradie.abn, null);
+    assert.strictEqual(tradie.abn_verified, true);
+    assert.deepStrictEqual(reviews, []);
+});
+
+test('flags a licence holder the ABN\'s legal name doesn\'t agree with', async t => {
+    const { tradies: [agrees, differs], reviews } = await verify(t, [
+        { business_name: 'Mactec Electrical', address: 'Wangara WA 6065', license_holder_name: 'MACTEC HOLDINGS PTY LTD' },
+        { business_name: 'Mactec Electrical', address: 'Wangara WA 6065', license_holder_name: 'BRIGHTWIRE SERVICES PTY LTD' }
+    ]);
+
+    assert.strictEqual(agrees.abn, '51824896127');
+    assert.strictEqual(agrees.abn_holder_mismatch, false);
+    assert.strictEqual(differs.abn, '51824896127');
+    assert.strictEqual(differs.abn_holder_mismatch, true);
+    assert.deepStrictEqual(reviews.map(review => review.reason), ['holder_mismatch']);
+});
+
+test('queues a cancelled ABN for review', async t => {
+    const { tradies: [tradie], reviews } = await verify(t, [
+        { business_name: 'Web X Electricians Perth', address: 'Perth WA 6000' }
+    ]);
+
+    assert.strictEqual(tradie.abn_entity_status, 'Cancelled');
+    assert.deepStrictEqual(reviews.map(review => [review.business_name, review.reason]), [['Web X Electricians Perth', 'abn_cancelled']]);
+});
+
+test('a declared ABN is looked up directly, one failing the checksum falls back to the name', async t => {
+    const { tradies: [declared, invalid] } = await verify(t, [
+        { business_name: 'Mick the Plumber', declared_abn: '51 824 901 112' },
+        { business_name: 'Westline Electricians Perth', address: 'Perth WA 6000', declared_abn: '12345678901' }
+    ]);
+
+    assert.strictEqual(declared.abn, '51824901112');
+    assert.strictEqual(declared.abn_legal_name, 'Michael James O\'Brien');
+    assert.deepStrictEqual(declared.abn_match_reasons, ['declared ABN 51 824 901 112 is on the register']);
+    assert.strictEqual(invalid.abn, '51824885160');
+});
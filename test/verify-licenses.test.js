@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WALicenseVerifier = require('../scripts/verify-licenses');
+const { HttpClient, HttpNetworkError } = require('../scripts/http-client');
+const { createStubServer } = require('../scripts/wa-license-stub-server');
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+// Runs the verifier over `tradies` in a temp data dir; `options` picks the
+// register (licenseSearchUrl or licenseSource)
+async function verify(tradies, options, overrides = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-licenses-'));
+    try {
+        const tradiesFile = path.join(dir, 'tradies.json');
+        fs.writeFileSync(tradiesFile, JSON.stringify({ tradies }, null, 2));
+        fs.writeFileSync(path.join(dir, 'license-overrides.json'), JSON.stringify({ overrides }, null, 2));
+        const verifier = new WALicenseVerifier({
+            tradiesFile,
+            registerFile: path.join(dir, 'license-register.json'),
+            http: new HttpClient({ requestsPerSecond: 100, burst: 100, maxRetries: 0, timeoutMs: 2000 }),
+            notifier: null,
+            ...options
+        });
+        await verifier.verifyAllLicenses();
+        return JSON.parse(fs.readFileSync(tradiesFile, 'utf8')).tradies;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// The verifier logs every lookup - kept out of the test runner's output
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('verifies tradies against the stub register', async () => {
+    const server = createStubServer();
+    try {
+        const [matched, missing] = await verify([
+            { google_place_id: 'place-1', business_name: 'Westline Electrical', trade_type: 'electrician', address: '1 Hay St, Perth WA 6000' },
+            { google_place_id: 'place-2', business_name: 'Nobody Sparks Here', trade_type: 'electrician', address: '2 Hay St, Perth WA 6000' }
+        ], { licenseSearchUrl: await listen(server) });
+
+        assert.strictEqual(matched.licensed, true);
+        assert.strictEqual(matched.license_number, 'EC15892');
+        assert.strictEqual(matched.license_source, 'register_search');
+        assert.strictEqual(missing.licensed, false);
+        assert.strictEqual(missing.license_status, 'not_found');
+    } finally {
+        server.close();
+    }
+});
+
+test('records no register ever checked are reset to unverified, even when the lookup fails', async () => {
+    // Nothing listening - every lookup is a network error
+    const server = createStubServer();
+    const searchUrl = await listen(server);
+    await new Promise(resolve => server.close(resolve));
+
+    const [tradie] = await verify([
+        { name: 'Response Electricians', category: 'electrician', licensed: true, licenseNumber: 'EC17045', phone: '(08) 9106 9197' }
+    ], { licenseSearchUrl: searchUrl });
+
+    assert.strictEqual(tradie.licensed, false);
+    assert.strictEqual(tradie.license_status, 'unverified');
+    assert.strictEqual(tradie.license_number, null);
+    assert.strictEqual(tradie.licenseNumber, undefined);
+});
+
+test('only a declared licence number is looked up directly', async () => {
+    const lookedUp = [];
+    const licenseSource = {
+        name: 'test_register',
+        search: async () => [],
+        lookup: async number => {
+            lookedUp.push(number);
+            return { license_number: number, license_class: 'Electrical Contractor', holder_name: 'SPARKY BROS PTY LTD', status: 'Current', expiry_date: '30/06/2027', source: 'test_register' };
+        }
+    };
+
+    const [published, declared] = await verify([
+        { google_place_id: 'place-1', business_name: 'Sparky Bros', trade_type: 'electrician', license_source: 'register_search', licenseNumber: 'EC12345' },
+        { google_place_id: 'place-2', business_name: 'Sparky Bros', trade_type: 'electrician', declared_license_number: 'EC67890' }
+    ], { licenseSource });
+
+    assert.deepStrictEqual(lookedUp, ['EC67890']);
+    assert.strictEqual(published.license_status, 'not_found');
+    assert.strictEqual(declared.licensed, true);
+    assert.strictEqual(declared.license_number, 'EC67890');
+});
+
+test('an expired override is cleared when the lookup fails and leaves its fields behind', async () => {
+    const override = {
+        key: 'place-1', licensed: true, license_number: 'EC12345', license_type: 'Electrical Contractor',
+        reviewer: 'Sam', reviewed_date: '2025-01-10', evidence: 'Sighted licence card', expires: '2025-07-10'
+    };
+    const licenseSource = {
+        name: 'test_register',
+        search: async () => {
+            throw new HttpNetworkError(new Error('connect ECONNREFUSED'), 'http://register.invalid');
+        }
+    };
+
+    const [tradie] = await verify([{
+        google_place_id: 'place-1', business_name: 'Sparky Bros', trade_type: 'electrician',
+        licensed: true, license_number: 'EC12345', license_status: 'Current', license_source: 'manual_override',
+        license_override: { reviewer: 'Sam', reviewed_date: '2025-01-10', evidence: 'Sighted licence card', expires: '2025-07-10' }
+    }], { licenseSource }, [override]);
+
+    assert.strictEqual(tradie.licensed, false);
+    assert.strictEqual(tradie.license_number, null);
+    assert.strictEqual(tradie.license_status, 'needs_review');
+    assert.strictEqual(tradie.license_source, null);
+    assert.strictEqual(tradie.license_override, null);
+});
+
+test('refuses to run without a register extract or search URL', () => {
+    const previous = process.env.WA_LICENSE_SEARCH_URL;
+    delete process.env.WA_LICENSE_SEARCH_URL;
+    try {
+        assert.throws(() => new WALicenseVerifier({
+            tradiesFile: path.join(os.tmpdir(), 'no-such-dir', 'tradies.json'),
+            registerFile: path.join(os.tmpdir(), 'no-such-dir', 'license-register.json'),
+            notifier: null
+        }), /No licence register to verify against/);
+    } finally {
+        if (previous !== undefined) process.env.WA_LICENSE_SEARCH_URL = previous;
+    }
+});